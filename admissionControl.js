@@ -0,0 +1,76 @@
+/**
+ * admissionControl.js
+ * Caps the number of concurrent sessions per instance and per source IP.
+ * Sessions are admitted at init, so the client gets a clear rejection it can
+ * act on (e.g. route the call to another instance) instead of a degraded call.
+ */
+
+class AdmissionControl {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.maxSessions] - Concurrent sessions per instance (default: MAX_CONCURRENT_SESSIONS, 0 = unlimited)
+   * @param {number} [options.maxSessionsPerIp] - Concurrent sessions per source IP (default: MAX_SESSIONS_PER_IP, 0 = unlimited)
+   */
+  constructor(options = {}) {
+    this.options = options;
+    this.active = 0;
+    this.activeByIp = new Map(); // source IP -> active sessions
+  }
+
+  get maxSessions() {
+    return this.options.maxSessions !== undefined
+      ? this.options.maxSessions
+      : +process.env.MAX_CONCURRENT_SESSIONS || 0;
+  }
+
+  get maxSessionsPerIp() {
+    return this.options.maxSessionsPerIp !== undefined
+      ? this.options.maxSessionsPerIp
+      : +process.env.MAX_SESSIONS_PER_IP || 0;
+  }
+
+  /**
+   * Whether the instance has reached its session limit
+   * @returns {boolean}
+   */
+  isFull() {
+    return this.maxSessions > 0 && this.active >= this.maxSessions;
+  }
+
+  /**
+   * Tries to admit a session
+   * @param {string} [ip] - Source IP of the client
+   * @returns {{ok: true, release: Function} | {ok: false, reason: string}}
+   *   `release` frees the slot and may be called more than once
+   */
+  admit(ip) {
+    if (this.isFull()) {
+      return { ok: false, reason: "max_sessions_reached" };
+    }
+
+    const key = ip || "unknown";
+    const activeForIp = this.activeByIp.get(key) || 0;
+    if (this.maxSessionsPerIp > 0 && activeForIp >= this.maxSessionsPerIp) {
+      return { ok: false, reason: "max_sessions_per_ip_reached" };
+    }
+
+    this.active++;
+    this.activeByIp.set(key, activeForIp + 1);
+
+    let released = false;
+    const release = () => {
+      if (released) return;
+      released = true;
+      this.active--;
+      const remaining = this.activeByIp.get(key) - 1;
+      if (remaining > 0) {
+        this.activeByIp.set(key, remaining);
+      } else {
+        this.activeByIp.delete(key);
+      }
+    };
+    return { ok: true, release };
+  }
+}
+
+module.exports = AdmissionControl;
@@ -0,0 +1,58 @@
+/**
+ * agentConfig.js
+ * Local per-agent configuration, read from the JSON file in AGENT_CONFIG_FILE:
+ *
+ *   {
+ *     "default": { "session": { "voice": "alloy" } },
+ *     "agents": { "sales": { "session": { "voice": "coral" } } }
+ *   }
+ *
+ * Each top-level section of an agent's entry is merged over the same section
+ * of "default". Settings from the agent API take precedence over this file.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const logger = require("./logger");
+
+/**
+ * Checks for a plain object
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isPlainObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+/**
+ * Loads the local configuration of an agent
+ * @param {string} [agentId] - Agent ID
+ * @returns {Promise<Object>} Merged configuration; empty if no file is configured
+ */
+async function loadLocalAgentConfig(agentId) {
+  const file = process.env.AGENT_CONFIG_FILE;
+  if (!file) {
+    return {};
+  }
+
+  let config;
+  try {
+    config = JSON.parse(await fs.promises.readFile(path.resolve(file), "utf8"));
+  } catch (error) {
+    logger.error("agent_config.unreadable", `Cannot read AGENT_CONFIG_FILE ${file}`, { agentId, error: error.message });
+    return {};
+  }
+
+  const defaults = isPlainObject(config.default) ? config.default : {};
+  const agents = isPlainObject(config.agents) ? config.agents : {};
+  const agent = agentId && isPlainObject(agents[agentId]) ? agents[agentId] : {};
+
+  const merged = { ...defaults };
+  for (const [section, value] of Object.entries(agent)) {
+    merged[section] =
+      isPlainObject(value) && isPlainObject(defaults[section]) ? { ...defaults[section], ...value } : value;
+  }
+  return merged;
+}
+
+module.exports = { loadLocalAgentConfig, isPlainObject };
@@ -1,10 +1,21 @@
 /**
  * apiClient.js
  * API client for fetching agent configuration from the AVR system.
- * Handles system instructions, tools, and greeting endpoints.
+ * Handles system instructions, tools, greeting and session config endpoints.
  */
 
 const axios = require("axios");
+const logger = require("./logger");
+
+/**
+ * Builds the path of an agent resource
+ * @param {string} agentId - Agent ID; comes from the client, so it is encoded to stay in its path segment
+ * @param {string} resource - Resource name, e.g. "tools"
+ * @returns {string}
+ */
+function agentPath(agentId, resource) {
+  return `/api/agents/${encodeURIComponent(agentId)}/${resource}`;
+}
 
 class AgentApiClient {
   constructor() {
@@ -34,11 +45,13 @@ class AgentApiClient {
     }
 
     const url = `${this.baseUrl}${endpoint}`;
+    // Session setup awaits these requests while the caller is on the line
     const response = await axios.get(url, {
       headers: {
         "Content-Type": "application/json",
         "X-AVR-UUID": sessionUuid,
       },
+      timeout: +process.env.AGENT_API_TIMEOUT_MS || 3000,
     });
     return response.data;
   }
@@ -50,7 +63,7 @@ class AgentApiClient {
    * @returns {Promise<Object>} System instructions data
    */
   async getSystemInstructions(agentId, sessionUuid) {
-    return await this._makeRequest(`/api/agents/${agentId}/system-instructions`, sessionUuid);
+    return await this._makeRequest(agentPath(agentId, "system-instructions"), sessionUuid);
   }
 
   /**
@@ -60,7 +73,7 @@ class AgentApiClient {
    * @returns {Promise<Object>} Tools configuration data
    */
   async getTools(agentId, sessionUuid) {
-    return await this._makeRequest(`/api/agents/${agentId}/tools`, sessionUuid);
+    return await this._makeRequest(agentPath(agentId, "tools"), sessionUuid);
   }
 
   /**
@@ -70,7 +83,18 @@ class AgentApiClient {
    * @returns {Promise<Object>} Greeting configuration data
    */
   async getGreeting(agentId, sessionUuid) {
-    return await this._makeRequest(`/api/agents/${agentId}/greeting`, sessionUuid);
+    return await this._makeRequest(agentPath(agentId, "greeting"), sessionUuid);
+  }
+
+  /**
+   * Fetches Realtime session settings for an agent (voice, turn detection,
+   * transcription, model parameters)
+   * @param {string} agentId - Agent ID
+   * @param {string} sessionUuid - Session UUID
+   * @returns {Promise<Object>} Session configuration data
+   */
+  async getSessionConfig(agentId, sessionUuid) {
+    return await this._makeRequest(agentPath(agentId, "session-config"), sessionUuid);
   }
 
 
@@ -94,7 +118,11 @@ class AgentApiClient {
         greeting,
       };
     } catch (error) {
-      console.error(`Error fetching agent configuration for ${agentId}:`, error.message);
+      logger.error("agent_config.failed", "Error fetching agent configuration", {
+        sessionUuid,
+        agentId,
+        error: error.message,
+      });
       throw error;
     }
   }
@@ -104,19 +132,26 @@ class AgentApiClient {
    * @param {string} agentId - Agent ID
    * @param {string} sessionUuid - Session UUID
    * @param {Object} callSummary - Call summary data including transcript and metadata
+   * @param {Object} [options]
+   * @param {string} [options.idempotencyKey] - Sent as Idempotency-Key so retries are not recorded twice
    * @returns {Promise<Object>} API response
    */
-  async sendCallSummary(agentId, sessionUuid, callSummary) {
+  async sendCallSummary(agentId, sessionUuid, callSummary, { idempotencyKey } = {}) {
     if (!this.isConfigured()) {
       throw new Error("AGENT_API_BASE_URL is not configured");
     }
 
-    const url = `${this.baseUrl}/api/agents/${agentId}/call-summary`;
+    const url = `${this.baseUrl}${agentPath(agentId, "call-summary")}`;
+    const headers = {
+      "Content-Type": "application/json",
+      "X-AVR-UUID": sessionUuid,
+    };
+    if (idempotencyKey) {
+      headers["Idempotency-Key"] = idempotencyKey;
+    }
     const response = await axios.post(url, callSummary, {
-      headers: {
-        "Content-Type": "application/json",
-        "X-AVR-UUID": sessionUuid,
-      },
+      headers,
+      timeout: +process.env.CALL_SUMMARY_TIMEOUT_MS || 10000,
     });
     return response.data;
   }
@@ -0,0 +1,200 @@
+/**
+ * audioCodec.js
+ * Client audio format negotiation and in-process G.711 encoding/decoding.
+ * Supported client formats are PCM16LE at 8/16/24kHz and G.711 μ-law/A-law at 8kHz.
+ */
+
+const OPENAI_SAMPLE_RATE = 24000;
+const FRAME_MS = 20;
+
+const CODEC_ALIASES = {
+  pcm16: "pcm16",
+  slin: "pcm16",
+  linear16: "pcm16",
+  ulaw: "ulaw",
+  mulaw: "ulaw",
+  pcmu: "ulaw",
+  g711_ulaw: "ulaw",
+  alaw: "alaw",
+  pcma: "alaw",
+  g711_alaw: "alaw",
+};
+
+const PCM16_SAMPLE_RATES = [8000, 16000, 24000];
+
+const MULAW_BIAS = 0x84;
+const G711_CLIP = 32635;
+
+/**
+ * Encodes a linear PCM16 sample as G.711 μ-law
+ * @param {number} sample - Signed 16-bit sample
+ * @returns {number} μ-law byte
+ */
+function linearToMulaw(sample) {
+  const sign = sample < 0 ? 0x80 : 0;
+  let magnitude = Math.min(Math.abs(sample), G711_CLIP) + MULAW_BIAS;
+  let exponent = 7;
+  for (let mask = 0x4000; (magnitude & mask) === 0 && exponent > 0; mask >>= 1) {
+    exponent--;
+  }
+  const mantissa = (magnitude >> (exponent + 3)) & 0x0f;
+  return ~(sign | (exponent << 4) | mantissa) & 0xff;
+}
+
+/**
+ * Decodes a G.711 μ-law byte to a linear PCM16 sample
+ * @param {number} byte - μ-law byte
+ * @returns {number} Signed 16-bit sample
+ */
+function mulawToLinear(byte) {
+  const value = ~byte & 0xff;
+  const exponent = (value >> 4) & 0x07;
+  const mantissa = value & 0x0f;
+  const magnitude = (((mantissa << 3) + MULAW_BIAS) << exponent) - MULAW_BIAS;
+  return value & 0x80 ? -magnitude : magnitude;
+}
+
+/**
+ * Encodes a linear PCM16 sample as G.711 A-law
+ * @param {number} sample - Signed 16-bit sample
+ * @returns {number} A-law byte
+ */
+function linearToAlaw(sample) {
+  const sign = sample >= 0 ? 0x80 : 0;
+  const magnitude = Math.min(sample >= 0 ? sample : -sample, G711_CLIP);
+  let compressed;
+  if (magnitude >= 256) {
+    const exponent = 32 - Math.clz32((magnitude >> 8) & 0x7f);
+    const mantissa = (magnitude >> (exponent + 3)) & 0x0f;
+    compressed = (exponent << 4) | mantissa;
+  } else {
+    compressed = magnitude >> 4;
+  }
+  return (compressed | sign) ^ 0x55;
+}
+
+/**
+ * Decodes a G.711 A-law byte to a linear PCM16 sample
+ * @param {number} byte - A-law byte
+ * @returns {number} Signed 16-bit sample
+ */
+function alawToLinear(byte) {
+  const value = byte ^ 0x55;
+  const exponent = (value >> 4) & 0x07;
+  const mantissa = value & 0x0f;
+  let magnitude = (mantissa << 4) + 8;
+  if (exponent !== 0) magnitude += 0x100;
+  if (exponent > 1) magnitude <<= exponent - 1;
+  return value & 0x80 ? magnitude : -magnitude;
+}
+
+// Decoding is a straight table lookup
+const MULAW_DECODE_TABLE = Int16Array.from({ length: 256 }, (_, i) => mulawToLinear(i));
+const ALAW_DECODE_TABLE = Int16Array.from({ length: 256 }, (_, i) => alawToLinear(i));
+
+/**
+ * Decodes G.711 bytes to PCM16 samples
+ * @param {Buffer} input - G.711 encoded audio
+ * @param {"ulaw"|"alaw"} codec - G.711 variant
+ * @returns {Int16Array} PCM16 samples
+ */
+function decodeG711(input, codec) {
+  const table = codec === "alaw" ? ALAW_DECODE_TABLE : MULAW_DECODE_TABLE;
+  const output = new Int16Array(input.length);
+  for (let i = 0; i < input.length; i++) {
+    output[i] = table[input[i]];
+  }
+  return output;
+}
+
+/**
+ * Encodes PCM16 samples as G.711 bytes
+ * @param {Int16Array} samples - PCM16 samples
+ * @param {"ulaw"|"alaw"} codec - G.711 variant
+ * @returns {Buffer} G.711 encoded audio
+ */
+function encodeG711(samples, codec) {
+  const encode = codec === "alaw" ? linearToAlaw : linearToMulaw;
+  const output = Buffer.alloc(samples.length);
+  for (let i = 0; i < samples.length; i++) {
+    output[i] = encode(samples[i]);
+  }
+  return output;
+}
+
+/**
+ * Resolves the client audio format requested in the init message.
+ * PCM16 at 24kHz and both G.711 variants are passed straight through to
+ * OpenAI's native formats; PCM16 at 8/16kHz is resampled.
+ * @param {Object} [options]
+ * @param {string} [options.codec="pcm16"] - Requested codec
+ * @param {number} [options.sampleRate] - Requested sample rate in Hz
+ * @returns {Object} Negotiated format
+ * @throws {Error} If the codec or sample rate is not supported
+ */
+function negotiateAudioFormat({ codec = "pcm16", sampleRate } = {}) {
+  const normalizedCodec = CODEC_ALIASES[String(codec).toLowerCase()];
+  if (!normalizedCodec) {
+    throw new Error(`Unsupported audio codec: ${codec}`);
+  }
+
+  const rate = sampleRate ? Number(sampleRate) : 8000;
+  if (normalizedCodec === "pcm16" && !PCM16_SAMPLE_RATES.includes(rate)) {
+    throw new Error(`Unsupported sample rate for pcm16: ${sampleRate}`);
+  }
+  if (normalizedCodec !== "pcm16" && rate !== 8000) {
+    throw new Error(`G.711 ${normalizedCodec} requires an 8000 Hz sample rate, got ${sampleRate}`);
+  }
+
+  const bytesPerSample = normalizedCodec === "pcm16" ? 2 : 1;
+  const openaiFormat = normalizedCodec === "pcm16" ? "pcm16" : `g711_${normalizedCodec}`;
+  const openaiSampleRate = normalizedCodec === "pcm16" ? OPENAI_SAMPLE_RATE : 8000;
+  const frameSamples = (rate * FRAME_MS) / 1000;
+
+  return {
+    codec: normalizedCodec,
+    sampleRate: rate,
+    frameMs: FRAME_MS,
+    frameSamples,
+    frameBytes: frameSamples * bytesPerSample,
+    bytesPerMs: (rate * bytesPerSample) / 1000,
+    openaiFormat,
+    openaiSampleRate,
+    openaiBytesPerMs: (openaiSampleRate * bytesPerSample) / 1000,
+    needsResampling: rate !== openaiSampleRate,
+  };
+}
+
+/**
+ * Decodes client audio in the negotiated format to PCM16 samples
+ * @param {Buffer} input - Audio from the client
+ * @param {Object} format - Negotiated format
+ * @returns {Int16Array} PCM16 samples at the client sample rate
+ */
+function decodeClientAudio(input, format) {
+  if (format.codec === "pcm16") {
+    return new Int16Array(input.buffer, input.byteOffset, Math.floor(input.length / 2));
+  }
+  return decodeG711(input, format.codec);
+}
+
+/**
+ * Encodes PCM16 samples in the negotiated client format
+ * @param {Int16Array} samples - PCM16 samples at the client sample rate
+ * @param {Object} format - Negotiated format
+ * @returns {Buffer} Encoded audio
+ */
+function encodeClientAudio(samples, format) {
+  if (format.codec === "pcm16") {
+    return Buffer.from(samples.buffer, samples.byteOffset, samples.byteLength);
+  }
+  return encodeG711(samples, format.codec);
+}
+
+module.exports = {
+  negotiateAudioFormat,
+  decodeClientAudio,
+  encodeClientAudio,
+  decodeG711,
+  encodeG711,
+};
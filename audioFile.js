@@ -0,0 +1,129 @@
+/**
+ * audioFile.js
+ * Loads pre-rendered prompts (e.g. greetings and apology messages) from
+ * PCM16 WAV files or URLs and converts them to the sample rate of the client
+ * connection.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { create } = require("@alexanderolsen/libsamplerate-js");
+const axios = require("axios");
+
+/**
+ * Parses a PCM16 WAV file into mono samples
+ * @param {Buffer} data - WAV file contents
+ * @returns {{sampleRate: number, samples: Int16Array}} Mono PCM16 samples
+ * @throws {Error} If the file is not a PCM16 WAV file
+ */
+function parseWav(data) {
+  if (data.toString("ascii", 0, 4) !== "RIFF" || data.toString("ascii", 8, 12) !== "WAVE") {
+    throw new Error("Not a RIFF/WAVE file");
+  }
+
+  let format = null;
+  let offset = 12;
+  while (offset + 8 <= data.length) {
+    const chunkId = data.toString("ascii", offset, offset + 4);
+    const chunkSize = data.readUInt32LE(offset + 4);
+    const body = offset + 8;
+
+    if (chunkId === "fmt ") {
+      format = {
+        audioFormat: data.readUInt16LE(body),
+        channels: data.readUInt16LE(body + 2),
+        sampleRate: data.readUInt32LE(body + 4),
+        bitsPerSample: data.readUInt16LE(body + 14),
+      };
+    } else if (chunkId === "data") {
+      if (!format) {
+        throw new Error("WAV data chunk found before fmt chunk");
+      }
+      if (format.audioFormat !== 1 || format.bitsPerSample !== 16) {
+        throw new Error("Only 16-bit PCM WAV files are supported");
+      }
+
+      const end = Math.min(body + chunkSize, data.length);
+      const frameCount = Math.floor((end - body) / (2 * format.channels));
+      const samples = new Int16Array(frameCount);
+      for (let i = 0; i < frameCount; i++) {
+        // Mix down to mono by averaging channels
+        let sum = 0;
+        for (let c = 0; c < format.channels; c++) {
+          sum += data.readInt16LE(body + (i * format.channels + c) * 2);
+        }
+        samples[i] = Math.round(sum / format.channels);
+      }
+      return { sampleRate: format.sampleRate, samples };
+    }
+
+    // Chunks are word-aligned
+    offset = body + chunkSize + (chunkSize % 2);
+  }
+
+  throw new Error("WAV file has no data chunk");
+}
+
+/**
+ * Decodes a PCM16 WAV prompt and resamples it to the given rate
+ * @param {Buffer} data - WAV file contents
+ * @param {number} sampleRate - Target sample rate in Hz
+ * @returns {Promise<Int16Array>} Mono PCM16 samples at the target rate
+ */
+async function decodePromptAudio(data, sampleRate) {
+  const wav = parseWav(data);
+  if (wav.sampleRate === sampleRate) {
+    return wav.samples;
+  }
+
+  const resampler = await create(1, wav.sampleRate, sampleRate);
+  try {
+    return Int16Array.from(resampler.full(wav.samples));
+  } finally {
+    resampler.destroy();
+  }
+}
+
+/**
+ * Loads a PCM16 WAV prompt and resamples it to the given rate
+ * @param {string} filePath - Path to the WAV file
+ * @param {number} sampleRate - Target sample rate in Hz
+ * @returns {Promise<Int16Array>} Mono PCM16 samples at the target rate
+ */
+async function loadPromptAudio(filePath, sampleRate) {
+  return decodePromptAudio(await fs.promises.readFile(path.resolve(filePath)), sampleRate);
+}
+
+/**
+ * Resolves a prompt file named by the agent API. Such files must lie inside
+ * PROMPTS_DIR, so the API cannot make the service read arbitrary files.
+ * @param {string} file - Path relative to PROMPTS_DIR, or an absolute path inside it
+ * @returns {string|null} Absolute path, or null if PROMPTS_DIR is not set or the file lies outside it
+ */
+function resolvePromptFile(file) {
+  const dir = process.env.PROMPTS_DIR;
+  if (!dir || typeof file !== "string") {
+    return null;
+  }
+  const root = path.resolve(dir);
+  const resolved = path.resolve(root, file);
+  return resolved.startsWith(root + path.sep) ? resolved : null;
+}
+
+/**
+ * Downloads a PCM16 WAV prompt and resamples it to the given rate
+ * @param {string} url - URL of the WAV file
+ * @param {number} sampleRate - Target sample rate in Hz
+ * @param {Object} [headers] - Request headers
+ * @returns {Promise<Int16Array>} Mono PCM16 samples at the target rate
+ */
+async function fetchPromptAudio(url, sampleRate, headers = {}) {
+  const response = await axios.get(url, {
+    responseType: "arraybuffer",
+    headers,
+    timeout: +process.env.PROMPT_AUDIO_TIMEOUT_MS || 5000,
+  });
+  return decodePromptAudio(Buffer.from(response.data), sampleRate);
+}
+
+module.exports = { parseWav, decodePromptAudio, loadPromptAudio, resolvePromptFile, fetchPromptAudio };
@@ -0,0 +1,241 @@
+/**
+ * audioPlayout.js
+ * Outbound audio playout queue for a single session.
+ * Buffers downsampled assistant audio in a preallocated ring buffer and
+ * releases fixed-size frames to the client on a real-time clock, so the PBX
+ * receives audio at the pace it is played and the server knows how much of
+ * each assistant item the caller has actually heard.
+ */
+
+const { performance } = require("perf_hooks");
+const logger = require("./logger");
+
+class AudioPlayout {
+  /**
+   * @param {Object} options
+   * @param {Function} options.onFrame - Called with each released frame (Int16Array).
+   *   The array is reused between frames and is only valid during the call.
+   * @param {number} [options.sampleRate=8000] - Output sample rate in Hz
+   * @param {number} [options.frameMs=20] - Frame duration in milliseconds
+   * @param {number} [options.prebufferMs=60] - Audio queued before playback (re)starts
+   * @param {number} [options.capacityMs=60000] - Ring buffer capacity
+   * @param {number} [options.maxBurstFrames=3] - Frames released at once to catch up after a stall
+   */
+  constructor({
+    onFrame,
+    sampleRate = 8000,
+    frameMs = 20,
+    prebufferMs = +process.env.PLAYOUT_PREBUFFER_MS || 60,
+    capacityMs = 60000,
+    maxBurstFrames = 3,
+  }) {
+    this.onFrame = onFrame;
+    this.sampleRate = sampleRate;
+    this.frameMs = frameMs;
+    this.frameSamples = (sampleRate * frameMs) / 1000;
+    this.prebufferSamples = Math.round((sampleRate * prebufferMs) / 1000);
+    this.maxBurstFrames = maxBurstFrames;
+
+    const capacityFrames = Math.ceil(capacityMs / frameMs);
+    this.ring = new Int16Array(capacityFrames * this.frameSamples);
+    this.frame = new Int16Array(this.frameSamples);
+
+    // Monotonic sample counters; ring positions are derived modulo capacity
+    this.written = 0;
+    this.read = 0;
+
+    // Tagged segments ({ tag, start }) used to report per-item playback position
+    this.segments = [];
+
+    this.draining = false;
+    this.timer = null;
+    this.nextFrameAt = 0;
+  }
+
+  /**
+   * Number of samples waiting to be played
+   * @returns {number}
+   */
+  get queuedSamples() {
+    return this.written - this.read;
+  }
+
+  /**
+   * Duration of audio waiting to be played
+   * @returns {number} Milliseconds
+   */
+  get queuedMs() {
+    return (this.queuedSamples * 1000) / this.sampleRate;
+  }
+
+  /**
+   * Queues samples for playback.
+   * @param {Int16Array} samples - PCM16 samples at the output sample rate
+   * @param {string|null} [tag=null] - Identifier of the item the samples belong to
+   */
+  push(samples, tag = null) {
+    if (!samples || samples.length === 0) {
+      return;
+    }
+
+    const lastSegment = this.segments[this.segments.length - 1];
+    if (!lastSegment || lastSegment.tag !== tag) {
+      this.segments.push({ tag, start: this.written });
+      this._pruneSegments();
+    }
+
+    const capacity = this.ring.length;
+    if (samples.length > capacity) {
+      // Only the most recent audio fits; account for the rest as skipped
+      const skipped = samples.length - capacity;
+      this.written += skipped;
+      samples = samples.subarray(skipped);
+    }
+
+    const overflow = this.queuedSamples + samples.length - capacity;
+    if (overflow > 0) {
+      logger.warn("audio.playout_overflow", `Playout buffer full; dropping ${overflow} oldest samples`, {
+        droppedSamples: overflow,
+      });
+      this.read += overflow;
+    }
+
+    let offset = 0;
+    while (offset < samples.length) {
+      const position = this.written % capacity;
+      const count = Math.min(capacity - position, samples.length - offset);
+      this.ring.set(samples.subarray(offset, offset + count), position);
+      this.written += count;
+      offset += count;
+    }
+
+    this.draining = false;
+    this._maybeStart();
+  }
+
+  /**
+   * Marks the end of the current audio: pads the last partial frame with
+   * silence, appends trailing silence and plays out everything that is queued
+   * without waiting for the prebuffer to fill.
+   * @param {number} [silenceFrames=5] - Silence frames appended after the audio
+   */
+  flush(silenceFrames = 5) {
+    if (this.queuedSamples === 0) {
+      return;
+    }
+
+    const partial = this.queuedSamples % this.frameSamples;
+    const padding = (partial ? this.frameSamples - partial : 0) + silenceFrames * this.frameSamples;
+    const tag = this.segments.length ? this.segments[this.segments.length - 1].tag : null;
+    this.push(new Int16Array(padding), tag);
+    this.draining = true;
+    this._maybeStart();
+  }
+
+  /**
+   * Drops all queued audio, e.g. when the caller interrupts.
+   */
+  clear() {
+    // Rewind the write position so discarded audio never counts as played
+    this.written = this.read;
+    this.segments.forEach((segment) => {
+      segment.start = Math.min(segment.start, this.written);
+    });
+    this.draining = false;
+    this._stopTimer();
+  }
+
+  /**
+   * Milliseconds of audio released to the client for the given tag.
+   * @param {string|null} tag - Item identifier passed to push()
+   * @returns {number} Played milliseconds (0 if the tag is unknown)
+   */
+  playedMs(tag) {
+    const index = this.segments.findIndex((segment) => segment.tag === tag);
+    if (index === -1) {
+      return 0;
+    }
+
+    const { start } = this.segments[index];
+    const next = this.segments[index + 1];
+    const end = next ? next.start : this.written;
+    const played = Math.min(Math.max(this.read - start, 0), end - start);
+    return Math.floor((played * 1000) / this.sampleRate);
+  }
+
+  /**
+   * Stops the playout clock and discards queued audio.
+   */
+  stop() {
+    this.clear();
+    this.segments = [];
+  }
+
+  _pruneSegments() {
+    // Keep only segments that may still be queried for the current and recent items
+    while (this.segments.length > 8) {
+      this.segments.shift();
+    }
+  }
+
+  _maybeStart() {
+    if (this.timer) {
+      return;
+    }
+    if (this.queuedSamples < this.frameSamples) {
+      return;
+    }
+    if (!this.draining && this.queuedSamples < this.prebufferSamples) {
+      return;
+    }
+    this.nextFrameAt = performance.now();
+    this._tick();
+  }
+
+  _stopTimer() {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+  }
+
+  _tick() {
+    this.timer = null;
+    const now = performance.now();
+
+    // After an event loop stall, catch up a few frames and resync the clock
+    if (now - this.nextFrameAt > this.maxBurstFrames * this.frameMs) {
+      this.nextFrameAt = now - (this.maxBurstFrames - 1) * this.frameMs;
+    }
+
+    while (this.nextFrameAt <= now) {
+      if (!this._releaseFrame()) {
+        // Underrun: wait for the prebuffer to refill before resuming
+        return;
+      }
+      this.nextFrameAt += this.frameMs;
+    }
+
+    this.timer = setTimeout(() => this._tick(), Math.max(0, this.nextFrameAt - now));
+  }
+
+  _releaseFrame() {
+    if (this.queuedSamples < this.frameSamples) {
+      return false;
+    }
+
+    const capacity = this.ring.length;
+    const position = this.read % capacity;
+    const firstPart = Math.min(capacity - position, this.frameSamples);
+    this.frame.set(this.ring.subarray(position, position + firstPart));
+    if (firstPart < this.frameSamples) {
+      this.frame.set(this.ring.subarray(0, this.frameSamples - firstPart), firstPart);
+    }
+    this.read += this.frameSamples;
+
+    this.onFrame(this.frame);
+    return true;
+  }
+}
+
+module.exports = AudioPlayout;
@@ -1,6 +1,7 @@
 require("dotenv").config();
 
 const axios = require("axios");
+const logger = require("../logger");
 
 module.exports = {
   name: "avr_get_caller_info",
@@ -17,14 +18,12 @@ module.exports = {
     required: []
   },
   handler: async (uuid, { info_type = "all" }, callerInfo = null) => {
-    console.log("Getting caller information for UUID:", uuid);
-    console.log("Info type requested:", info_type);
-    console.log("Caller info from session:", callerInfo);
+    logger.info("tool.caller_info", "Getting caller information", { infoType: info_type, callerInfo });
 
     try {
       // If caller info is already available from session, use it
       if (callerInfo && (callerInfo.phoneNumber || callerInfo.callerId)) {
-        console.log("Using caller info from session");
+        logger.debug("tool.caller_info_session", "Using caller info from session");
         
         if (info_type === "phone") {
           const phone = callerInfo.phoneNumber || callerInfo.callerId || 'Unknown';
@@ -48,7 +47,7 @@ module.exports = {
         info_type
       });
       
-      console.log("Caller info response from AMI:", res.data);
+      logger.info("tool.caller_info_response", "Caller info response from AMI", { callerInfo: res.data });
       
       if (info_type === "phone") {
         return `Caller phone number: ${res.data.phoneNumber || res.data.caller_id || 'Unknown'}`;
@@ -62,7 +61,7 @@ module.exports = {
         return `Caller information - Phone: ${phone}, Name: ${name}, Channel: ${channel}, Context: ${context}`;
       }
     } catch (error) {
-      console.error("Error getting caller information:", error.message);
+      logger.error("tool.caller_info_failed", "Error getting caller information", { error: error.message });
       return `Caller information not available. Error: ${error.message}`;
     }
   },
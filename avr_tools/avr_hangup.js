@@ -1,25 +1,27 @@
 require("dotenv").config();
 
 const axios = require("axios");
+const logger = require("../logger");
 
 module.exports = {
   name: "avr_hangup",
-  description:
-    "Ends the conversation once the maintenance is booked or if no availability is found.",
+  description: "Ends the call once the conversation is complete or the caller wants to hang up.",
   input_schema: {
     type: "object",
     properties: {},
     required: [],
   },
+  filler: false, // Nothing to announce while the call is being ended
+  retries: 0, // A timed-out attempt may still go through; never hang up twice
   handler: async (uuid, {}) => {
-    console.log("Hangup call");
+    logger.info("tool.hangup", "Hangup call");
     const url = process.env.AMI_URL || "http://127.0.0.1:6006";
     try {
       const res = await axios.post(`${url}/hangup`, { uuid });
-      console.log("Hangup response:", res.data);
+      logger.info("tool.hangup_response", "Hangup response", { response: res.data });
       return res.data.message;
     } catch (error) {
-      console.error("Error during hangup:", error.message);
+      logger.error("tool.hangup_failed", "Error during hangup", { error: error.message });
       return `Error during hangup: ${error.message}`;
     }
   },
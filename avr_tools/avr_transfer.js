@@ -1,6 +1,7 @@
 require("dotenv").config();
 
 const axios = require("axios");
+const logger = require("../logger");
 
 module.exports = {
   name: "avr_transfer",
@@ -11,6 +12,7 @@ module.exports = {
       transfer_extension: {
         type: "string",
         description: "The transfer extension to transfer the call to.",
+        minLength: 1,
       },
       transfer_context: {
         type: "string",
@@ -23,12 +25,20 @@ module.exports = {
     },
     required: ["transfer_extension"],
   },
+  retries: 0, // A timed-out attempt may still go through; never transfer twice
+  // Per-agent constraints: each restricts an argument to the listed values
+  constraints: {
+    extensions: "transfer_extension",
+    contexts: "transfer_context",
+  },
   handler: async (
     uuid,
     { transfer_extension, transfer_context, transfer_priority }
   ) => {
-    console.log("Transfering call to:", transfer_extension);
-    console.log("UUID:", uuid);
+    logger.info("tool.transfer", `Transferring call to ${transfer_extension}`, {
+      extension: transfer_extension,
+      context: transfer_context,
+    });
 
     try {
       const url = process.env.AMI_URL || "http://127.0.0.1:6006";
@@ -38,10 +48,10 @@ module.exports = {
         context: transfer_context || "demo",
         priority: transfer_priority || 1,
       });
-      console.log("Transfer response:", res.data);
+      logger.info("tool.transfer_response", "Transfer response", { response: res.data });
       return res.data.message;
     } catch (error) {
-      console.error("Error during transfer:", error.message);
+      logger.error("tool.transfer_failed", "Error during transfer", { error: error.message });
       return `Error during transfer: ${error.message}`;
     }
   },
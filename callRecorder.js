@@ -0,0 +1,204 @@
+/**
+ * callRecorder.js
+ * Records a call to a stereo WAV file: the caller on the left channel and the
+ * agent (as released to the caller by the playout) on the right. Both
+ * channels are placed on a shared wall clock so the recording is time-aligned
+ * with what was actually said and heard; gaps are filled with silence.
+ * Audio is streamed to disk as the call progresses and the WAV header is
+ * completed when the recording stops.
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+const CALLER = 0;
+const AGENT = 1;
+const HEADER_BYTES = 44;
+
+/**
+ * Builds a PCM16 stereo WAV header
+ * @param {number} sampleRate - Samples per second and channel
+ * @param {number} dataBytes - Size of the audio data
+ * @returns {Buffer}
+ */
+function wavHeader(sampleRate, dataBytes) {
+  const header = Buffer.alloc(HEADER_BYTES);
+  header.write("RIFF", 0);
+  header.writeUInt32LE(36 + dataBytes, 4);
+  header.write("WAVEfmt ", 8);
+  header.writeUInt32LE(16, 16);
+  header.writeUInt16LE(1, 20); // PCM
+  header.writeUInt16LE(2, 22); // Stereo
+  header.writeUInt32LE(sampleRate, 24);
+  header.writeUInt32LE(sampleRate * 4, 28);
+  header.writeUInt16LE(4, 32);
+  header.writeUInt16LE(16, 34);
+  header.write("data", 36);
+  header.writeUInt32LE(dataBytes, 40);
+  return header;
+}
+
+class CallRecorder {
+  /**
+   * @param {Object} options
+   * @param {string} options.sessionUuid - Session UUID, used as the file name
+   * @param {number} options.sampleRate - Sample rate of the client audio in Hz
+   * @param {string} [options.dir] - Recording directory (default: CALL_RECORDING_DIR or ./recordings)
+   * @param {number} [options.jitterMs=500] - How far a channel may lag before silence is inserted
+   * @param {Function} [options.now] - Clock in milliseconds, for tests
+   */
+  constructor({ sessionUuid, sampleRate, dir, jitterMs = 500, now = Date.now }) {
+    const safeName = String(sessionUuid).replace(/[^\w.-]/g, "_");
+    this.path = path.resolve(dir || process.env.CALL_RECORDING_DIR || "./recordings", `${safeName}.wav`);
+    this.sampleRate = sampleRate;
+    this.jitterSamples = Math.round((sampleRate * jitterMs) / 1000);
+    this.now = now;
+
+    this.startedAt = null;
+    this.channels = [CALLER, AGENT].map(() => ({ chunks: [], position: 0 }));
+    this.committed = 0; // Samples per channel handed to the file
+    this.file = null;
+    this.writing = Promise.resolve();
+    this.error = null; // First write error; reported by stop()
+    this.stopped = false;
+  }
+
+  /**
+   * Recorded duration
+   * @returns {number} Seconds
+   */
+  get durationSeconds() {
+    return Math.round((this.committed / this.sampleRate) * 100) / 100;
+  }
+
+  /**
+   * Creates the recording file and starts the recording clock
+   * @returns {Promise<void>}
+   */
+  async start() {
+    await fs.promises.mkdir(path.dirname(this.path), { recursive: true });
+    this.file = await fs.promises.open(this.path, "w");
+    await this.file.write(wavHeader(this.sampleRate, 0));
+    this.startedAt = this.now();
+  }
+
+  /**
+   * Records caller audio as it is received
+   * @param {Int16Array} samples - PCM16 samples at the client sample rate
+   */
+  writeCaller(samples) {
+    this._write(CALLER, samples);
+  }
+
+  /**
+   * Records agent audio as it is played to the caller
+   * @param {Int16Array} samples - PCM16 samples at the client sample rate
+   */
+  writeAgent(samples) {
+    this._write(AGENT, samples);
+  }
+
+  /**
+   * Stops recording and completes the WAV file
+   * @returns {Promise<void>}
+   */
+  async stop() {
+    if (this.stopped) {
+      return this.writing;
+    }
+    this.stopped = true;
+    if (!this.file) {
+      return undefined;
+    }
+
+    const end = Math.max(...this.channels.map((channel) => channel.position));
+    this.channels.forEach((channel) => this._padTo(channel, end));
+    this._commit();
+
+    const file = this.file;
+    const dataBytes = this.committed * 4;
+    this.writing = this._enqueue(() => file.write(wavHeader(this.sampleRate, dataBytes), 0, HEADER_BYTES, 0))
+      .then(() => file.close())
+      .then(() => {
+        if (this.error) {
+          throw this.error;
+        }
+      });
+    return this.writing;
+  }
+
+  _write(channelIndex, samples) {
+    if (!this.file || this.stopped || !samples || samples.length === 0) {
+      return;
+    }
+
+    // Samples arriving now cover the time just before now
+    const now = Math.floor(((this.now() - this.startedAt) * this.sampleRate) / 1000);
+    const channel = this.channels[channelIndex];
+    this._padTo(channel, now - samples.length);
+    channel.chunks.push(Int16Array.from(samples)); // Playout frames are reused
+    channel.position += samples.length;
+
+    // A silent channel must not hold back the other one
+    this.channels.forEach((other) => this._padTo(other, now - this.jitterSamples));
+    this._commit();
+  }
+
+  _padTo(channel, position) {
+    if (position > channel.position) {
+      channel.chunks.push(new Int16Array(position - channel.position));
+      channel.position = position;
+    }
+  }
+
+  _take(channel, count) {
+    const samples = new Int16Array(count);
+    let offset = 0;
+    while (offset < count) {
+      const chunk = channel.chunks[0];
+      const used = Math.min(chunk.length, count - offset);
+      samples.set(chunk.subarray(0, used), offset);
+      offset += used;
+      if (used === chunk.length) {
+        channel.chunks.shift();
+      } else {
+        channel.chunks[0] = chunk.subarray(used);
+      }
+    }
+    return samples;
+  }
+
+  _commit() {
+    const count = Math.min(...this.channels.map((channel) => channel.position)) - this.committed;
+    if (count <= 0) {
+      return;
+    }
+
+    const caller = this._take(this.channels[CALLER], count);
+    const agent = this._take(this.channels[AGENT], count);
+    const interleaved = new Int16Array(count * 2);
+    for (let i = 0; i < count; i++) {
+      interleaved[i * 2] = caller[i];
+      interleaved[i * 2 + 1] = agent[i];
+    }
+    this.committed += count;
+
+    const file = this.file;
+    const buffer = Buffer.from(interleaved.buffer);
+    this.writing = this._enqueue(() => file.write(buffer));
+  }
+
+  _enqueue(write) {
+    // Writes run in order; after a failure the rest of the recording is dropped
+    return this.writing.then(() => {
+      if (!this.error) {
+        return write().catch((error) => {
+          this.error = error;
+        });
+      }
+      return undefined;
+    });
+  }
+}
+
+module.exports = CallRecorder;
@@ -0,0 +1,155 @@
+/**
+ * clientAuth.js
+ * Optional authentication of client WebSocket upgrades. A handshake is
+ * accepted when the source IP is allowlisted (if an allowlist is configured)
+ * and, if credentials are configured, it carries either the shared bearer
+ * token or a valid HMAC-signed query string. Signed URLs cover the path,
+ * the uuid and agentId query parameters and the expiry, so a signature issued
+ * for one call cannot be replayed for another.
+ */
+
+const crypto = require("crypto");
+const net = require("net");
+
+/**
+ * Parses a comma-separated list of IP addresses and CIDR ranges
+ * @param {string} list - e.g. "10.0.0.0/8, 192.168.1.20, ::1"
+ * @returns {net.BlockList|null} Allowlist, or null when the list is empty
+ */
+function parseIpAllowlist(list) {
+  const entries = (list || "")
+    .split(",")
+    .map((entry) => entry.trim())
+    .filter(Boolean);
+  if (entries.length === 0) {
+    return null;
+  }
+
+  const blockList = new net.BlockList();
+  for (const entry of entries) {
+    const [address, prefix] = entry.split("/");
+    const type = net.isIPv6(address) ? "ipv6" : "ipv4";
+    if (!net.isIP(address)) {
+      throw new Error(`Invalid address in CLIENT_IP_ALLOWLIST: ${entry}`);
+    }
+    if (prefix !== undefined) {
+      blockList.addSubnet(address, Number(prefix), type);
+    } else {
+      blockList.addAddress(address, type);
+    }
+  }
+  return blockList;
+}
+
+/**
+ * Checks an address against the allowlist, treating IPv4-mapped IPv6
+ * addresses (::ffff:10.0.0.1) as IPv4
+ * @param {net.BlockList} allowlist
+ * @param {string} address - Remote address of the socket
+ * @returns {boolean}
+ */
+function isIpAllowed(allowlist, address) {
+  if (!address) {
+    return false;
+  }
+  const mapped = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+  if (mapped) {
+    return allowlist.check(mapped[1], "ipv4");
+  }
+  return allowlist.check(address, net.isIPv6(address) ? "ipv6" : "ipv4");
+}
+
+/**
+ * Compares two strings in constant time
+ * @param {string} a
+ * @param {string} b
+ * @returns {boolean}
+ */
+function safeEqual(a, b) {
+  const bufA = Buffer.from(String(a));
+  const bufB = Buffer.from(String(b));
+  return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+}
+
+/**
+ * Computes the signature expected in the `signature` query parameter
+ * @param {string} secret - Shared HMAC secret
+ * @param {Object} params
+ * @param {string} [params.path] - URL path without the query string (default: "/")
+ * @param {string} [params.uuid] - Value of the uuid query parameter, if any
+ * @param {string} [params.agentId] - Value of the agentId query parameter, if any
+ * @param {string|number} params.expires - Expiry as Unix time in seconds
+ * @returns {string} Hex-encoded HMAC-SHA256 of "<path>\n<uuid>\n<agentId>\n<expires>"
+ */
+function signUrl(secret, { path = "/", uuid = "", agentId = "", expires }) {
+  return crypto
+    .createHmac("sha256", secret)
+    .update([path, uuid, agentId, expires].map(String).join("\n"))
+    .digest("hex");
+}
+
+/**
+ * Creates the authenticator for client WebSocket upgrades
+ * @param {Object} [options]
+ * @param {string} [options.token] - Shared bearer token (default: CLIENT_AUTH_TOKEN)
+ * @param {string} [options.hmacSecret] - Secret for signed URLs (default: CLIENT_AUTH_HMAC_SECRET)
+ * @param {string} [options.ipAllowlist] - Allowed IPs/CIDRs (default: CLIENT_IP_ALLOWLIST)
+ * @param {number} [options.maxExpirySeconds] - Furthest a signed URL may expire in the future
+ *   (default: CLIENT_AUTH_MAX_EXPIRY_S or 300)
+ * @param {Function} [options.now] - Clock in milliseconds, for tests
+ * @returns {Function} (req) => {ok: true, binding?} | {ok: false, status, reason}; binding holds
+ *   the signed uuid and agentId the session must initialize with
+ */
+function createClientAuthenticator(options = {}) {
+  const token = options.token !== undefined ? options.token : process.env.CLIENT_AUTH_TOKEN;
+  const hmacSecret = options.hmacSecret !== undefined ? options.hmacSecret : process.env.CLIENT_AUTH_HMAC_SECRET;
+  const allowlist = parseIpAllowlist(
+    options.ipAllowlist !== undefined ? options.ipAllowlist : process.env.CLIENT_IP_ALLOWLIST
+  );
+  const maxExpirySeconds =
+    options.maxExpirySeconds !== undefined
+      ? options.maxExpirySeconds
+      : +process.env.CLIENT_AUTH_MAX_EXPIRY_S || 300;
+  const now = options.now || Date.now;
+
+  return (req) => {
+    if (allowlist && !isIpAllowed(allowlist, req.socket.remoteAddress)) {
+      return { ok: false, status: 403, reason: "ip_not_allowed" };
+    }
+
+    if (!token && !hmacSecret) {
+      return { ok: true };
+    }
+
+    const authorization = req.headers.authorization || "";
+    const bearer = authorization.match(/^Bearer\s+(.+)$/i);
+    if (token && bearer && safeEqual(bearer[1], token)) {
+      return { ok: true };
+    }
+
+    const url = new URL(req.url, "http://localhost");
+    const query = url.searchParams;
+    const expires = query.get("expires");
+    const signature = query.get("signature");
+    if (hmacSecret && expires && signature) {
+      if (!/^\d+$/.test(expires) || Number(expires) * 1000 < now()) {
+        return { ok: false, status: 401, reason: "signature_expired" };
+      }
+      if (Number(expires) * 1000 - now() > maxExpirySeconds * 1000) {
+        return { ok: false, status: 401, reason: "expiry_too_far" };
+      }
+      const binding = { uuid: query.get("uuid") || "", agentId: query.get("agentId") || "" };
+      if (safeEqual(signature, signUrl(hmacSecret, { path: url.pathname, ...binding, expires }))) {
+        return { ok: true, binding };
+      }
+      return { ok: false, status: 401, reason: "invalid_signature" };
+    }
+
+    if (bearer) {
+      return { ok: false, status: 401, reason: "invalid_token" };
+    }
+    return { ok: false, status: 401, reason: "missing_credentials" };
+  };
+}
+
+module.exports = { createClientAuthenticator, signUrl };
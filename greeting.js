@@ -0,0 +1,89 @@
+/**
+ * greeting.js
+ * Builds the first utterance of a call. The greeting from the agent's local
+ * config, overridden field by field by the agent API, is either spoken by the
+ * model, framed by a wrapper prompt in the agent's language, or replaced by a
+ * pre-rendered WAV recording.
+ */
+
+const logger = require("./logger");
+const { resolvePromptFile } = require("./audioFile");
+const { renderTemplate } = require("./promptTemplate");
+
+// Prompts asking the model to say the greeting verbatim; {{greeting}} is the rendered text
+const GREETING_WRAPPERS = {
+  en: 'You have just picked up the phone. Say exactly the following and nothing else: "{{greeting}}"',
+  de: 'Du hast grade den Hörer abgenommen. Sage genau und ausschließlich folgendes, ohne Zusätze: "{{greeting}}"',
+  fr: 'Tu viens de décrocher le téléphone. Dis exactement ce qui suit, sans rien ajouter : « {{greeting}} »',
+  it: 'Hai appena risposto al telefono. Di\' esattamente quanto segue, senza aggiungere altro: "{{greeting}}"',
+  es: 'Acabas de descolgar el teléfono. Di exactamente lo siguiente y nada más: "{{greeting}}"',
+};
+
+const DEFAULT_GREETING_LANGUAGE = "en";
+
+/**
+ * Normalizes a language tag such as "de-DE" to its primary subtag
+ * @param {*} language
+ * @returns {string|null}
+ */
+function primaryLanguage(language) {
+  if (typeof language !== "string" || !language.trim()) return null;
+  return language.trim().toLowerCase().split(/[-_]/)[0];
+}
+
+/**
+ * Resolves the greeting for a call
+ * @param {Object} options
+ * @param {*} [options.greetingData] - Response of the agent API greeting endpoint, if any
+ * @param {Object} [options.localConfig] - `greeting` section of the local agent config
+ * @param {string} [options.fallbackLanguage] - Language used when neither source sets one
+ * @param {Object} options.variables - Prompt template variables
+ * @returns {Object|null} {text, language, instructions, audioFile, audioUrl}, or null without a greeting
+ */
+function resolveGreeting({ greetingData, localConfig = {}, fallbackLanguage, variables }) {
+  const data = greetingData && typeof greetingData === "object" ? greetingData : {};
+  const rawText =
+    (typeof greetingData === "string" ? greetingData : data.greeting || data.text) || localConfig.text || "";
+  const text = typeof rawText === "string" ? renderTemplate(rawText, variables).trim() : "";
+
+  let apiAudioFile = null;
+  if (data.audioFile) {
+    apiAudioFile = resolvePromptFile(data.audioFile);
+    if (!apiAudioFile) {
+      logger.warn("greeting.audio_file_rejected", "Ignoring greeting audioFile from the agent API outside PROMPTS_DIR", {
+        sessionUuid: variables.sessionUuid,
+        agentId: variables.agentId,
+        audioFile: data.audioFile,
+      });
+    }
+  }
+  const audioFile = apiAudioFile || localConfig.audioFile || null;
+  const audioUrl = data.audioUrl || localConfig.audioUrl || null;
+
+  if (!text && !audioFile && !audioUrl) {
+    return null;
+  }
+
+  let language =
+    primaryLanguage(data.language) ||
+    primaryLanguage(localConfig.language) ||
+    primaryLanguage(fallbackLanguage) ||
+    primaryLanguage(process.env.GREETING_LANGUAGE) ||
+    DEFAULT_GREETING_LANGUAGE;
+  const wrapper = data.wrapper || localConfig.wrapper || GREETING_WRAPPERS[language];
+  if (!wrapper) {
+    logger.warn("greeting.unknown_language", `No greeting wrapper for language "${language}"; using English`, {
+      sessionUuid: variables.sessionUuid,
+      agentId: variables.agentId,
+      language,
+    });
+    language = DEFAULT_GREETING_LANGUAGE;
+  }
+
+  const instructions = text
+    ? renderTemplate(wrapper || GREETING_WRAPPERS[language], { ...variables, greeting: text })
+    : null;
+  return { text, language, instructions, audioFile, audioUrl };
+}
+
+module.exports = { GREETING_WRAPPERS, resolveGreeting };
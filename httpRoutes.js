@@ -0,0 +1,61 @@
+/**
+ * httpRoutes.js
+ * Plain HTTP endpoints served on the same port as the WebSocket server:
+ * - GET /healthz  liveness, 200 while the process is running
+ * - GET /readyz   readiness, 200 while new calls are accepted, 503 otherwise
+ * - GET /metrics  Prometheus metrics
+ */
+
+const metrics = require("./metrics");
+const logger = require("./logger");
+
+/**
+ * Creates the request handler for the HTTP endpoints
+ * @param {Object} options
+ * @param {Function} options.isReady - Returns true while the server accepts new calls
+ * @returns {Function} Node.js HTTP request handler
+ */
+function createHttpHandler({ isReady }) {
+  return async (req, res) => {
+    const pathname = req.url.split("?")[0];
+
+    if (req.method !== "GET") {
+      res.writeHead(405, { "Content-Type": "text/plain" });
+      res.end("Method Not Allowed");
+      return;
+    }
+
+    switch (pathname) {
+      case "/healthz":
+        res.writeHead(200, { "Content-Type": "text/plain" });
+        res.end("ok");
+        break;
+
+      case "/readyz": {
+        const ready = isReady();
+        res.writeHead(ready ? 200 : 503, { "Content-Type": "text/plain" });
+        res.end(ready ? "ready" : "not ready");
+        break;
+      }
+
+      case "/metrics":
+        try {
+          const body = await metrics.register.metrics();
+          res.writeHead(200, { "Content-Type": metrics.register.contentType });
+          res.end(body);
+        } catch (error) {
+          logger.error("metrics.failed", "Error collecting metrics", { error: error.message });
+          res.writeHead(500, { "Content-Type": "text/plain" });
+          res.end("Error collecting metrics");
+        }
+        break;
+
+      default:
+        res.writeHead(404, { "Content-Type": "text/plain" });
+        res.end("Not Found");
+        break;
+    }
+  };
+}
+
+module.exports = { createHttpHandler };
@@ -5,29 +5,91 @@
  * performing necessary audio format conversions and WebSocket communication.
  *
  * Client Protocol:
- * - Send {"type": "init", "uuid": "uuid"} to initialize session
- * - Send {"type": "audio", "audio": "base64_encoded_audio"} to stream audio
- * - Receive {"type": "audio", "audio": "base64_encoded_audio"} for responses
- * - Receive {"type": "error", "message": "error_message"} for errors
+ * - Send {"type": "init", "uuid": "uuid", "agentId": "agent_id", "codec": "pcm16", "sampleRate": 8000}
+ *   to initialize session (agentId is optional and falls back to PBX variables, then AGENT_ID;
+ *   codec is pcm16 at 8000/16000/24000 Hz or ulaw/alaw at 8000 Hz, default pcm16 at 8000 Hz)
+ * - Send {"type": "audio", "audio": "base64_encoded_audio"} to stream audio in the negotiated format
+ * - Receive {"type": "audio", "audio": "base64_encoded_audio"} for responses (20ms frames)
+ * - Receive {"type": "error", "message": "error_message", "code": "reason_code"} for errors; init is
+ *   rejected with code max_sessions_reached or max_sessions_per_ip_reached when the instance is at capacity
  *
  */
 
+const http = require("http");
 const WebSocket = require("ws");
 const { create } = require("@alexanderolsen/libsamplerate-js");
-const { loadTools, getToolHandler, setApiTools } = require("./loadTools");
+const {
+  loadTools,
+  getToolHandler,
+  getLocalToolHandler,
+  setApiTools,
+  parseToolsResponse,
+  loadMcpTools,
+  parseToolArguments,
+  getToolPolicy,
+  toolRegistry,
+  mcpClients,
+} = require("./loadTools");
+const { runWithPolicy } = require("./toolExecution");
 const AgentApiClient = require("./apiClient");
+const AudioPlayout = require("./audioPlayout");
+const CallRecorder = require("./callRecorder");
+const { loadPromptAudio, fetchPromptAudio } = require("./audioFile");
+const {
+  negotiateAudioFormat,
+  decodeClientAudio,
+  encodeClientAudio,
+  decodeG711,
+} = require("./audioCodec");
+const { loadInstructions } = require("./loadInstructions");
+const { loadSessionConfig } = require("./sessionConfig");
+const { loadLocalAgentConfig, isPlainObject } = require("./agentConfig");
+const { resolveGreeting } = require("./greeting");
+const SummaryOutbox = require("./summaryOutbox");
+const AdmissionControl = require("./admissionControl");
+const {
+  USAGE_TYPES,
+  emptyUsage,
+  addResponseUsage,
+  AgentTokenLedger,
+  exceededTokenBudget,
+} = require("./tokenUsage");
+const metrics = require("./metrics");
+const { createHttpHandler } = require("./httpRoutes");
+const { createClientAuthenticator } = require("./clientAuth");
+const { buildTemplateVariables, renderTemplate } = require("./promptTemplate");
+const logger = require("./logger");
 const axios = require("axios");
 
 require("dotenv").config();
 
+// Shared by all sessions so pending summaries survive individual calls
+const summaryOutbox = new SummaryOutbox();
+
+// Live sessions, cleaned up on shutdown once the drain timeout has passed
+const sessions = new Set();
+let isDraining = false;
+
+// Concurrent session limits, checked at init
+const admissionControl = new AdmissionControl();
+
+// Tokens used per agent today, for the per-agent token budgets
+const agentTokenLedger = new AgentTokenLedger();
+
+const DEFAULT_WRAP_UP_INSTRUCTIONS =
+  "Politely tell the caller that you have to end the call now, thank them and say goodbye, " +
+  "in the language of the conversation. Keep it to one or two short sentences.";
+
 /**
  * Creates and configures a WebSocket connection to OpenAI's real-time API.
+ * OPENAI_REALTIME_URL overrides the endpoint, e.g. to point at a local mock server.
  *
  * @returns {WebSocket} Configured WebSocket instance
  */
 const connectToOpenAI = () => {
   const model = process.env.OPENAI_MODEL || "gpt-realtime";
-  return new WebSocket(`wss://api.openai.com/v1/realtime?model=${model}`, {
+  const baseUrl = process.env.OPENAI_REALTIME_URL || "wss://api.openai.com/v1/realtime";
+  return new WebSocket(`${baseUrl}?model=${model}`, {
     headers: {
       Authorization: `Bearer ${process.env.OPENAI_API_KEY}`,
       "OpenAI-Beta": "realtime=v1",
@@ -47,14 +109,17 @@ const connectToOpenAI = () => {
 const fetchCallerInfo = async (sessionUuid) => {
   try {
     const amiUrl = process.env.AMI_URL || "http://127.0.0.1:6006";
-    const response = await axios.post(`${amiUrl}/variables`, {
-      uuid: sessionUuid
-    });
+    const response = await axios.post(
+      `${amiUrl}/variables`,
+      { uuid: sessionUuid },
+      // Session setup waits on this lookup, so never let it hang the call
+      { timeout: +process.env.CALLER_INFO_TIMEOUT_MS || 2000 }
+    );
     
-    console.log("Caller info fetched from PBX:", response.data);
+    logger.debug("caller_info.fetched", "Caller info fetched from PBX", { sessionUuid, callerInfo: response.data });
     return response.data;
   } catch (error) {
-    console.error("Error fetching caller info from PBX:", error.message);
+    logger.error("caller_info.failed", "Error fetching caller info from PBX", { sessionUuid, error: error.message });
     return {
       phoneNumber: null,
       callerName: null,
@@ -71,36 +136,88 @@ const fetchCallerInfo = async (sessionUuid) => {
  * Implements buffering for audio chunks received before WebSocket connection is established.
  *
  * @param {WebSocket} clientWs - Client WebSocket connection
+ * @param {http.IncomingMessage} [req] - Upgrade request, used for the source IP
+ * @returns {{cleanup: Function}} Session handle
  */
-const handleClientConnection = (clientWs) => {
-  console.log("New client WebSocket connection received");
+const handleClientConnection = (clientWs, req) => {
+  metrics.activeSessions.inc();
+  const remoteAddress = req ? req.socket.remoteAddress : null;
+  const clientBinding = (req && req.clientBinding) || null; // uuid/agentId covered by a signed URL
+  let releaseAdmission = null; // Frees this session's concurrency slot
   let sessionUuid = null;
   let callerInfo = null; // Store caller information for the session
+  let callerInfoReady = Promise.resolve(null); // Resolves once the PBX lookup has finished
+  let requestedAgentId = null; // Agent ID sent by the client in the init message
+  let agentId = null; // Agent ID resolved for this session
+
+  // Every line logged for this session carries its current UUID and agent
+  const log = logger.child(() => ({ sessionUuid, agentId: agentId || requestedAgentId }));
+  log.info("client.connected", "New client WebSocket connection received", { remoteAddress });
 
   // Session-specific audio resamplers, tool handlers, and interruption state
+  let audioFormat = negotiateAudioFormat(); // Client audio format, negotiated at init
   let downsampler = null;
   let upsampler = null;
   let sessionToolHandlers = null;
   let interruptsEnabled = false;
   let isGreetingInProgress = false;
+  let greetingLatencyRecorded = false;
 
-  let audioBuffer8k = [];
+  let playout = null; // Paced outbound audio queue
+  let recorder = null; // Call recording, when enabled for the agent
   let ws = null;
   let isInitialized = false;
+  let droppedAudioBeforeInit = false;
+  let isSessionReady = false; // True once OpenAI acknowledged session.update
+  let sessionUpdatePayload = null; // Re-sent to OpenAI after a reconnect
+  let reconnectAttempts = 0;
+  let reconnectTimer = null;
   let lastSentOpenAIResponsePayload = null;
+
+  // Caller audio received before the OpenAI session is ready
+  let pendingCallerAudio = [];
+  let pendingCallerAudioMs = 0;
+
+  // Tool call bookkeeping: outputs are posted per call_id and a single
+  // follow-up response is requested once every call of a response is answered
+  let pendingToolCalls = new Set();
+  let toolOutputsPosted = false;
+  let isResponseInProgress = false;
+  let fillerCallId = null; // Tool call the caller is hearing a filler for
+
+  // Barge-in bookkeeping for the assistant item currently being played back
+  let currentAssistantItemId = null;
+  let assistantAudioReceivedMs = 0; // Audio received from OpenAI for the item
+  let truncatedItemId = null; // Late deltas for this item are dropped
   
   // Track call metadata for summary
   let callStartTime = null;
   let transcripts = [];
+  let usage = emptyUsage(); // Tokens reported in response.done events
+  let tokenBudget = null; // tokenBudgetPerCall and tokenBudgetPerAgent from the session config
+  let isWrappingUp = false; // Token budget exhausted; saying goodbye
+  let isHangingUp = false;
 
   /**
-   * Processes OpenAI audio chunks by downsampling and extracting frames.
-   * Converts 24kHz audio to 8kHz and extracts 20ms frames (160 samples).
+   * Processes OpenAI audio chunks by converting them to PCM16 at the client
+   * sample rate and queueing the result on the session playout, which releases
+   * 20ms frames to the client in real time.
    *
    * @param {Buffer} inputBuffer - Raw audio buffer from OpenAI
-   * @returns {Buffer[]} Array of 20ms audio frames
+   * @param {string} itemId - Assistant item the audio belongs to
    */
-  function processOpenAIAudioChunk(inputBuffer) {
+  function processOpenAIAudioChunk(inputBuffer, itemId) {
+    if (!playout) {
+      log.warn("audio.playout_missing", "Playout not initialized; skipping audio chunk processing");
+      return;
+    }
+
+    if (audioFormat.openaiFormat !== "pcm16") {
+      // G.711 passthrough: decode only, no resampling needed
+      playout.push(decodeG711(inputBuffer, audioFormat.codec), itemId);
+      return;
+    }
+
     // Convert Buffer to Int16Array for processing
     const inputSamples = new Int16Array(
       inputBuffer.buffer,
@@ -108,115 +225,133 @@ const handleClientConnection = (clientWs) => {
       inputBuffer.length / 2
     );
 
-    if (!downsampler) {
-      console.warn("Downsampler not initialized; skipping audio chunk processing");
-      return [];
+    if (!audioFormat.needsResampling) {
+      playout.push(inputSamples, itemId);
+      return;
     }
 
-    // Downsample from 24kHz to 8kHz using session-specific downsampler
-    const downsampledSamples = downsampler.full(inputSamples);
-
-    // Accumulate samples in buffer
-    audioBuffer8k = audioBuffer8k.concat(Array.from(downsampledSamples));
-
-    // Extract 20ms frames (160 samples = 320 bytes)
-    const audioFrames = [];
-    while (audioBuffer8k.length >= 160) {
-      const frame = audioBuffer8k.slice(0, 160);
-      audioBuffer8k = audioBuffer8k.slice(160);
-
-      // Convert to PCM16LE Buffer (320 bytes)
-      audioFrames.push(Buffer.from(Int16Array.from(frame).buffer));
+    if (!downsampler) {
+      log.warn("audio.resampler_missing", "Downsampler not initialized; skipping audio chunk processing");
+      return;
     }
 
-    return audioFrames;
+    // Downsample from 24kHz to the client rate using session-specific downsampler
+    playout.push(downsampler.full(inputSamples), itemId);
   }
 
   function enableInterruptions() {
     if (!interruptsEnabled) {
-      console.log("Enabling interruptions for session", sessionUuid);
+      log.info("interruptions.enabled", "Enabling interruptions");
       interruptsEnabled = true;
     }
   }
 
   /**
-   * Flushes any remaining audio samples in the buffer.
-   * This ensures all audio is sent to the client, preventing cut-off words.
+   * Ends the greeting and lets the caller interrupt once the audio queued in the
+   * playout has been played.
    */
-  function flushAudioBuffer() {
-    if (audioBuffer8k.length > 0) {
-      console.log(`Flushing remaining ${audioBuffer8k.length} audio samples`);
-      
-      // Process all remaining samples in complete frames
-      while (audioBuffer8k.length >= 160) {
-        const frame = audioBuffer8k.slice(0, 160);
-        audioBuffer8k = audioBuffer8k.slice(160);
-        
-        if (clientWs.readyState === WebSocket.OPEN) {
-          const frameBuffer = Buffer.from(Int16Array.from(frame).buffer);
-          clientWs.send(
-            JSON.stringify({
-              type: "audio",
-              audio: frameBuffer.toString("base64"),
-            })
-          );
-        }
+  function endGreetingAfterPlayout() {
+    const uuid = sessionUuid;
+    setTimeout(() => {
+      if (isGreetingInProgress && sessionUuid === uuid) {
+        isGreetingInProgress = false;
+        enableInterruptions();
       }
-      
-      // If there are remaining samples, pad with silence and send
-      if (audioBuffer8k.length > 0) {
-        const paddedFrame = new Int16Array(160);
-        paddedFrame.set(audioBuffer8k.slice(0, Math.min(audioBuffer8k.length, 160)));
-        
-        if (clientWs.readyState === WebSocket.OPEN) {
-          const frameBuffer = Buffer.from(paddedFrame.buffer);
-          clientWs.send(
-            JSON.stringify({
-              type: "audio",
-              audio: frameBuffer.toString("base64"),
-            })
-          );
-        }
+    }, playout ? playout.queuedMs : 0);
+  }
+
+  /**
+   * Sends a 20ms assistant audio frame released by the playout to the client,
+   * encoded in the negotiated client format.
+   *
+   * @param {Int16Array} frame - PCM16 frame at the client sample rate
+   */
+  function sendAudioFrame(frame) {
+    if (clientWs.readyState !== WebSocket.OPEN) {
+      return;
+    }
+    clientWs.send(
+      JSON.stringify({
+        type: "audio",
+        audio: encodeClientAudio(frame, audioFormat).toString("base64"),
+      })
+    );
+    metrics.audioFramesOut.inc();
+    if (recorder) {
+      recorder.writeAgent(frame);
+    }
+
+    if (isGreetingInProgress && !greetingLatencyRecorded && callStartTime) {
+      greetingLatencyRecorded = true;
+      metrics.greetingLatency.observe((Date.now() - callStartTime.getTime()) / 1000);
+    }
+  }
+
+  /**
+   * Handles the caller speaking over the assistant: cancels the active
+   * response, truncates the assistant item at the point the caller actually
+   * heard, and drops any audio still queued for the client.
+   */
+  function handleBargeIn() {
+    if (ws && ws.readyState === WebSocket.OPEN) {
+      if (isResponseInProgress) {
+        ws.send(JSON.stringify({ type: "response.cancel" }));
       }
-      
-      // Add additional silence frames to ensure complete word delivery
-      // This helps prevent cut-off at sentence endings
-      const silenceFrames = 5; // Send 5 additional silence frames (100ms total)
-      for (let i = 0; i < silenceFrames; i++) {
-        const silenceFrame = new Int16Array(160); // All zeros = silence
-        
-        if (clientWs.readyState === WebSocket.OPEN) {
-          const frameBuffer = Buffer.from(silenceFrame.buffer);
-          clientWs.send(
-            JSON.stringify({
-              type: "audio",
-              audio: frameBuffer.toString("base64"),
-            })
-          );
-        }
+
+      const playedMs = playout ? playout.playedMs(currentAssistantItemId) : 0;
+      const audioEndMs = Math.floor(Math.min(playedMs, assistantAudioReceivedMs));
+      if (currentAssistantItemId && audioEndMs < assistantAudioReceivedMs) {
+        log.info("bargein.truncate", `Truncating assistant item at ${audioEndMs}ms of ${assistantAudioReceivedMs}ms`, {
+          itemId: currentAssistantItemId,
+          audioEndMs,
+          receivedMs: assistantAudioReceivedMs,
+        });
+        ws.send(
+          JSON.stringify({
+            type: "conversation.item.truncate",
+            item_id: currentAssistantItemId,
+            content_index: 0,
+            audio_end_ms: audioEndMs,
+          })
+        );
+        truncatedItemId = currentAssistantItemId;
       }
-      
-      console.log("Audio buffer flushed and cleared");
     }
-    
-    // Always clear the buffer, even if it was empty
-    audioBuffer8k = [];
+
+    if (playout) {
+      playout.clear();
+    }
+    currentAssistantItemId = null;
+    assistantAudioReceivedMs = 0;
+    clientWs.send(JSON.stringify({ type: "interruption" }));
   }
 
   /**
-   * Converts 8kHz audio to 24kHz for sending to OpenAI API.
+   * Flushes any remaining audio samples in the playout.
+   * The last partial frame is padded and followed by 100ms of silence so
+   * sentence endings are not cut off.
+   */
+  function flushAudioBuffer() {
+    if (playout) {
+      playout.flush(5);
+    }
+  }
+
+  /**
+   * Converts client audio to the format of the OpenAI session.
+   * G.711 and 24kHz PCM16 pass straight through; 8/16kHz PCM16 is upsampled to 24kHz.
    *
-   * @param {Buffer} inputBuffer - 8kHz audio buffer
-   * @returns {Buffer} 24kHz audio buffer
+   * @param {Buffer} inputBuffer - Audio buffer in the negotiated client format
+   * @returns {Buffer} Audio buffer in the OpenAI input format
    */
-  function convert8kTo24k(inputBuffer) {
-    const inputSamples = new Int16Array(
-      inputBuffer.buffer,
-      inputBuffer.byteOffset,
-      inputBuffer.length / 2
-    );
+  function convertClientAudioToOpenAI(inputBuffer) {
+    if (!audioFormat.needsResampling) {
+      return inputBuffer;
+    }
+
+    const inputSamples = decodeClientAudio(inputBuffer, audioFormat);
     if (!upsampler) {
-      console.warn("Upsampler not initialized; skipping audio conversion");
+      log.warn("audio.resampler_missing", "Upsampler not initialized; skipping audio conversion");
       return Buffer.alloc(0);
     }
 
@@ -224,25 +359,404 @@ const handleClientConnection = (clientWs) => {
     return Buffer.from(Int16Array.from(upsampledSamples).buffer);
   }
 
+  /**
+   * Serializes a tool handler result into the string expected by the
+   * Realtime API for function_call_output items.
+   *
+   * @param {*} content - Value returned by the tool handler
+   * @returns {string} Output string (JSON for structured results)
+   */
+  function serializeToolOutput(content) {
+    if (typeof content === "string") {
+      return content;
+    }
+    if (content === undefined || content === null) {
+      return "";
+    }
+    return JSON.stringify(content);
+  }
+
+  /**
+   * Posts a tool result to OpenAI as a function_call_output item bound to its call_id.
+   *
+   * @param {string} callId - call_id of the function call being answered
+   * @param {*} content - Value returned by the tool handler
+   */
+  function sendToolOutput(callId, content) {
+    if (!ws || ws.readyState !== WebSocket.OPEN) {
+      log.warn("tool.output_dropped", "OpenAI connection not open; dropping tool output", { callId });
+      return;
+    }
+
+    const output = serializeToolOutput(content);
+    log.debug("tool.output", "Sending function_call_output", { callId, output });
+    ws.send(
+      JSON.stringify({
+        type: "conversation.item.create",
+        item: {
+          type: "function_call_output",
+          call_id: callId,
+          output,
+        },
+      })
+    );
+    toolOutputsPosted = true;
+  }
+
+  /**
+   * Lets the caller know a slow tool is still running. After the policy's
+   * filler delay, hold audio is played or the model says a short filler
+   * phrase; one filler at a time, and never over another response.
+   *
+   * @param {string} callId - call_id of the running tool call
+   * @param {Object|null} filler - Filler policy of the tool
+   * @returns {Function} Stops the filler; cuts off hold audio still playing
+   */
+  function startToolFiller(callId, filler) {
+    if (!filler) {
+      return () => {};
+    }
+
+    let isHoldAudioPlaying = false;
+    const isStillRunning = () => pendingToolCalls.has(callId) && fillerCallId === callId;
+    const timer = setTimeout(async () => {
+      if (!pendingToolCalls.has(callId) || fillerCallId || isResponseInProgress) {
+        return;
+      }
+      fillerCallId = callId;
+
+      if (filler.audioFile || filler.audioUrl) {
+        try {
+          const samples = filler.audioFile
+            ? await loadPromptAudio(filler.audioFile, audioFormat.sampleRate)
+            : await fetchPromptAudio(filler.audioUrl, audioFormat.sampleRate, { "X-AVR-UUID": sessionUuid });
+          if (isStillRunning() && playout) {
+            log.info("tool.hold_audio", "Playing hold audio while the tool runs", { callId });
+            isHoldAudioPlaying = true;
+            playout.push(samples, "hold");
+            playout.flush();
+          }
+          return;
+        } catch (error) {
+          log.error("tool.hold_audio_failed", "Failed to load hold audio; using filler speech", {
+            error: error.message,
+          });
+        }
+      }
+
+      if (!isStillRunning() || isResponseInProgress || !ws || ws.readyState !== WebSocket.OPEN) {
+        return;
+      }
+      const instructions = filler.text
+        ? `Say exactly the following and nothing else: "${filler.text}"`
+        : "Briefly tell the caller, in the language of the conversation, that you are checking this " +
+          "and it will take a moment. Say nothing else.";
+      log.info("tool.filler", "Tool is still running; speaking filler phrase", { callId });
+      const fillerPayload = { type: "response.create", response: { instructions, tool_choice: "none" } };
+      lastSentOpenAIResponsePayload = fillerPayload;
+      ws.send(JSON.stringify(fillerPayload));
+    }, filler.delayMs);
+
+    return () => {
+      clearTimeout(timer);
+      if (fillerCallId === callId) {
+        fillerCallId = null;
+      }
+      if (isHoldAudioPlaying && playout) {
+        isHoldAudioPlaying = false;
+        playout.clear();
+      }
+    };
+  }
+
+  /**
+   * Requests a follow-up response once all pending tool calls have been
+   * answered and the response that issued them has finished.
+   */
+  function requestToolFollowUp() {
+    if (!toolOutputsPosted || pendingToolCalls.size > 0 || isResponseInProgress) {
+      return;
+    }
+    if (!ws || ws.readyState !== WebSocket.OPEN) {
+      return;
+    }
+
+    toolOutputsPosted = false;
+    const toolResponsePayload = { type: "response.create" };
+    lastSentOpenAIResponsePayload = toolResponsePayload;
+    ws.send(JSON.stringify(toolResponsePayload));
+  }
+
+  /**
+   * Converts caller audio and appends it to the OpenAI input audio buffer.
+   *
+   * @param {Buffer} audioBuffer - Audio from the client in the negotiated format
+   */
+  function sendCallerAudio(audioBuffer) {
+    const convertedAudio = convertClientAudioToOpenAI(audioBuffer);
+    ws.send(
+      JSON.stringify({
+        type: "input_audio_buffer.append",
+        audio: convertedAudio.toString("base64"),
+      })
+    );
+  }
+
+  /**
+   * Holds caller audio while the OpenAI connection and session are being set up.
+   * The buffer is bounded by PRECONNECT_BUFFER_MS; PRECONNECT_BUFFER_OVERFLOW
+   * selects whether the oldest ("drop-oldest", default) or the newest
+   * ("drop-newest") audio is discarded once it is full.
+   *
+   * @param {Buffer} audioBuffer - Audio from the client in the negotiated format
+   */
+  function bufferCallerAudio(audioBuffer) {
+    const maxMs = process.env.PRECONNECT_BUFFER_MS !== undefined ? +process.env.PRECONNECT_BUFFER_MS : 5000;
+    const dropNewest = process.env.PRECONNECT_BUFFER_OVERFLOW === "drop-newest";
+    const chunkMs = audioBuffer.length / audioFormat.bytesPerMs;
+
+    if (pendingCallerAudio.length === 0) {
+      log.info("audio.buffering", "OpenAI session not ready, buffering caller audio");
+    }
+
+    if (pendingCallerAudioMs + chunkMs > maxMs) {
+      if (dropNewest || chunkMs > maxMs) {
+        return;
+      }
+      while (pendingCallerAudio.length > 0 && pendingCallerAudioMs + chunkMs > maxMs) {
+        pendingCallerAudioMs -= pendingCallerAudio.shift().length / audioFormat.bytesPerMs;
+      }
+    }
+
+    pendingCallerAudio.push(audioBuffer);
+    pendingCallerAudioMs += chunkMs;
+  }
+
+  /**
+   * Replays buffered caller audio into OpenAI once the session is ready.
+   */
+  function replayCallerAudio() {
+    if (pendingCallerAudio.length === 0) {
+      return;
+    }
+    log.info("audio.replay", "Replaying buffered caller audio", { durationMs: Math.round(pendingCallerAudioMs) });
+    pendingCallerAudio.forEach(sendCallerAudio);
+    pendingCallerAudio = [];
+    pendingCallerAudioMs = 0;
+  }
+
+  /**
+   * Resolves the agent serving this session. The init message wins, then
+   * PBX channel variables, then the AGENT_ID environment variable.
+   *
+   * @returns {Promise<string|null>} Agent ID or null if none is configured
+   */
+  async function resolveSessionAgentId() {
+    if (requestedAgentId) {
+      return requestedAgentId;
+    }
+
+    const info = await callerInfoReady;
+    return (
+      info?.agentId ||
+      info?.agent_id ||
+      info?.AGENT_ID ||
+      process.env.AGENT_ID ||
+      null
+    );
+  }
+
+  /**
+   * Starts the call with the agent's greeting: a pre-rendered recording if
+   * one is configured, otherwise the greeting text spoken by the model,
+   * framed by the wrapper prompt for the agent's language. The greeting in
+   * AGENT_CONFIG_FILE applies unless the agent API overrides it.
+   *
+   * @param {AgentApiClient} apiClient - Agent API client
+   * @param {Object} templateVariables - Prompt template variables
+   * @param {Object} sessionConfig - Resolved session settings
+   */
+  async function sendGreeting(apiClient, templateVariables, sessionConfig) {
+    let greetingData = null;
+    if (agentId && apiClient.isConfigured()) {
+      try {
+        greetingData = await apiClient.getGreeting(agentId, sessionUuid);
+        log.debug("greeting.fetched", "Greeting data received", { greeting: greetingData });
+      } catch (error) {
+        // Agents without a greeting on the API are expected to answer 404
+        if (!error.response || error.response.status !== 404) {
+          log.warn("greeting.fetch_failed", "Error fetching greeting; using the local greeting", {
+            error: error.message,
+          });
+        }
+      }
+    }
+
+    const localConfig = await loadLocalAgentConfig(agentId);
+    const greeting = resolveGreeting({
+      greetingData,
+      localConfig: isPlainObject(localConfig.greeting) ? localConfig.greeting : {},
+      fallbackLanguage: sessionConfig.transcription.language,
+      variables: templateVariables,
+    });
+    if (!greeting) {
+      log.info("greeting.skipped", "No greeting text found or greeting is empty");
+      enableInterruptions();
+      return;
+    }
+
+    if ((greeting.audioFile || greeting.audioUrl) && (await playGreetingAudio(greeting))) {
+      return;
+    }
+    if (!greeting.instructions) {
+      enableInterruptions();
+      return;
+    }
+
+    log.info("greeting.send", "Sending greeting as first utterance", {
+      transcript: greeting.text,
+      language: greeting.language,
+    });
+    const greetingPayload = {
+      type: "response.create",
+      response: {
+        instructions: greeting.instructions,
+      },
+    };
+    lastSentOpenAIResponsePayload = greetingPayload;
+    isGreetingInProgress = true;
+    ws.send(JSON.stringify(greetingPayload));
+  }
+
+  /**
+   * Plays a pre-rendered greeting recording and adds its text to the
+   * conversation so the model knows what the caller has heard.
+   *
+   * @param {Object} greeting - Resolved greeting
+   * @returns {Promise<boolean>} False if the recording could not be played
+   */
+  async function playGreetingAudio(greeting) {
+    let samples;
+    try {
+      samples = greeting.audioFile
+        ? await loadPromptAudio(greeting.audioFile, audioFormat.sampleRate)
+        : await fetchPromptAudio(greeting.audioUrl, audioFormat.sampleRate, { "X-AVR-UUID": sessionUuid });
+    } catch (error) {
+      log.error("greeting.audio_failed", "Failed to load greeting audio; falling back to the model", {
+        error: error.message,
+      });
+      return false;
+    }
+    if (!playout) {
+      return false;
+    }
+
+    log.info("greeting.audio", "Playing pre-rendered greeting", {
+      durationMs: Math.round((samples.length / audioFormat.sampleRate) * 1000),
+      transcript: greeting.text,
+    });
+    isGreetingInProgress = true;
+    playout.push(samples, "greeting");
+    playout.flush();
+
+    if (greeting.text) {
+      if (ws && ws.readyState === WebSocket.OPEN) {
+        ws.send(
+          JSON.stringify({
+            type: "conversation.item.create",
+            item: {
+              type: "message",
+              role: "assistant",
+              content: [{ type: "text", text: greeting.text }],
+            },
+          })
+        );
+      }
+      clientWs.send(JSON.stringify({ type: "transcript", role: "agent", text: greeting.text }));
+      transcripts.push({ role: "agent", text: greeting.text, timestamp: new Date().toISOString() });
+    }
+
+    // The caller can interrupt once the recording has played
+    endGreetingAfterPlayout();
+    return true;
+  }
+
   // Handle client WebSocket messages
   clientWs.on("message", (data) => {
     try {
       const message = JSON.parse(data);
       switch (message.type) {
         case "init":
+          try {
+            audioFormat = negotiateAudioFormat({
+              codec: message.codec || message.encoding,
+              sampleRate: message.sampleRate || message.sample_rate,
+            });
+          } catch (error) {
+            log.warn("session.rejected", "Rejecting init with unsupported audio format", {
+              sessionUuid: message.uuid,
+              reason: "unsupported_audio_format",
+              error: error.message,
+            });
+            clientWs.send(JSON.stringify({ type: "error", code: "unsupported_audio_format", message: error.message }));
+            break;
+          }
+
+          if (
+            clientBinding &&
+            ((clientBinding.uuid && message.uuid !== clientBinding.uuid) ||
+              (clientBinding.agentId && (message.agentId || message.agent_id) !== clientBinding.agentId))
+          ) {
+            log.warn("session.rejected", "Rejecting init that does not match the signed URL", {
+              sessionUuid: message.uuid,
+              reason: "init_not_signed",
+            });
+            clientWs.send(JSON.stringify({
+              type: "error",
+              code: "init_not_signed",
+              message: "uuid or agentId differs from the signed URL",
+            }));
+            clientWs.close(1008, "Policy violation");
+            break;
+          }
+
+          if (!releaseAdmission) {
+            const admission = admissionControl.admit(remoteAddress);
+            if (!admission.ok) {
+              log.warn("session.rejected", "Rejecting init: server at capacity", {
+                sessionUuid: message.uuid,
+                reason: admission.reason,
+                remoteAddress,
+              });
+              metrics.admissionRejections.inc({ reason: admission.reason });
+              clientWs.send(JSON.stringify({
+                type: "error",
+                code: admission.reason,
+                message: "Server is at capacity, please retry on another instance",
+              }));
+              clientWs.close(1013, "Try again later");
+              break;
+            }
+            releaseAdmission = admission.release;
+          }
+
           sessionUuid = message.uuid;
-          console.log("Session UUID:", sessionUuid);
+          requestedAgentId = message.agentId || message.agent_id || null;
+          log.info("session.init", "Session initialized", {
+            codec: audioFormat.codec,
+            sampleRate: audioFormat.sampleRate,
+          });
           
           // Track call start time
           callStartTime = new Date();
           
           // Fetch caller information from PBX/AMI asynchronously
-          (async () => {
+          callerInfoReady = (async () => {
             try {
               callerInfo = await fetchCallerInfo(sessionUuid);
-              console.log("Caller information fetched from PBX:", callerInfo);
+              log.info("caller_info.fetched", "Caller information fetched from PBX", { callerInfo });
             } catch (error) {
-              console.error("Error fetching caller info:", error);
+              log.error("caller_info.failed", "Error fetching caller info", { error });
               callerInfo = {
                 phoneNumber: null,
                 callerName: null,
@@ -252,6 +766,7 @@ const handleClientConnection = (clientWs) => {
                 extension: null
               };
             }
+            return callerInfo;
           })();
           
           // Initialize OpenAI connection when client is ready
@@ -259,7 +774,7 @@ const handleClientConnection = (clientWs) => {
             initializeOpenAIConnection();
             isInitialized = true;
           } else {
-            console.log("Session already initialized, reusing connection");
+            log.info("session.reused", "Session already initialized, reusing connection");
             // Send ready signal to client
             clientWs.send(JSON.stringify({
               type: "ready",
@@ -270,27 +785,34 @@ const handleClientConnection = (clientWs) => {
 
         case "audio":
           // Handle audio data from client
-          if (message.audio && ws && ws.readyState === WebSocket.OPEN) {
-            const audioBuffer = Buffer.from(message.audio, "base64");
-            const upsampledAudio = convert8kTo24k(audioBuffer);
-            ws.send(
-              JSON.stringify({
-                type: "input_audio_buffer.append",
-                audio: upsampledAudio.toString("base64"),
-              })
-            );
-          } else if (message.audio && !ws) {
-            console.log("OpenAI connection not ready, buffering audio");
-            // Could implement audio buffering here if needed
+          if (!message.audio) {
+            break;
+          }
+          metrics.audioFramesIn.inc();
+          if (!isInitialized) {
+            // The format is only known once init has negotiated it
+            if (!droppedAudioBeforeInit) {
+              droppedAudioBeforeInit = true;
+              log.warn("audio.dropped_before_init", "Dropping caller audio received before init");
+            }
+            break;
+          }
+          const callerAudio = Buffer.from(message.audio, "base64");
+          if (recorder) {
+            recorder.writeCaller(decodeClientAudio(callerAudio, audioFormat));
+          }
+          if (isSessionReady && ws && ws.readyState === WebSocket.OPEN) {
+            sendCallerAudio(callerAudio);
+          } else {
+            bufferCallerAudio(callerAudio);
           }
           break;
 
         case "reset":
           // Reset session for new conversation
-          console.log("Resetting session for new conversation");
+          log.info("session.reset", "Resetting session for new conversation");
           // Flush any remaining audio before reset
           flushAudioBuffer();
-          audioBuffer8k = [];
           if (ws && ws.readyState === WebSocket.OPEN) {
             // Send conversation reset to OpenAI
             ws.send(JSON.stringify({
@@ -308,11 +830,11 @@ const handleClientConnection = (clientWs) => {
           break;
 
         default:
-          console.log("Unknown message type from client:", message.type);
+          log.warn("client.unknown_message", "Unknown message type from client", { messageType: message.type });
           break;
       }
     } catch (error) {
-      console.error("Error processing client message:", error);
+      log.error("client.message_failed", "Error processing client message", { error });
     }
   });
 
@@ -323,22 +845,72 @@ const handleClientConnection = (clientWs) => {
       ws.close();
     }
     
-    ws = connectToOpenAI();
+    const socket = connectToOpenAI();
+    ws = socket;
 
     // Configure WebSocket event handlers
     ws.on("open", async () => {
-      console.log("WebSocket connected to OpenAI");
+      log.info("openai.connected", "WebSocket connected to OpenAI");
+
+      if (sessionUpdatePayload) {
+        restoreSession();
+        return;
+      }
+
+      // A reconnect can replace this socket, and the call can end, while the session is set up
+      const openedFor = sessionUuid;
+      const isStale = () => socket !== ws || sessionUuid !== openedFor;
+
       const apiClient = new AgentApiClient();
 
+      const resolvedAgentId = await resolveSessionAgentId();
+      if (isStale()) {
+        return;
+      }
+      agentId = resolvedAgentId;
+      log.info("session.agent", `Using agent ID ${agentId || "(none)"}`);
+
+      // Caller info must be available before prompts are rendered
+      await callerInfoReady;
+      if (isStale()) {
+        return;
+      }
+      const templateVariables = buildTemplateVariables(callerInfo, { sessionUuid, agentId });
+
       interruptsEnabled = false;
       isGreetingInProgress = false;
 
       try {
-        downsampler = await create(1, 24000, 8000); // 1 channel, 24kHz to 8kHz
-        upsampler = await create(1, 8000, 24000); // 1 channel, 8kHz to 24kHz
-        console.log(`Session ${sessionUuid}: Audio resamplers initialized`);
+        // A reconnect before session.update was sent gets here with the previous resamplers
+        destroyResamplers();
+        if (audioFormat.needsResampling) {
+          // 1 channel, OpenAI rate (24kHz) to and from the client rate
+          const nextDownsampler = await create(1, audioFormat.openaiSampleRate, audioFormat.sampleRate);
+          const nextUpsampler = await create(1, audioFormat.sampleRate, audioFormat.openaiSampleRate);
+          if (isStale()) {
+            nextDownsampler.destroy();
+            nextUpsampler.destroy();
+            return;
+          }
+          downsampler = nextDownsampler;
+          upsampler = nextUpsampler;
+          log.info("audio.resamplers_ready", "Audio resamplers initialized");
+        } else {
+          log.info("audio.passthrough", `Passing ${audioFormat.openaiFormat} audio through without resampling`);
+        }
+        if (playout) {
+          playout.stop();
+        }
+        playout = new AudioPlayout({
+          onFrame: sendAudioFrame,
+          sampleRate: audioFormat.sampleRate,
+          frameMs: audioFormat.frameMs,
+        });
       } catch (error) {
-        console.error(`Session ${sessionUuid}: Failed to initialize audio resamplers`, error);
+        if (isStale()) {
+          return;
+        }
+        log.error("audio.resamplers_failed", "Failed to initialize audio resamplers", { error });
         clientWs.send(
           JSON.stringify({
             type: "error",
@@ -349,125 +921,89 @@ const handleClientConnection = (clientWs) => {
         return;
       }
 
+      // Voice, turn detection, transcription and model parameters for this agent
+      const { config: sessionConfig, settings } = await loadSessionConfig({ apiClient, agentId, sessionUuid });
+      if (isStale()) {
+        return;
+      }
+      tokenBudget = sessionConfig;
+      // An agent that has used up its daily budget does not start another call
+      if (enforceTokenBudget()) {
+        return;
+      }
+      if (sessionConfig.recording) {
+        await startRecording();
+        if (isStale()) {
+          return;
+        }
+      }
+
       // Initialize session with audio format specifications
       const obj = {
         type: "session.update",
         session: {
-          input_audio_format: "pcm16",
-          input_audio_transcription: {
-            model: "whisper-1",
-            language: "de", // Set German as default language for transcription
-          },
-          output_audio_format: "pcm16",
-          turn_detection: {
-            type: "server_vad",
-            threshold: 0.7,
-            prefix_padding_ms: 300,
-            silence_duration_ms: 500,
-            create_response: true, // only in conversation mode
-            interrupt_response: false,
-          },
-          instructions:
-            "You are a helpful assistant that can answer questions and help with tasks. Please respond in German unless specifically asked to use another language.",
-          temperature: +process.env.OPENAI_TEMPERATURE || 0.8,
-          max_response_output_tokens: +process.env.OPENAI_MAX_TOKENS || "inf",
+          input_audio_format: audioFormat.openaiFormat,
+          output_audio_format: audioFormat.openaiFormat,
+          ...settings,
         },
       };
 
-      // Load instructions from AGENT_ID endpoint
-      if (process.env.AGENT_ID) {
-        console.log(`Loading instructions for agent ID: ${process.env.AGENT_ID}`);
-        
-        if (!apiClient.isConfigured()) {
-          console.warn(
-            "AGENT_API_BASE_URL is not set. Skipping agent instructions fetch and using default instructions."
-          );
-          obj.session.instructions =
-            "You are a helpful assistant that can answer questions and help with tasks.";
-        } else {
-          try {
-            const data = await apiClient.getSystemInstructions(process.env.AGENT_ID, sessionUuid);
-            console.log("Loaded instructions from agent endpoint:", data);
-            obj.session.instructions = data.system || data.instructions || data;
-          } catch (error) {
-            console.error(
-              `Error loading instructions for agent ${process.env.AGENT_ID}: ${error.message}`
-            );
-            console.log("Falling back to default instructions");
-            obj.session.instructions =
-              "You are a helpful assistant that can answer questions and help with tasks.";
-          }
-        }
-      } else {
-        console.log("No AGENT_ID provided, using default instructions");
-        obj.session.instructions =
-          "You are a helpful assistant that can answer questions and help with tasks.";
+      // Resolve instructions: agent API, then the OPENAI_* sources, then the default
+      const { instructions } = await loadInstructions({ apiClient, agentId, sessionUuid });
+      if (isStale()) {
+        return;
       }
+      obj.session.instructions = renderTemplate(instructions, templateVariables);
 
       // Load available tools for OpenAI
       try {
-        let apiTools = [];
-        if (process.env.AGENT_ID && apiClient.isConfigured()) {
+        let toolsResponse = null;
+        if (agentId && apiClient.isConfigured()) {
           try {
-            apiTools = await apiClient.getTools(process.env.AGENT_ID, sessionUuid);
-            if (!Array.isArray(apiTools)) {
-              apiTools = [];
-            }
+            toolsResponse = await apiClient.getTools(agentId, sessionUuid);
           } catch (error) {
-            console.error(`Error fetching API tools for agent ${process.env.AGENT_ID}: ${error.message}`);
-            apiTools = [];
+            log.error("tools.fetch_failed", "Error fetching API tools", { error: error.message });
+          }
+          if (isStale()) {
+            return;
           }
         }
+        const localConfig = await loadLocalAgentConfig(agentId);
+        if (isStale()) {
+          return;
+        }
+        const { apiTools, localTools, mcpServers } = parseToolsResponse(toolsResponse, localConfig);
+        const mcpTools = await loadMcpTools(mcpServers);
+        if (isStale()) {
+          return;
+        }
 
-        // Register API tool handlers and build combined tool list
-        sessionToolHandlers = setApiTools(apiTools);
-        obj.session.tools = loadTools(apiTools);
-        console.log(`Loaded ${obj.session.tools.length} tools for OpenAI (including ${apiTools.length} from API)`);
+        // Register the agent's tool handlers and build combined tool list
+        const remoteTools = [...apiTools, ...mcpTools];
+        sessionToolHandlers = setApiTools(remoteTools, localTools);
+        obj.session.tools = loadTools(remoteTools, localTools);
+        log.info("tools.loaded", `Loaded ${obj.session.tools.length} tools for OpenAI`, {
+          tools: obj.session.tools.map((tool) => tool.name),
+          apiTools: apiTools.length,
+          mcpTools: mcpTools.length,
+        });
       } catch (error) {
-        console.error(`Error loading tools for OpenAI: ${error.message}`);
+        log.error("tools.load_failed", "Error loading tools for OpenAI", { error: error.message });
       }
 
-      console.log(obj.session);
+      log.debug("openai.session_update", "Sending session.update", { session: obj.session });
 
-      ws.send(JSON.stringify(obj));
+      sessionUpdatePayload = obj;
+      socket.send(JSON.stringify(obj));
 
       // If a greeting is configured on the API, say it as the first utterance
       try {
-        if (process.env.AGENT_ID && apiClient.isConfigured()) {
-          console.log(`Fetching greeting for agent ${process.env.AGENT_ID}...`);
-          const greetingData = await apiClient.getGreeting(process.env.AGENT_ID, sessionUuid);
-          console.log("Greeting data received:", greetingData);
-          
-          const greetingText = (greetingData && (greetingData.greeting || greetingData.text || greetingData)) || "";
-          console.log("Extracted greeting text:", greetingText);
-          
-          if (typeof greetingText === "string" && greetingText.trim().length > 0) {
-            const exactGreeting = greetingText.trim();
-            console.log(`Sending greeting as first utterance: "${exactGreeting}"`);
-            let greetingInstructions = `Du hast grade den Hörer abgenommen. Sage genau und ausschließlich folgendes, ohne Zusätze: \"${exactGreeting}\"`;
-            if (typeof greetingInstructions !== "string") {
-              greetingInstructions = String(greetingInstructions);
-            }
-            const greetingPayload = {
-              type: "response.create",
-              response: {
-                instructions: greetingInstructions,
-              },
-            };
-            console.log("OpenAI payload (greeting) instructions type:", typeof greetingPayload.response.instructions);
-            lastSentOpenAIResponsePayload = greetingPayload;
-            isGreetingInProgress = true;
-            ws.send(JSON.stringify(greetingPayload));
-          } else {
-            console.log("No greeting text found or greeting is empty");
-            enableInterruptions();
-          }
-        } else {
-          console.log("No AGENT_ID or API not configured, skipping greeting");
-          enableInterruptions();
-        }
+        await sendGreeting(apiClient, templateVariables, sessionConfig);
       } catch (error) {
-        console.error("Failed to fetch or send greeting:", error.message);
+        if (isStale()) {
+          return;
+        }
+        log.error("greeting.failed", "Failed to fetch or send greeting", { error: error.message });
         enableInterruptions();
       }
     });
@@ -478,10 +1014,10 @@ const handleClientConnection = (clientWs) => {
 
         switch (message.type) {
           case "error":
-            console.error("OpenAI API error:", message.error);
-          if (lastSentOpenAIResponsePayload) {
-            console.error("Last sent response.create payload:", lastSentOpenAIResponsePayload);
-          }
+            log.error("openai.error", "OpenAI API error", {
+              error: message.error,
+              lastResponsePayload: lastSentOpenAIResponsePayload,
+            });
             clientWs.send(
               JSON.stringify({
                 type: "error",
@@ -491,55 +1027,63 @@ const handleClientConnection = (clientWs) => {
             break;
 
           case "session.updated":
-            console.log("Session updated:", message);
+            log.debug("openai.session_updated", "Session updated", { session: message.session });
+            if (!isSessionReady) {
+              isSessionReady = true;
+              reconnectAttempts = 0;
+              replayCallerAudio();
+            }
             break;
 
           case "response.audio.delta":
+            if (message.item_id && message.item_id === truncatedItemId) {
+              // Caller already interrupted this item; drop late audio
+              break;
+            }
+            if (message.item_id !== currentAssistantItemId) {
+              currentAssistantItemId = message.item_id;
+              assistantAudioReceivedMs = 0;
+            }
             const audioChunk = Buffer.from(message.delta, "base64");
-            const audioFrames = processOpenAIAudioChunk(audioChunk);
-            // Send audio frames to client
-            audioFrames.forEach((frame) => {
-              if (clientWs.readyState === WebSocket.OPEN) {
-                clientWs.send(
-                  JSON.stringify({
-                    type: "audio",
-                    audio: frame.toString("base64"),
-                  })
-                );
-              }
-            });
+            assistantAudioReceivedMs += audioChunk.length / audioFormat.openaiBytesPerMs;
+            processOpenAIAudioChunk(audioChunk, message.item_id);
             break;
 
-          case "response.audio_started":
-            // New response started, ensure buffer is clean
-            console.log("New audio response started, clearing buffer");
-            audioBuffer8k = [];
+          case "response.created":
+            isResponseInProgress = true;
             break;
 
           case "response.audio.done":
             // Flush any remaining audio when response audio is complete
-            console.log("Response audio completed, flushing buffer");
-            // Immediate flush to ensure all audio is sent
-          flushAudioBuffer();
-          if (isGreetingInProgress) {
-            isGreetingInProgress = false;
-            enableInterruptions();
-          }
+            log.debug("openai.response_audio_done", "Response audio completed, flushing buffer");
+            flushAudioBuffer();
+            if (isGreetingInProgress) {
+              endGreetingAfterPlayout();
+            }
             break;
 
           case "response.done":
-            // Also flush on overall response completion
-            console.log("Response completed, ensuring buffer is flushed");
-            // Immediate flush to ensure all audio is sent
-          flushAudioBuffer();
-          if (isGreetingInProgress) {
-            isGreetingInProgress = false;
-            enableInterruptions();
-          }
+            log.debug("openai.response_done", "Response completed");
+            // A greeting without audio never gets response.audio.done
+            if (isGreetingInProgress) {
+              endGreetingAfterPlayout();
+            }
+            isResponseInProgress = false;
+            if (message.response && message.response.usage) {
+              recordUsage(message.response.usage);
+            }
+            if (isWrappingUp) {
+              hangUpOverBudget();
+              break;
+            }
+            if (enforceTokenBudget()) {
+              break;
+            }
+            requestToolFollowUp();
             break;
 
         case "response.cancelled":
-          console.log("Response cancelled", message);
+          log.info("openai.response_cancelled", "Response cancelled");
           if (isGreetingInProgress) {
             isGreetingInProgress = false;
             enableInterruptions();
@@ -547,45 +1091,90 @@ const handleClientConnection = (clientWs) => {
           break;
 
           case "response.function_call_arguments.done":
-            console.log("Function call arguments streaming completed", message);
-            // Get the appropriate handler for the tool
-            const handler = getToolHandler(message.name, sessionToolHandlers);
-            if (!handler) {
-              console.error(`No handler found for tool: ${message.name}`);
-              return;
-            }
+            log.info("tool.call", `Tool call ${message.name}`, {
+              tool: message.name,
+              callId: message.call_id,
+              arguments: message.arguments,
+            });
 
+            pendingToolCalls.add(message.call_id);
+            const toolStartedAt = Date.now();
+            let toolStatus = "success";
+            let stopToolFiller = () => {};
             try {
-              // Execute the tool handler with the provided arguments and caller info
-              const content = await handler(
-                sessionUuid,
-                JSON.parse(message.arguments),
-                callerInfo // Pass caller information to the tool handler
-              );
-              console.log("Tool response:", content);
-              const responseText =
-                (content && typeof content === "object"
-                  ? (content.message || content.text || JSON.stringify(content))
-                  : String(content));
-              console.log(`Tool response for ${message.name}:`, content);
-              console.log(`Sending tool response text: "${responseText}"`);
-              let instructionsText = responseText;
-              if (typeof instructionsText !== "string") {
-                instructionsText = (instructionsText == null) ? "" : (typeof instructionsText.toString === "function" ? instructionsText.toString() : JSON.stringify(instructionsText));
+              // Get the appropriate handler for the tool
+              const handler = getToolHandler(message.name, sessionToolHandlers);
+
+              const toolArguments = parseToolArguments(message.name, message.arguments, sessionToolHandlers);
+              if (!toolArguments.ok) {
+                // Let the model ask the caller for the missing or corrected values
+                log.warn("tool.invalid_arguments", `Invalid arguments for tool ${message.name}`, {
+                  tool: message.name,
+                  callId: message.call_id,
+                  errors: toolArguments.errors,
+                });
+                toolStatus = "invalid_arguments";
+                sendToolOutput(message.call_id, {
+                  error: "invalid_arguments",
+                  message: `The tool was not run: ${toolArguments.errors.join("; ")}. Ask the caller for the missing or corrected information, then call the tool again.`,
+                });
+                break;
               }
-              const toolResponsePayload = {
-                type: "response.create",
-                response: {
-                  instructions: instructionsText,
-                },
-              };
-              console.log("OpenAI payload (tool) instructions type:", typeof toolResponsePayload.response.instructions);
-              lastSentOpenAIResponsePayload = toolResponsePayload;
-              ws.send(JSON.stringify(toolResponsePayload));
+
+              const policy = getToolPolicy(message.name, sessionToolHandlers);
+              stopToolFiller = startToolFiller(message.call_id, policy.filler);
+
+              // Execute the tool handler with the validated arguments and caller info;
+              // lines it logs are tagged with this session
+              const content = await runWithPolicy(
+                () =>
+                  logger.runWithContext({ sessionUuid, agentId }, () =>
+                    handler(
+                      sessionUuid,
+                      toolArguments.args,
+                      callerInfo // Pass caller information to the tool handler
+                    )
+                  ),
+                policy,
+                {
+                  onRetry: (attempt, error) => {
+                    log.warn("tool.retry", `Retrying tool ${message.name} after attempt ${attempt}`, {
+                      tool: message.name,
+                      callId: message.call_id,
+                      attempt,
+                      error: error.message,
+                    });
+                  },
+                }
+              );
+              log.info("tool.result", `Tool ${message.name} completed`, {
+                tool: message.name,
+                callId: message.call_id,
+                durationMs: Date.now() - toolStartedAt,
+              });
+              stopToolFiller();
+              sendToolOutput(message.call_id, content);
             } catch (error) {
-              // Handle errors during tool execution
-              console.error(`Error executing tool ${message.name}:`, error);
-              return;
+              // Report the failure so the model can tell the caller instead of going silent
+              toolStatus = error.code === "tool_timeout" ? "timeout" : "error";
+              log.error("tool.failed", `Error executing tool ${message.name}`, {
+                tool: message.name,
+                callId: message.call_id,
+                status: toolStatus,
+                error,
+              });
+              stopToolFiller();
+              sendToolOutput(message.call_id, {
+                error: toolStatus === "timeout" ? "tool_timeout" : "tool_failed",
+                message: `${
+                  toolStatus === "timeout" ? "The tool did not respond in time." : `The tool failed: ${error.message}.`
+                } Tell the caller this could not be done right now and offer another way to help.`,
+              });
+            } finally {
+              metrics.toolCalls.inc({ tool: message.name, status: toolStatus });
+              metrics.toolCallDuration.observe({ tool: message.name }, (Date.now() - toolStartedAt) / 1000);
+              pendingToolCalls.delete(message.call_id);
+              requestToolFollowUp();
             }
             break;
 
@@ -596,7 +1185,7 @@ const handleClientConnection = (clientWs) => {
               text: message.transcript,
             };
             clientWs.send(JSON.stringify(agentData));
-            console.log("Agent transcript:", agentData);
+            log.info("transcript.agent", "Agent transcript", { transcript: message.transcript });
             
             // Store transcript for call summary
             transcripts.push({
@@ -607,11 +1196,11 @@ const handleClientConnection = (clientWs) => {
             break;
 
           case "input_audio_buffer.speech_started":
-            console.log("Audio streaming started");
+            log.debug("openai.speech_started", "Caller speech started");
           if (interruptsEnabled) {
-            clientWs.send(JSON.stringify({ type: "interruption" }));
+            handleBargeIn();
           } else {
-            console.log("Ignoring interruption signal during greeting phase");
+            log.info("bargein.ignored", "Ignoring interruption signal during greeting phase");
           }
             break;
 
@@ -622,7 +1211,7 @@ const handleClientConnection = (clientWs) => {
               text: message.transcript,
             };
             clientWs.send(JSON.stringify(userData));
-            console.log("User transcript:", userData);
+            log.info("transcript.user", "User transcript", { transcript: message.transcript });
             
             // Store transcript for call summary
             transcripts.push({
@@ -633,55 +1222,317 @@ const handleClientConnection = (clientWs) => {
             break;
 
           default:
-            console.log("Received message type:", message.type);
+            log.debug("openai.event", `Received message type: ${message.type}`, { messageType: message.type });
             break;
         }
       } catch (error) {
-        console.error("Error processing WebSocket message:", error);
+        log.error("openai.message_failed", "Error processing WebSocket message", { error });
       }
     });
 
-    ws.on("close", () => {
-      console.log("OpenAI WebSocket connection closed");
+    ws.on("close", (code) => {
+      log.info("openai.closed", `OpenAI WebSocket connection closed (code ${code})`, { code });
+      if (socket !== ws) {
+        // Superseded by a newer connection
+        return;
+      }
       // Flush any remaining audio before closing
       flushAudioBuffer();
+      isSessionReady = false;
+      isResponseInProgress = false;
+
+      // Keep the call alive if the caller is still connected
+      if (sessionUuid && clientWs.readyState === WebSocket.OPEN) {
+        metrics.openaiConnectionFailures.inc();
+        scheduleReconnect();
+        return;
+      }
+
       // Reset initialization state to allow reconnection
       isInitialized = false;
     });
 
     ws.on("error", (err) => {
-      console.error("OpenAI WebSocket error:", err);
-      cleanup();
+      // A close event always follows; reconnection is handled there
+      log.error("openai.socket_error", "OpenAI WebSocket error", { error: err });
     });
   };
 
+  /**
+   * Reconnects to OpenAI with exponential backoff after the socket dropped.
+   * Gives up after OPENAI_RECONNECT_ATTEMPTS attempts.
+   */
+  function scheduleReconnect() {
+    const maxAttempts =
+      process.env.OPENAI_RECONNECT_ATTEMPTS !== undefined ? +process.env.OPENAI_RECONNECT_ATTEMPTS : 5;
+    if (reconnectAttempts >= maxAttempts) {
+      log.error("openai.reconnect_failed", `Giving up after ${reconnectAttempts} reconnect attempts`);
+      handleReconnectFailure();
+      return;
+    }
+
+    const baseDelay = +process.env.OPENAI_RECONNECT_BASE_DELAY_MS || 500;
+    const delay = Math.min(baseDelay * 2 ** reconnectAttempts, 10000);
+    reconnectAttempts++;
+    log.warn("openai.reconnect", `Reconnecting to OpenAI in ${delay}ms (attempt ${reconnectAttempts}/${maxAttempts})`, {
+      attempt: reconnectAttempts,
+      delayMs: delay,
+    });
+    reconnectTimer = setTimeout(() => {
+      reconnectTimer = null;
+      initializeOpenAIConnection();
+    }, delay);
+  }
+
+  /**
+   * Restores a dropped session on a new OpenAI socket: re-sends the original
+   * session.update and replays the transcript so the model keeps its context.
+   */
+  function restoreSession() {
+    log.info("openai.restore", `Restoring session with ${transcripts.length} transcript entries`);
+    ws.send(JSON.stringify(sessionUpdatePayload));
+
+    transcripts.forEach((entry) => {
+      const isAgent = entry.role === "agent";
+      ws.send(
+        JSON.stringify({
+          type: "conversation.item.create",
+          item: {
+            type: "message",
+            role: isAgent ? "assistant" : "user",
+            content: [{ type: isAgent ? "text" : "input_text", text: entry.text }],
+          },
+        })
+      );
+    });
+
+    // The greeting is not repeated after a reconnect
+    if (isGreetingInProgress) {
+      isGreetingInProgress = false;
+    }
+    enableInterruptions();
+  }
+
+  /**
+   * Ends the call gracefully once OpenAI could not be reached again.
+   * OPENAI_RECONNECT_FAILURE_ACTION selects "transfer" (to
+   * OPENAI_RECONNECT_TRANSFER_EXTENSION) or "apology" (default), which plays
+   * OPENAI_RECONNECT_APOLOGY_FILE if configured before hanging up.
+   */
+  async function handleReconnectFailure() {
+    const action = process.env.OPENAI_RECONNECT_FAILURE_ACTION || "apology";
+
+    try {
+      if (action === "transfer" && process.env.OPENAI_RECONNECT_TRANSFER_EXTENSION) {
+        log.info("openai.reconnect_transfer", "Transferring caller after losing OpenAI", {
+          extension: process.env.OPENAI_RECONNECT_TRANSFER_EXTENSION,
+        });
+        // Configured by the operator, so not limited to the tools enabled for the agent
+        const transfer = getLocalToolHandler("avr_transfer");
+        await logger.runWithContext({ sessionUuid, agentId }, () =>
+          transfer(
+            sessionUuid,
+            {
+              transfer_extension: process.env.OPENAI_RECONNECT_TRANSFER_EXTENSION,
+              transfer_context: process.env.OPENAI_RECONNECT_TRANSFER_CONTEXT,
+            },
+            callerInfo
+          )
+        );
+      } else if (process.env.OPENAI_RECONNECT_APOLOGY_FILE && playout) {
+        const samples = await loadPromptAudio(
+          process.env.OPENAI_RECONNECT_APOLOGY_FILE,
+          audioFormat.sampleRate
+        );
+        playout.push(samples, "apology");
+        playout.flush();
+        // Give the apology time to play out before hanging up
+        await new Promise((resolve) => setTimeout(resolve, playout.queuedMs + 200));
+      }
+    } catch (error) {
+      log.error("openai.reconnect_failure_action_failed", "Failed to handle lost OpenAI connection", {
+        error: error.message,
+      });
+    }
+
+    cleanup();
+  }
+
+  /**
+   * Adds a response's token usage to the session totals and metrics.
+   *
+   * @param {Object} responseUsage - `response.usage` from response.done
+   */
+  function recordUsage(responseUsage) {
+    const delta = addResponseUsage(usage, responseUsage);
+    Object.entries(USAGE_TYPES).forEach(([key, type]) => {
+      if (delta[key] > 0) {
+        metrics.tokensUsed.inc({ type }, delta[key]);
+      }
+    });
+    if (agentId) {
+      agentTokenLedger.record(agentId, delta.totalTokens);
+    }
+  }
+
+  /**
+   * Ends the call once the agent's per-call or per-agent token budget is used
+   * up. TOKEN_BUDGET_ACTION selects "wrap-up" (default), which has the model
+   * say goodbye before hanging up, or "hangup". Before the session is
+   * configured nothing has been said, so the call is hung up right away.
+   *
+   * @returns {boolean} True if the budget is exhausted and the call is ending
+   */
+  function enforceTokenBudget() {
+    const scope = tokenBudget && exceededTokenBudget(usage, agentId, agentTokenLedger, tokenBudget);
+    if (!scope) {
+      return false;
+    }
+
+    log.warn("usage.budget_exceeded", `Token budget per ${scope} exhausted; ending the call`, {
+      scope,
+      totalTokens: usage.totalTokens,
+    });
+    metrics.tokenBudgetExceeded.inc({ scope });
+    // Pending tool results are not followed up any more
+    toolOutputsPosted = false;
+
+    if (
+      process.env.TOKEN_BUDGET_ACTION === "hangup" ||
+      !sessionUpdatePayload ||
+      !ws ||
+      ws.readyState !== WebSocket.OPEN
+    ) {
+      hangUpOverBudget();
+      return true;
+    }
+
+    isWrappingUp = true;
+    const wrapUpPayload = {
+      type: "response.create",
+      response: {
+        instructions: process.env.TOKEN_BUDGET_WRAP_UP_INSTRUCTIONS || DEFAULT_WRAP_UP_INSTRUCTIONS,
+        tool_choice: "none",
+      },
+    };
+    lastSentOpenAIResponsePayload = wrapUpPayload;
+    ws.send(JSON.stringify(wrapUpPayload));
+    return true;
+  }
+
+  /**
+   * Hangs up through the PBX once queued assistant audio has played out.
+   */
+  async function hangUpOverBudget() {
+    if (isHangingUp) {
+      return;
+    }
+    isHangingUp = true;
+
+    try {
+      if (playout) {
+        await new Promise((resolve) => setTimeout(resolve, playout.queuedMs + 200));
+      }
+      if (!sessionUuid) {
+        // The caller hung up while the goodbye was playing
+        return;
+      }
+      // Applies even to agents without avr_hangup enabled
+      const hangup = getLocalToolHandler("avr_hangup");
+      await logger.runWithContext({ sessionUuid, agentId }, () => hangup(sessionUuid, {}, callerInfo));
+    } catch (error) {
+      log.error("usage.hangup_failed", "Failed to hang up after exhausting the token budget", {
+        error: error.message,
+      });
+    }
+
+    cleanup();
+  }
+
   // Handle client WebSocket close
   clientWs.on("close", () => {
-    console.log("Client WebSocket connection closed");
+    log.info("client.closed", "Client WebSocket connection closed");
+    metrics.activeSessions.dec();
     cleanup();
   });
 
   clientWs.on("error", (err) => {
-    console.error("Client WebSocket error:", err);
+    log.error("client.error", "Client WebSocket error", { error: err });
     cleanup();
   });
 
+  /**
+   * Starts recording the call to a stereo WAV file. A failure to create the
+   * file is logged and the call continues unrecorded.
+   */
+  async function startRecording() {
+    const uuid = sessionUuid;
+    const callRecorder = new CallRecorder({ sessionUuid: uuid, sampleRate: audioFormat.sampleRate });
+    try {
+      await callRecorder.start();
+    } catch (error) {
+      log.error("recording.start_failed", "Failed to start call recording", { error: error.message });
+      return;
+    }
+
+    if (sessionUuid !== uuid) {
+      // The call ended while the file was being created
+      callRecorder.stop().catch(() => {});
+      return;
+    }
+    recorder = callRecorder;
+    log.info("recording.started", "Recording call", { path: recorder.path });
+  }
+
+  /**
+   * Stops the call recording
+   * @returns {Object|null} Recording path, duration and a promise for the completed file
+   */
+  function stopRecording() {
+    if (!recorder) {
+      return null;
+    }
+    const callRecorder = recorder;
+    recorder = null;
+
+    const finished = callRecorder.stop().then(
+      () => true,
+      (error) => {
+        log.error("recording.failed", "Failed to write call recording", {
+          path: callRecorder.path,
+          error: error.message,
+        });
+        return false;
+      }
+    );
+    log.info("recording.stopped", "Call recording stopped", {
+      path: callRecorder.path,
+      durationSeconds: callRecorder.durationSeconds,
+    });
+    return { path: callRecorder.path, durationSeconds: callRecorder.durationSeconds, finished };
+  }
+
   /**
    * Sends call summary with transcript and metadata to the API
+   * @param {Object|null} recording - Result of stopRecording()
    */
-  async function sendCallSummary() {
+  async function sendCallSummary(recording) {
     // Only send summary if we have the required data
-    if (!sessionUuid || !process.env.AGENT_ID) {
-      console.log("Skipping call summary: missing sessionUuid or AGENT_ID");
+    if (!sessionUuid || !agentId) {
+      log.info("summary.skipped", "Skipping call summary: missing sessionUuid or agent ID");
       return;
     }
 
     const apiClient = new AgentApiClient();
     if (!apiClient.isConfigured()) {
-      console.log("Skipping call summary: AGENT_API_BASE_URL not configured");
+      log.info("summary.skipped", "Skipping call summary: AGENT_API_BASE_URL not configured");
       return;
     }
 
+    // The session state is reset while the summary is being delivered
+    const summaryAgentId = agentId;
+    const summaryLog = logger.child({ sessionUuid, agentId });
+
     try {
       const callEndTime = new Date();
       const durationMs = callStartTime ? callEndTime - callStartTime : 0;
@@ -701,35 +1552,33 @@ const handleClientConnection = (clientWs) => {
           endTime: callEndTime.toISOString(),
           durationSeconds: durationSeconds
         },
-        transcripts: transcripts
+        transcripts: transcripts,
+        usage: usage,
+        recording: recording ? { path: recording.path, durationSeconds: recording.durationSeconds } : null
       };
 
-      console.log("Sending call summary to API:", {
-        sessionUuid,
+      summaryLog.info("summary.send", "Sending call summary to API", {
         transcriptCount: transcripts.length,
-        durationSeconds
+        durationSeconds,
+        totalTokens: usage.totalTokens
       });
 
-      await apiClient.sendCallSummary(process.env.AGENT_ID, sessionUuid, callSummary);
-      console.log("Call summary sent successfully");
+      // Reference the recording only once the file is complete
+      if (recording && !(await recording.finished)) {
+        callSummary.recording = null;
+      }
+
+      // Spooled to disk and retried until the API accepts it
+      await summaryOutbox.enqueue(summaryAgentId, callSummary.sessionUuid, callSummary);
     } catch (error) {
-      console.error("Error sending call summary:", error.message);
+      summaryLog.error("summary.failed", "Error sending call summary", { error: error.message });
     }
   }
 
   /**
-   * Cleans up resources and resets session state.
+   * Destroys the session's resamplers, if any.
    */
-  function cleanup() {
-    // Send call summary before cleanup
-    sendCallSummary().catch(err => {
-      console.error("Failed to send call summary during cleanup:", err);
-    });
-
-    // Flush any remaining audio before cleanup
-    flushAudioBuffer();
-    
-    // Destroy session-specific resamplers
+  function destroyResamplers() {
     if (downsampler) {
       downsampler.destroy();
       downsampler = null;
@@ -738,18 +1587,70 @@ const handleClientConnection = (clientWs) => {
       upsampler.destroy();
       upsampler = null;
     }
+  }
+
+  /**
+   * Cleans up resources and resets session state.
+   */
+  function cleanup() {
+    // Send call summary before cleanup; shutdown waits for it, including the recording
+    summaryOutbox.track(
+      sendCallSummary(stopRecording()).catch((err) => {
+        log.error("summary.failed", "Failed to send call summary during cleanup", { error: err });
+      })
+    );
+
+    if (reconnectTimer) {
+      clearTimeout(reconnectTimer);
+      reconnectTimer = null;
+    }
+
+    if (releaseAdmission) {
+      releaseAdmission();
+      releaseAdmission = null;
+    }
+
+    // Stop the playout clock; queued audio can no longer reach the caller
+    if (playout) {
+      playout.stop();
+      playout = null;
+    }
+    
+    // Destroy session-specific resamplers
+    destroyResamplers();
 
     sessionToolHandlers = null;
+    pendingToolCalls = new Set();
+    toolOutputsPosted = false;
+    isResponseInProgress = false;
+    fillerCallId = null;
     interruptsEnabled = false;
     isGreetingInProgress = false;
+    greetingLatencyRecorded = false;
+    currentAssistantItemId = null;
+    assistantAudioReceivedMs = 0;
+    truncatedItemId = null;
 
     // Reset session state but keep connections alive for reuse
-    audioBuffer8k = [];
+    audioFormat = negotiateAudioFormat();
     sessionUuid = null;
     callerInfo = null;
+    callerInfoReady = Promise.resolve(null);
+    requestedAgentId = null;
+    agentId = null;
     isInitialized = false;
+    droppedAudioBeforeInit = false;
+    isSessionReady = false;
+    sessionUpdatePayload = null;
+    reconnectAttempts = 0;
+    pendingCallerAudio = [];
+    pendingCallerAudioMs = 0;
     callStartTime = null;
     transcripts = [];
+    usage = emptyUsage();
+    tokenBudget = null;
+    isWrappingUp = false;
+    isHangingUp = false;
     
     // Only close OpenAI connection if it exists and is not already closed
     if (ws && ws.readyState === WebSocket.OPEN) {
@@ -761,17 +1662,141 @@ const handleClientConnection = (clientWs) => {
       clientWs.close();
     }
   }
+
+  return { cleanup };
+};
+
+/**
+ * Starts the HTTP server (health, readiness and metrics endpoints) with the
+ * WebSocket server attached, without global resampler initialization.
+ *
+ * @param {number|string} [port] - Port to listen on (defaults to PORT or 6030; 0 picks a free port)
+ * @returns {http.Server} Running server
+ */
+const startServer = (port = process.env.PORT || 6030) => {
+  const server = http.createServer();
+  const authenticate = createClientAuthenticator();
+  const wss = new WebSocket.Server({
+    server,
+    verifyClient: (info, done) => {
+      if (isDraining) {
+        logger.info("client.rejected", "Rejecting new connection: server is shutting down", {
+          remoteAddress: info.req.socket.remoteAddress,
+          reason: "shutting_down",
+        });
+        done(false, 503, "Server is shutting down");
+        return;
+      }
+      const auth = authenticate(info.req);
+      if (!auth.ok) {
+        logger.warn("client.rejected", "Rejecting unauthenticated connection", {
+          remoteAddress: info.req.socket.remoteAddress,
+          reason: auth.reason,
+        });
+        metrics.clientAuthRejections.inc({ reason: auth.reason });
+        done(false, auth.status, auth.status === 403 ? "Forbidden" : "Unauthorized");
+        return;
+      }
+      // A signed URL pins the call the connection may initialize
+      info.req.clientBinding = auth.binding || null;
+      done(true);
+    },
+  });
+
+  isDraining = false;
+  server.on("request", createHttpHandler({ isReady: () => server.listening && !isDraining && !admissionControl.isFull() }));
+
+  wss.on("connection", (clientWs, req) => {
+    const session = handleClientConnection(clientWs, req);
+    sessions.add(session);
+    clientWs.on("close", () => sessions.delete(session));
+  });
+
+  server.on("listening", () => {
+    logger.info(
+      "server.listening",
+      `OpenAI Speech-to-Speech WebSocket server running on port ${server.address().port}`,
+      { port: server.address().port }
+    );
+  });
+  server.listen(port);
+
+  // Load local tools now rather than on the first call; edits to custom tools are picked up live
+  toolRegistry.reload();
+  if (process.env.TOOLS_WATCH !== "false") {
+    toolRegistry.watch();
+  }
+
+  // Deliver call summaries left over from a previous run, then keep retrying deferred ones
+  summaryOutbox.flushPending().catch((error) => {
+    logger.error("summary.flush_failed", "Failed to flush pending call summaries", { error: error.message });
+  });
+  summaryOutbox.startPeriodicFlush();
+
+  return server;
 };
 
-// Start server without global resampler initialization
-const PORT = process.env.PORT || 6030;
-const wss = new WebSocket.Server({ port: PORT });
+/**
+ * Shuts the server down gracefully: stops accepting new calls and reports
+ * not-ready, lets in-flight calls finish for up to DRAIN_TIMEOUT_MS, then
+ * cleans up the remaining sessions so their call summaries are flushed and
+ * resamplers destroyed.
+ *
+ * @param {http.Server} server - Server returned by startServer
+ * @param {Object} [options]
+ * @param {number} [options.drainTimeoutMs] - Maximum time to wait for calls to finish
+ * @returns {Promise<void>} Resolves once the server is closed
+ */
+const shutdown = async (server, { drainTimeoutMs = +process.env.DRAIN_TIMEOUT_MS || 30000 } = {}) => {
+  if (isDraining) {
+    return;
+  }
+  isDraining = true;
+  logger.info("server.draining", `Shutting down: draining ${sessions.size} active sessions`, {
+    sessions: sessions.size,
+    drainTimeoutMs,
+  });
 
-wss.on("connection", (clientWs) => {
-  console.log("New client connected");
-  handleClientConnection(clientWs);
-});
+  const drainDeadline = Date.now() + drainTimeoutMs;
+  while (sessions.size > 0 && Date.now() < drainDeadline) {
+    await new Promise((resolve) => setTimeout(resolve, 100));
+  }
+
+  if (sessions.size > 0) {
+    logger.warn("server.drain_timeout", `Drain timeout reached; ending ${sessions.size} remaining sessions`, {
+      sessions: sessions.size,
+    });
+    sessions.forEach((session) => session.cleanup());
+  }
+
+  // Summaries are spooled, so a bounded wait is enough; the rest are flushed on next start
+  const summaryWaitMs = +process.env.SHUTDOWN_SUMMARY_WAIT_MS || 5000;
+  await Promise.race([
+    summaryOutbox.whenIdle(),
+    new Promise((resolve) => setTimeout(resolve, summaryWaitMs).unref()),
+  ]);
+
+  summaryOutbox.stopPeriodicFlush();
+  toolRegistry.close();
+  await mcpClients.close();
+  await new Promise((resolve) => {
+    server.close(() => resolve());
+    server.closeAllConnections();
+  });
+  logger.info("server.stopped", "Server shut down");
+};
+
+if (require.main === module) {
+  const server = startServer();
+
+  const onSignal = (signal) => {
+    logger.info("server.signal", `Received ${signal}`, { signal });
+    shutdown(server)
+      .catch((error) => logger.error("server.shutdown_failed", "Error during shutdown", { error }))
+      .finally(() => process.exit(0));
+  };
+  process.once("SIGTERM", onSignal);
+  process.once("SIGINT", onSignal);
+}
 
-console.log(
-  `OpenAI Speech-to-Speech WebSocket server running on port ${PORT}`
-);
+module.exports = { startServer, shutdown, connectToOpenAI, summaryOutbox };
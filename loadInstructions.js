@@ -0,0 +1,123 @@
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+const logger = require('./logger');
+
+const DEFAULT_INSTRUCTIONS =
+  'You are a helpful assistant that can answer questions and help with tasks.';
+
+/**
+ * Extracts instruction text from an API or web service response
+ * @param {*} data - Response body (string or object)
+ * @returns {string} Instruction text, empty if none was found
+ */
+function extractInstructions(data) {
+  if (!data) return '';
+  if (typeof data === 'string') return data.trim();
+  const text = data.system || data.instructions;
+  return typeof text === 'string' ? text.trim() : '';
+}
+
+/**
+ * Loads instructions from the agent API
+ * @param {AgentApiClient} apiClient - Agent API client
+ * @param {string} agentId - Agent ID
+ * @param {string} sessionUuid - Session UUID
+ * @returns {Promise<string>} Instruction text, empty if unavailable
+ */
+async function fromAgentApi(apiClient, agentId, sessionUuid) {
+  if (!agentId) return '';
+  if (!apiClient || !apiClient.isConfigured()) {
+    logger.warn('instructions.skipped', 'AGENT_API_BASE_URL is not set. Skipping agent instructions fetch.', {
+      sessionUuid,
+      agentId,
+    });
+    return '';
+  }
+  const data = await apiClient.getSystemInstructions(agentId, sessionUuid);
+  return extractInstructions(data);
+}
+
+/**
+ * Loads instructions from the OPENAI_INSTRUCTIONS environment variable
+ * @returns {Promise<string>} Instruction text, empty if unset
+ */
+async function fromEnv() {
+  return (process.env.OPENAI_INSTRUCTIONS || '').trim();
+}
+
+/**
+ * Loads instructions from the web service at OPENAI_URL_INSTRUCTIONS
+ * @param {string} sessionUuid - Session UUID
+ * @returns {Promise<string>} Instruction text, empty if unset
+ */
+async function fromUrl(sessionUuid) {
+  const url = process.env.OPENAI_URL_INSTRUCTIONS;
+  if (!url) return '';
+  // The call waits for the instructions, so a slow service must not hold it up
+  const response = await axios.get(url, {
+    headers: {
+      'Content-Type': 'application/json',
+      'X-AVR-UUID': sessionUuid,
+    },
+    timeout: +process.env.INSTRUCTIONS_TIMEOUT_MS || 3000,
+  });
+  return extractInstructions(response.data);
+}
+
+/**
+ * Loads instructions from the file at OPENAI_FILE_INSTRUCTIONS
+ * @returns {Promise<string>} Instruction text, empty if unset
+ */
+async function fromFile() {
+  const filePath = process.env.OPENAI_FILE_INSTRUCTIONS;
+  if (!filePath) return '';
+  const content = await fs.promises.readFile(path.resolve(filePath), 'utf8');
+  return content.trim();
+}
+
+/**
+ * Resolves the system instructions for a session. Sources are tried in order
+ * and the first one returning non-empty text wins:
+ * agent API, OPENAI_INSTRUCTIONS, OPENAI_URL_INSTRUCTIONS, OPENAI_FILE_INSTRUCTIONS,
+ * then the built-in default.
+ * @param {Object} options
+ * @param {AgentApiClient} options.apiClient - Agent API client
+ * @param {string|null} options.agentId - Agent ID for the session
+ * @param {string} options.sessionUuid - Session UUID
+ * @returns {Promise<{instructions: string, source: string}>} Instructions and the winning source
+ */
+async function loadInstructions({ apiClient, agentId, sessionUuid }) {
+  const sources = [
+    { name: 'agent-api', load: () => fromAgentApi(apiClient, agentId, sessionUuid) },
+    { name: 'OPENAI_INSTRUCTIONS', load: () => fromEnv() },
+    { name: 'OPENAI_URL_INSTRUCTIONS', load: () => fromUrl(sessionUuid) },
+    { name: 'OPENAI_FILE_INSTRUCTIONS', load: () => fromFile() },
+  ];
+
+  for (const source of sources) {
+    try {
+      const instructions = await source.load();
+      if (instructions) {
+        logger.info('instructions.loaded', `Using instructions from ${source.name}`, {
+          sessionUuid,
+          agentId,
+          source: source.name,
+        });
+        return { instructions, source: source.name };
+      }
+    } catch (error) {
+      logger.error('instructions.failed', `Error loading instructions from ${source.name}`, {
+        sessionUuid,
+        agentId,
+        source: source.name,
+        error: error.message,
+      });
+    }
+  }
+
+  logger.info('instructions.loaded', 'Using default instructions', { sessionUuid, agentId, source: 'default' });
+  return { instructions: DEFAULT_INSTRUCTIONS, source: 'default' };
+}
+
+module.exports = { loadInstructions, DEFAULT_INSTRUCTIONS };
@@ -1,16 +1,220 @@
-const fs = require('fs');
 const path = require('path');
 const axios = require('axios');
+const logger = require('./logger');
+const { compileSchema } = require('./toolSchema');
+const { resolveToolPolicy } = require('./toolExecution');
+const { ToolRegistry } = require('./toolRegistry');
+const { isPlainObject } = require('./agentConfig');
+const { McpClientPool, normalizeMcpServers } = require('./mcpClient');
+
+// Local tools: project-provided tools take precedence over custom ones, and
+// only the custom directory is reloaded on changes
+const toolRegistry = new ToolRegistry({
+  dirs: [
+    { dir: path.join(__dirname, 'avr_tools'), source: 'avr_tools' },
+    { dir: path.join(__dirname, 'tools'), source: 'tools', watch: true },
+  ],
+});
+
+// Connections to MCP servers, shared by all sessions
+const mcpClients = new McpClientPool();
+
+// Compiled argument validators, keyed by input_schema object. Local tool
+// schemas compile once per module load; API tool schemas once per session.
+const compiledSchemas = new WeakMap();
+const acceptAnyArguments = compileSchema(null);
+
+/**
+ * Returns the compiled argument validator for a tool's input schema
+ * @param {string} name - Tool name, for logging
+ * @param {Object} [schema] - input_schema of the tool
+ * @returns {Function} args => {valid, value, errors}
+ */
+function getArgumentValidator(name, schema) {
+  if (!schema || typeof schema !== 'object') {
+    return acceptAnyArguments;
+  }
+  if (!compiledSchemas.has(schema)) {
+    let validator;
+    try {
+      validator = compileSchema(schema);
+    } catch (error) {
+      // A broken schema must not take the tool down; its arguments go unchecked
+      logger.warn('tools.invalid_schema', `Cannot compile input_schema of tool ${name}`, {
+        tool: name,
+        error: error.message,
+      });
+      validator = acceptAnyArguments;
+    }
+    compiledSchemas.set(schema, validator);
+  }
+  return compiledSchemas.get(schema);
+}
 
 /**
- * Registers API-provided tools so their handlers can be resolved at runtime
- * @param {Array} apiTools - Array of tools from API (each contains a handler object)
+ * Finds the module of a local tool
+ * @param {string} name - Name of the tool
+ * @returns {Object|null} Tool module
  */
-function setApiTools(apiTools = []) {
+function findLocalTool(name) {
+  const entry = toolRegistry.get(name);
+  return entry ? entry.module : null;
+}
+
+/**
+ * Checks whether an API tool can be registered under its name
+ * @param {Object} tool - API tool
+ * @param {Set} seen - Names of the API tools accepted so far
+ * @returns {boolean}
+ */
+function isUsableApiTool(tool, seen) {
+  return Boolean(tool && tool.name) && !toolRegistry.get(tool.name) && !seen.has(tool.name);
+}
+
+/**
+ * Reads the local tool settings of an agent
+ * @param {*} value - List of enabled tool names, or tool name -> true, false or
+ *   {description, constraints}
+ * @returns {Object|null} Tool name -> setting; null if no settings are given
+ */
+function normalizeLocalToolSettings(value) {
+  if (Array.isArray(value)) {
+    return Object.fromEntries(value.filter(name => typeof name === 'string').map(name => [name, true]));
+  }
+  return isPlainObject(value) ? value : null;
+}
+
+/**
+ * Splits the agent API tools response into API tools, local tool settings and MCP servers
+ * @param {*} response - A list of API tools, or {tools, local_tools, mcp_servers}
+ * @param {Object} [localConfig] - Local agent config; its `tools` and `mcp_servers`
+ *   sections are used when the API response does not set them
+ * @returns {{apiTools: Array, localTools: Object|null, mcpServers: Object[]}}
+ */
+function parseToolsResponse(response, localConfig = {}) {
+  const body = isPlainObject(response) ? response : {};
+  const apiTools = Array.isArray(response) ? response : Array.isArray(body.tools) ? body.tools : [];
+  const localTools = normalizeLocalToolSettings(body.local_tools) || normalizeLocalToolSettings(localConfig.tools);
+
+  // Only the local config may start processes on this host
+  const { servers: mcpServers, problems } = Array.isArray(body.mcp_servers)
+    ? normalizeMcpServers(body.mcp_servers, { allowStdio: false })
+    : normalizeMcpServers(localConfig.mcp_servers);
+  problems.forEach(problem => {
+    logger.warn('mcp.invalid_server', `Ignoring MCP server: ${problem}`, { problem });
+  });
+  return { apiTools, localTools, mcpServers };
+}
+
+/**
+ * Lists the tools of MCP servers, connecting to them as needed
+ * @param {Object[]} mcpServers - MCP servers from parseToolsResponse()
+ * @returns {Promise<Array>} Remote tool definitions, registered like API tools
+ */
+async function loadMcpTools(mcpServers = []) {
+  return mcpServers.length > 0 ? mcpClients.listTools(mcpServers) : [];
+}
+
+/**
+ * Restricts the arguments of a local tool to the values allowed for an agent
+ * @param {Object} tool - Tool module; `constraints` maps constraint names to argument names
+ * @param {*} constraints - Constraint name -> allowed values
+ * @param {string[]} problems - Receives settings that cannot be applied
+ * @returns {Object|undefined} input_schema for the agent
+ */
+function constrainSchema(tool, constraints, problems) {
+  if (!isPlainObject(constraints) || Object.keys(constraints).length === 0) {
+    return tool.input_schema;
+  }
+  if (!isPlainObject(tool.constraints)) {
+    problems.push(`${tool.name} does not support constraints`);
+    return tool.input_schema;
+  }
+
+  // Tool modules are validated to declare constraints only for existing properties
+  const schema = JSON.parse(JSON.stringify(tool.input_schema));
+  const required = Array.isArray(schema.required) ? schema.required : [];
+  for (const [constraint, values] of Object.entries(constraints)) {
+    const argument = Object.hasOwn(tool.constraints, constraint) ? tool.constraints[constraint] : undefined;
+    if (!argument) {
+      problems.push(`${tool.name} has no constraint "${constraint}"`);
+      continue;
+    }
+    if (!Array.isArray(values) || values.length === 0 || !values.every(v => ['string', 'number'].includes(typeof v))) {
+      problems.push(`${tool.name} constraint "${constraint}" must be a non-empty list of values`);
+      continue;
+    }
+
+    const property = schema.properties[argument];
+    property.enum = property.type === 'string' ? values.map(String) : values;
+    // An optional argument falls back to the first allowed value instead of the tool's own default
+    if (!required.includes(argument)) {
+      property.default = property.enum[0];
+    }
+  }
+  return schema;
+}
+
+/**
+ * Applies an agent's local tool settings to the registered local tools
+ * @param {Object|null} localTools - Result of normalizeLocalToolSettings(); null enables
+ *   every local tool unchanged
+ * @returns {{tools: Object[], problems: string[]}} Enabled tools with name, description
+ *   and inputSchema, and settings that could not be applied
+ */
+function configureLocalTools(localTools = null) {
+  const problems = [];
+  const tools = [];
+  toolRegistry.list().forEach(({ module: tool }) => {
+    const setting = localTools === null ? true : localTools[tool.name];
+    const options = isPlainObject(setting) ? setting : {};
+    if (!setting || options.enabled === false) return;
+
+    tools.push({
+      local: true,
+      name: tool.name,
+      description: typeof options.description === 'string' && options.description.trim()
+        ? options.description
+        : tool.description || '',
+      inputSchema: constrainSchema(tool, options.constraints, problems),
+    });
+  });
+
+  if (localTools) {
+    Object.keys(localTools)
+      .filter(name => !toolRegistry.get(name))
+      .forEach(name => problems.push(`unknown local tool "${name}"`));
+  }
+  return { tools, problems };
+}
+
+/**
+ * Registers the tools of a session so their handlers can be resolved at runtime:
+ * the local tools enabled for the agent, the API-provided tools and the tools of MCP servers
+ * @param {Array} apiTools - Array of tools from API (each contains a handler object), followed
+ *   by the tools from loadMcpTools()
+ * @param {Object|null} [localTools] - Local tool settings from parseToolsResponse()
+ * @returns {Map} Tool name -> session tool; local tools not in it are disabled
+ */
+function setApiTools(apiTools = [], localTools = null) {
   const sessionToolHandlers = new Map();
+  // Setting problems are reported by loadTools()
+  configureLocalTools(localTools).tools.forEach(tool => {
+    sessionToolHandlers.set(tool.name, tool);
+    getArgumentValidator(tool.name, tool.inputSchema);
+  });
+
+  const seen = new Set();
   apiTools.forEach(t => {
-    if (t && t.name && t.handler && t.handler.url) {
-      sessionToolHandlers.set(t.name, t.handler);
+    // Name collisions are reported by loadTools()
+    if (!isUsableApiTool(t, seen)) return;
+    seen.add(t.name);
+    if (t.mcp) {
+      sessionToolHandlers.set(t.name, { mcp: t.mcp, inputSchema: t.input_schema, policy: resolveToolPolicy(t, { remote: true }) });
+      getArgumentValidator(t.name, t.input_schema);
+    } else if (t.handler && t.handler.url) {
+      sessionToolHandlers.set(t.name, { ...t.handler, inputSchema: t.input_schema, policy: resolveToolPolicy(t, { remote: true }) });
+      getArgumentValidator(t.name, t.input_schema);
     }
   });
   return sessionToolHandlers;
@@ -22,8 +226,23 @@ function setApiTools(apiTools = []) {
  * @returns {Array}
  */
 function buildApiToolDefinitions(apiTools = []) {
+  const seen = new Set();
   return apiTools
-    .filter(t => t && t.name)
+    .filter(t => {
+      if (isUsableApiTool(t, seen)) {
+        seen.add(t.name);
+        return true;
+      }
+      if (t && t.name) {
+        const existing = toolRegistry.get(t.name);
+        const other = existing ? existing.file : 'another API tool';
+        logger.error('tools.name_collision', `API tool "${t.name}" collides with ${other}; ignoring it`, {
+          tool: t.name,
+          existingFile: existing ? existing.file : null,
+        });
+      }
+      return false;
+    })
     .map(t => ({
       type: 'function',
       name: t.name,
@@ -33,73 +252,72 @@ function buildApiToolDefinitions(apiTools = []) {
 }
 
 /**
- * Loads all available tools from both avr_tools and tools directories, plus optional API tools
+ * Lists all available tools: the local tools enabled for the agent, plus optional API tools
  * @param {Array} apiTools - Optional array of tools fetched from API
+ * @param {Object|null} [localTools] - Local tool settings from parseToolsResponse()
  * @returns {Array} List of all available tools
  */
-function loadTools(apiTools = []) {
-  // Define tool directory paths
-  const avrToolsDir = path.join(__dirname, 'avr_tools');  // Project-provided tools
-  const toolsDir = path.join(__dirname, 'tools');         // User custom tools
-  
-  let allTools = [];
-  
-  // Helper function to load tools from a directory
-  const loadToolsFromDir = (dirPath) => {
-    if (!fs.existsSync(dirPath)) return [];
-    
-    return fs.readdirSync(dirPath)
-      .map(file => {
-        const tool = require(path.join(dirPath, file));
-        return {
-          type: 'function',
-          name: tool.name,
-          description: tool.description || '',
-          parameters: tool.input_schema || {},
-        };
-      });
-  };
+function loadTools(apiTools = [], localTools = null) {
+  const { tools, problems } = configureLocalTools(localTools);
+  problems.forEach(problem => {
+    logger.warn('tools.invalid_local_setting', `Ignoring local tool setting: ${problem}`, { problem });
+  });
+
+  const localDefinitions = tools.map(tool => ({
+    type: 'function',
+    name: tool.name,
+    description: tool.description,
+    parameters: tool.inputSchema || {},
+  }));
 
-  // Load tools from both directories
-  allTools = [
-    ...loadToolsFromDir(avrToolsDir),  // Project tools
-    ...loadToolsFromDir(toolsDir),     // Custom tools
-    ...buildApiToolDefinitions(apiTools) // API tools (definitions only)
+  const allTools = [
+    ...localDefinitions,                  // Project and custom tools
+    ...buildApiToolDefinitions(apiTools)  // API tools (definitions only)
   ];
 
   // Warning if no tools found
   if (allTools.length === 0) {
-    console.warn(`No tools found in ${avrToolsDir} or ${toolsDir}`);
+    logger.warn('tools.none_found', 'No local or API tools found');
   }
 
   return allTools;
 }
 
 /**
- * Gets the handler for a specific tool
+ * Gets the handler for a tool called by the model
  * @param {string} name - Name of the tool
+ * @param {Map} [sessionToolHandlers] - Tools registered for the session by setApiTools();
+ *   without it, e.g. when the agent's tools could not be loaded, no tool is enabled
  * @returns {Function} Tool handler
- * @throws {Error} If the tool is not found
+ * @throws {Error} If the tool is not found or not enabled for the session
  */
 function getToolHandler(name, sessionToolHandlers = null) {
-  // Possible paths for the tool file
-  const possiblePaths = [
-    path.join(__dirname, 'avr_tools', `${name}.js`),  // First check in avr_tools
-    path.join(__dirname, 'tools', `${name}.js`)       // Then check in tools
-  ];
+  const sessionTool = sessionToolHandlers ? sessionToolHandlers.get(name) : null;
+  if (!sessionTool && findLocalTool(name)) {
+    throw new Error(`Tool "${name}" is not enabled for this agent`);
+  }
 
-  // Find the first valid path
-  const toolPath = possiblePaths.find(path => fs.existsSync(path));
-  
   // If local tool exists, return its handler
-  if (toolPath) {
-    const tool = require(toolPath);
+  const tool = sessionTool && sessionTool.local ? findLocalTool(name) : null;
+  if (tool) {
     return tool.handler;
   }
 
+  // Tools of MCP servers are called through the shared client
+  if (sessionTool && sessionTool.mcp) {
+    const { server, tool: mcpTool } = sessionTool.mcp;
+    return async function mcpToolHandler(sessionUuid, args, callerInfo = null) {
+      const client = await mcpClients.get(server);
+      return client.callTool(mcpTool, args, {
+        meta: { 'avr/sessionUuid': sessionUuid, 'avr/callerInfo': callerInfo },
+        timeoutMs: sessionTool.policy.timeoutMs,
+      });
+    };
+  }
+
   // Otherwise, check if it's an API-provided tool
-  if (sessionToolHandlers && sessionToolHandlers.has(name)) {
-    const handlerCfg = sessionToolHandlers.get(name);
+  if (sessionTool && !sessionTool.local) {
+    const handlerCfg = sessionTool;
     // Generic API tool handler: always POST with provided headers
     return async function apiToolHandler(sessionUuid, args, callerInfo = null) {
       const url = handlerCfg.url;
@@ -124,7 +342,11 @@ function getToolHandler(name, sessionToolHandlers = null) {
         callerInfo: callerInfo
       };
 
-      const response = await axios.post(url, payload, { headers: headersObj });
+      // Abandon the request once the tool's timeout has passed
+      const response = await axios.post(url, payload, {
+        headers: headersObj,
+        timeout: handlerCfg.policy ? handlerCfg.policy.timeoutMs : 0,
+      });
       // Expecting a string or object that can be used as instructions
       return response.data;
     };
@@ -133,4 +355,70 @@ function getToolHandler(name, sessionToolHandlers = null) {
   throw new Error(`Tool "${name}" not found in any available directory or API registry`);
 }
 
-module.exports = { loadTools, getToolHandler, setApiTools };
\ No newline at end of file
+/**
+ * Gets the handler of a local tool regardless of the tools enabled for the
+ * agent, for actions configured by the operator rather than chosen by the model
+ * @param {string} name - Name of the local tool
+ * @returns {Function} Tool handler
+ * @throws {Error} If there is no such local tool
+ */
+function getLocalToolHandler(name) {
+  const tool = findLocalTool(name);
+  if (!tool) {
+    throw new Error(`Tool "${name}" not found in any available directory`);
+  }
+  return tool.handler;
+}
+
+/**
+ * Parses the arguments of a tool call and validates them against the tool's
+ * input_schema, coercing scalars to the declared types
+ * @param {string} name - Name of the tool
+ * @param {string} rawArguments - JSON arguments sent by the model
+ * @param {Map} [sessionToolHandlers] - Tools registered for the session by setApiTools()
+ * @returns {{ok: true, args: Object}|{ok: false, errors: string[]}}
+ */
+function parseToolArguments(name, rawArguments, sessionToolHandlers = null) {
+  let args;
+  try {
+    args = rawArguments ? JSON.parse(rawArguments) : {};
+  } catch (error) {
+    return { ok: false, errors: [`arguments are not valid JSON (${error.message})`] };
+  }
+
+  // Session tools carry the schema configured for the agent
+  const sessionTool = sessionToolHandlers ? sessionToolHandlers.get(name) : null;
+  const tool = sessionTool ? null : findLocalTool(name);
+  const schema = sessionTool ? sessionTool.inputSchema : tool && tool.input_schema;
+
+  const result = getArgumentValidator(name, schema)(args);
+  return result.valid ? { ok: true, args: result.value } : { ok: false, errors: result.errors };
+}
+
+/**
+ * Gets the timeout, retry and filler policy of a tool
+ * @param {string} name - Name of the tool
+ * @param {Map} [sessionToolHandlers] - Tools registered for the session by setApiTools()
+ * @returns {Object} Policy from resolveToolPolicy()
+ */
+function getToolPolicy(name, sessionToolHandlers = null) {
+  const tool = findLocalTool(name);
+  if (tool) {
+    return resolveToolPolicy(tool);
+  }
+  const apiTool = sessionToolHandlers ? sessionToolHandlers.get(name) : null;
+  return apiTool && apiTool.policy ? apiTool.policy : resolveToolPolicy();
+}
+
+module.exports = {
+  loadTools,
+  getToolHandler,
+  getLocalToolHandler,
+  setApiTools,
+  parseToolsResponse,
+  loadMcpTools,
+  parseToolArguments,
+  getToolPolicy,
+  toolRegistry,
+  mcpClients,
+};
\ No newline at end of file
@@ -0,0 +1,163 @@
+/**
+ * logger.js
+ * Structured JSON logging. Every line is a single JSON object carrying the
+ * time, level, event type and the session context (sessionUuid, agentId), so
+ * production logs can be filtered per call even with many concurrent sessions.
+ *
+ * Configuration:
+ * - LOG_LEVEL: debug, info, warn, error or silent (default: info)
+ * - LOG_REDACT: comma-separated list of `phone` and/or `transcripts`
+ */
+
+const { AsyncLocalStorage } = require("async_hooks");
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+
+// Fields describing the line itself; cannot be overridden by callers
+const RESERVED_FIELDS = new Set(["time", "level", "event", "msg"]);
+
+// Session context; may be passed as fields and is never redacted
+const CONTEXT_FIELDS = new Set(["sessionUuid", "agentId"]);
+
+const PHONE_FIELDS = new Set(["phoneNumber", "phone", "callerId", "caller_id", "callerid", "callerIdNum"]);
+const TRANSCRIPT_FIELDS = new Set(["transcript", "transcripts"]);
+
+// International numbers (+49 30 1234567) and bare runs of 6+ digits
+const PHONE_PATTERN = /\+\d[\d ]{4,}\d|\b\d{6,}\b/g;
+
+// Session context for code that has no logger of its own, such as tool handlers
+const contextStorage = new AsyncLocalStorage();
+
+function currentLevel() {
+  const level = (process.env.LOG_LEVEL || "info").toLowerCase();
+  return LEVELS[level] !== undefined ? LEVELS[level] : LEVELS.info;
+}
+
+function redactionOptions() {
+  const entries = (process.env.LOG_REDACT || "").split(",").map((entry) => entry.trim().toLowerCase());
+  return { phone: entries.includes("phone"), transcripts: entries.includes("transcripts") };
+}
+
+/**
+ * Masks a phone number, keeping the last two digits for correlation
+ * @param {string} value
+ * @returns {string}
+ */
+function maskPhone(value) {
+  const text = String(value);
+  return text.length <= 2 ? "**" : "*".repeat(Math.min(text.length - 2, 8)) + text.slice(-2);
+}
+
+/**
+ * Makes a field value JSON-friendly and applies redaction
+ * @param {*} value
+ * @param {string} key - Field name
+ * @param {Object} redact - Enabled redactions
+ * @param {number} depth - Nesting depth, to stop at cycles and deep objects
+ * @returns {*}
+ */
+function serialize(value, key, redact, depth = 0) {
+  if (value === null || value === undefined) {
+    return value;
+  }
+  if (redact.transcripts && TRANSCRIPT_FIELDS.has(key)) {
+    return "[redacted]";
+  }
+  if (redact.phone && PHONE_FIELDS.has(key) && (typeof value === "string" || typeof value === "number")) {
+    return maskPhone(value);
+  }
+  if (value instanceof Error) {
+    return { message: value.message, code: value.code, stack: value.stack };
+  }
+  if (typeof value === "string") {
+    return redact.phone ? value.replace(PHONE_PATTERN, maskPhone) : value;
+  }
+  if (typeof value !== "object") {
+    return value;
+  }
+  if (depth >= 5) {
+    return "[object]";
+  }
+  if (Array.isArray(value)) {
+    return value.map((item) => serialize(item, key, redact, depth + 1));
+  }
+  if (Buffer.isBuffer(value)) {
+    return `[buffer ${value.length} bytes]`;
+  }
+  const result = {};
+  for (const [field, fieldValue] of Object.entries(value)) {
+    result[field] = serialize(fieldValue, field, redact, depth + 1);
+  }
+  return result;
+}
+
+/**
+ * Writes one log line
+ * @param {string} level
+ * @param {Object} context - Session context
+ * @param {string} event - Event type, e.g. "session.init"
+ * @param {string} [msg] - Human readable message
+ * @param {Object} [fields] - Additional structured fields
+ */
+function write(level, context, event, msg, fields) {
+  if (LEVELS[level] < currentLevel()) {
+    return;
+  }
+
+  const redact = redactionOptions();
+  const line = {
+    time: new Date().toISOString(),
+    level,
+    event,
+    sessionUuid: null,
+    agentId: null,
+    ...contextStorage.getStore(),
+    ...context,
+  };
+  if (msg) {
+    line.msg = serialize(msg, "msg", redact);
+  }
+  for (const [key, value] of Object.entries(fields || {})) {
+    if (CONTEXT_FIELDS.has(key)) {
+      line[key] = value;
+    } else if (!RESERVED_FIELDS.has(key)) {
+      line[key] = serialize(value, key, redact);
+    }
+  }
+
+  const stream = LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout;
+  stream.write(`${JSON.stringify(line)}\n`);
+}
+
+/**
+ * Creates a logger bound to a context
+ * @param {Object|Function} [context] - Fields added to every line, or a function
+ *   returning them (evaluated per line, for context that changes over a session)
+ * @returns {{debug: Function, info: Function, warn: Function, error: Function, child: Function}}
+ *   Each level method takes (event, msg, fields)
+ */
+function createLogger(context = {}) {
+  const resolveContext = typeof context === "function" ? context : () => context;
+  const logger = {};
+  for (const level of ["debug", "info", "warn", "error"]) {
+    logger[level] = (event, msg, fields) => write(level, resolveContext(), event, msg, fields);
+  }
+  logger.child = (childContext = {}) => {
+    const resolveChild = typeof childContext === "function" ? childContext : () => childContext;
+    return createLogger(() => ({ ...resolveContext(), ...resolveChild() }));
+  };
+  return logger;
+}
+
+/**
+ * Runs a function with session context attached to every line logged
+ * through this module while it runs, including in async continuations
+ * @param {Object} context - e.g. {sessionUuid, agentId}
+ * @param {Function} fn
+ * @returns {*} Result of fn
+ */
+function runWithContext(context, fn) {
+  return contextStorage.run(context, fn);
+}
+
+module.exports = { ...createLogger(), createLogger, runWithContext };
@@ -0,0 +1,463 @@
+/**
+ * mcpClient.js
+ * Client for Model Context Protocol servers, whose tools are offered to the
+ * model next to the local and API tools. Agents reference servers in the
+ * `mcp_servers` list of their tools response or local config:
+ *
+ *   { "name": "crm", "url": "https://crm.example.com/mcp" }
+ *   { "name": "files", "transport": "stdio", "command": "node", "args": ["server.js"] }
+ *
+ * Connections are shared by all calls and opened on first use; a server that
+ * went away is reconnected by the next session that needs it. Whenever a
+ * connection is handed out, those left unused for MCP_IDLE_TIMEOUT_MS and the
+ * least recently used ones beyond MCP_MAX_CLIENTS are closed. Tools are
+ * listed at the start of each session, and every tool call carries the
+ * session UUID and caller information in `_meta`.
+ */
+
+const logger = require("./logger");
+const { isPlainObject } = require("./agentConfig");
+const { createTransport } = require("./mcpTransport");
+const { TOOL_NAME_PATTERN } = require("./toolRegistry");
+
+const PROTOCOL_VERSION = "2025-03-26";
+const CLIENT_INFO = { name: "avr-sts-openai", version: process.env.npm_package_version || "unknown" };
+// Tool settings that apply to every tool of a server; see toolExecution.js
+const POLICY_FIELDS = ["timeout_ms", "retries", "retry_delay_ms", "filler"];
+
+/**
+ * Validates the MCP servers of an agent
+ * @param {*} value - List of server configs
+ * @param {Object} [options]
+ * @param {boolean} [options.allowStdio=true] - Whether local processes may be started
+ * @returns {{servers: Object[], problems: string[]}} Normalized servers, and servers that were rejected
+ */
+function normalizeMcpServers(value, { allowStdio = true } = {}) {
+  const servers = [];
+  const problems = [];
+  const names = new Set();
+
+  for (const server of Array.isArray(value) ? value : []) {
+    if (!isPlainObject(server) || typeof server.name !== "string" || !server.name.trim()) {
+      problems.push("MCP servers need a name");
+      continue;
+    }
+    const { name } = server;
+    const transport = server.transport || (server.command ? "stdio" : "http");
+    const reject = (problem) => problems.push(`MCP server ${name}: ${problem}`);
+
+    if (names.has(name)) {
+      reject("another server has the same name");
+      continue;
+    }
+    if (!["stdio", "http", "sse"].includes(transport)) {
+      reject('transport must be "stdio", "http" or "sse"');
+      continue;
+    }
+    if (transport === "stdio") {
+      if (!allowStdio) {
+        reject("stdio servers can only be configured in AGENT_CONFIG_FILE");
+        continue;
+      }
+      if (typeof server.command !== "string" || !server.command) {
+        reject("command is required");
+        continue;
+      }
+    } else if (typeof server.url !== "string" || !/^https?:\/\//.test(server.url)) {
+      reject("url must be an http(s) URL");
+      continue;
+    }
+
+    const normalized = { name, transport };
+    if (transport === "stdio") {
+      normalized.command = server.command;
+      normalized.args = Array.isArray(server.args) ? server.args.map(String) : [];
+      normalized.env = isPlainObject(server.env) ? server.env : {};
+      if (typeof server.cwd === "string") normalized.cwd = server.cwd;
+    } else {
+      normalized.url = server.url;
+      normalized.headers = isPlainObject(server.headers) ? server.headers : {};
+    }
+    normalized.toolPrefix = typeof server.tool_prefix === "string" ? server.tool_prefix : "";
+    normalized.tools = Array.isArray(server.tools) ? server.tools.filter((tool) => typeof tool === "string") : null;
+    POLICY_FIELDS.filter((field) => server[field] !== undefined).forEach((field) => {
+      normalized[field] = server[field];
+    });
+
+    names.add(name);
+    servers.push(normalized);
+  }
+  return { servers, problems };
+}
+
+/**
+ * Turns the result of a tool call into the output for the model
+ * @param {Object} result - tools/call result
+ * @returns {*} Structured content if present, else the text content
+ * @throws {Error} If the server reports a tool error
+ */
+function formatToolResult(result = {}) {
+  const content = Array.isArray(result.content) ? result.content : [];
+  const text = content.map((item) => (item.type === "text" ? item.text : `[${item.type}]`)).join("\n");
+  if (result.isError) {
+    throw new Error(text || "The MCP tool reported an error");
+  }
+  return result.structuredContent !== undefined ? result.structuredContent : text;
+}
+
+class McpClient {
+  /**
+   * @param {Object} server - Normalized MCP server config
+   * @param {Object} [options]
+   * @param {Object} [options.transport] - Transport to use instead of the one for server.transport
+   */
+  constructor(server, { transport = createTransport(server) } = {}) {
+    this.server = server;
+    this.transport = transport;
+    this.pending = new Map(); // request id -> { resolve, reject, timer }
+    this.nextId = 0;
+    this.closed = false;
+    this.serverInfo = null;
+  }
+
+  /**
+   * Opens the transport and performs the MCP handshake
+   * @param {Object} [options]
+   * @param {number} [options.timeoutMs=0] - Gives up when the server is not ready in time
+   * @returns {Promise<void>}
+   */
+  async connect({ timeoutMs = 0 } = {}) {
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+      if (timeoutMs) {
+        timer = setTimeout(() => reject(new Error(`MCP server ${this.server.name} did not connect within ${timeoutMs}ms`)), timeoutMs);
+      }
+    });
+
+    try {
+      await Promise.race([
+        this.transport.start(
+          (message) => this._onMessage(message),
+          (error) => this._onClose(error)
+        ),
+        timeout,
+      ]);
+      const result = await this.request(
+        "initialize",
+        { protocolVersion: PROTOCOL_VERSION, capabilities: {}, clientInfo: CLIENT_INFO },
+        { timeoutMs }
+      );
+      this.serverInfo = result.serverInfo || null;
+      await this.notify("notifications/initialized");
+    } catch (error) {
+      await this.close();
+      throw error;
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * Lists the tools of the server
+   * @param {Object} [options]
+   * @param {number} [options.timeoutMs=0] - Timeout per page
+   * @returns {Promise<Object[]>} Tools with name, description and inputSchema
+   */
+  async listTools({ timeoutMs = 0 } = {}) {
+    const tools = [];
+    let cursor;
+    do {
+      const page = await this.request("tools/list", cursor ? { cursor } : {}, { timeoutMs });
+      tools.push(...(Array.isArray(page.tools) ? page.tools : []));
+      cursor = page.nextCursor;
+    } while (cursor);
+    return tools;
+  }
+
+  /**
+   * Calls a tool
+   * @param {string} name - Tool name on the server
+   * @param {Object} args - Tool arguments
+   * @param {Object} [options]
+   * @param {Object} [options.meta] - Sent as `_meta`
+   * @param {number} [options.timeoutMs=0] - Cancels the call when it takes longer
+   * @returns {Promise<*>} Result from formatToolResult()
+   */
+  async callTool(name, args, { meta, timeoutMs = 0 } = {}) {
+    const result = await this.request("tools/call", { name, arguments: args || {}, _meta: meta }, { timeoutMs });
+    return formatToolResult(result);
+  }
+
+  /**
+   * Sends a JSON-RPC request
+   * @param {string} method
+   * @param {Object} [params]
+   * @param {Object} [options]
+   * @param {number} [options.timeoutMs=0] - Cancels the request when it takes longer
+   * @returns {Promise<*>} Result of the request
+   */
+  request(method, params, { timeoutMs = 0 } = {}) {
+    if (this.closed) {
+      return Promise.reject(new Error(`MCP server ${this.server.name} is disconnected`));
+    }
+
+    const id = ++this.nextId;
+    return new Promise((resolve, reject) => {
+      const timer = timeoutMs
+        ? setTimeout(() => {
+            this.pending.delete(id);
+            this.notify("notifications/cancelled", { requestId: id, reason: "timeout" }).catch(() => {});
+            const error = new Error(`MCP server ${this.server.name} did not answer ${method} within ${timeoutMs}ms`);
+            error.code = "mcp_timeout";
+            reject(error);
+          }, timeoutMs)
+        : null;
+      this.pending.set(id, { resolve, reject, timer });
+
+      this.transport.send({ jsonrpc: "2.0", id, method, params }, { timeoutMs }).catch((error) => {
+        this._settle(id, (entry) => entry.reject(error));
+      });
+    });
+  }
+
+  /**
+   * Sends a JSON-RPC notification
+   * @param {string} method
+   * @param {Object} [params]
+   * @returns {Promise<void>}
+   */
+  async notify(method, params) {
+    if (!this.closed) {
+      await this.transport.send({ jsonrpc: "2.0", method, ...(params ? { params } : {}) });
+    }
+  }
+
+  /**
+   * Disconnects from the server; requests in flight fail
+   * @returns {Promise<void>}
+   */
+  async close() {
+    if (this.closed) {
+      return;
+    }
+    this.closed = true;
+    this._rejectPending(new Error(`MCP server ${this.server.name} was disconnected`));
+    await this.transport.close();
+  }
+
+  _onMessage(message) {
+    if (!isPlainObject(message)) {
+      return;
+    }
+
+    if (message.method === undefined && this.pending.has(message.id)) {
+      this._settle(message.id, (entry) => {
+        if (message.error) {
+          const error = new Error(message.error.message || `MCP error ${message.error.code}`);
+          error.code = message.error.code;
+          entry.reject(error);
+        } else {
+          entry.resolve(message.result || {});
+        }
+      });
+      return;
+    }
+
+    // Requests from the server: answer pings, decline everything else
+    if (message.method !== undefined && message.id !== undefined) {
+      const reply =
+        message.method === "ping"
+          ? { jsonrpc: "2.0", id: message.id, result: {} }
+          : { jsonrpc: "2.0", id: message.id, error: { code: -32601, message: "Method not found" } };
+      this.transport.send(reply).catch(() => {});
+    }
+  }
+
+  _onClose(error) {
+    if (this.closed) {
+      return;
+    }
+    this.closed = true;
+    logger.warn("mcp.disconnected", `MCP server ${this.server.name} disconnected`, {
+      server: this.server.name,
+      error: error.message,
+    });
+    this._rejectPending(error);
+  }
+
+  _settle(id, settle) {
+    const entry = this.pending.get(id);
+    if (entry) {
+      this.pending.delete(id);
+      clearTimeout(entry.timer);
+      settle(entry);
+    }
+  }
+
+  _rejectPending(error) {
+    for (const id of Array.from(this.pending.keys())) {
+      this._settle(id, (entry) => entry.reject(error));
+    }
+  }
+}
+
+class McpClientPool {
+  /**
+   * @param {Object} [options]
+   * @param {Function} [options.createClient] - Creates a client for a server config
+   * @param {Function} [options.now] - Clock in milliseconds, for tests
+   */
+  constructor({ createClient = (server) => new McpClient(server), now = Date.now } = {}) {
+    this.createClient = createClient;
+    this.now = now;
+    // server config (JSON) -> {client, connecting, connected, lastUsed}, least recently used first
+    this.clients = new Map();
+  }
+
+  /**
+   * Returns a connected client, connecting or reconnecting as needed
+   * @param {Object} server - Normalized MCP server config
+   * @returns {Promise<McpClient>}
+   */
+  async get(server) {
+    const key = JSON.stringify(server);
+    const existing = this.clients.get(key);
+    if (existing) {
+      const client = await existing.connecting.catch(() => null);
+      if (client && !client.closed) {
+        this._touch(key, existing);
+        return client;
+      }
+      if (this.clients.get(key) === existing) {
+        this.clients.delete(key);
+      }
+      return this.get(server);
+    }
+
+    const client = this.createClient(server);
+    const connecting = client.connect({ timeoutMs: this._timeoutMs() }).then(() => {
+      entry.connected = true;
+      logger.info("mcp.connected", `Connected to MCP server ${server.name}`, {
+        server: server.name,
+        transport: server.transport,
+        serverInfo: client.serverInfo,
+      });
+      return client;
+    });
+    const entry = { client, connecting, connected: false, lastUsed: this.now() };
+    this.clients.set(key, entry);
+    this._evict(key);
+    try {
+      return await connecting;
+    } catch (error) {
+      if (this.clients.get(key) === entry) {
+        this.clients.delete(key);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Lists the tools of an agent's MCP servers as remote tool definitions
+   * @param {Object[]} servers - Normalized MCP server configs
+   * @returns {Promise<Object[]>} Tools with name, description, input_schema, policy
+   *   fields and `mcp: {server, tool}`; servers that cannot be reached are skipped
+   */
+  async listTools(servers) {
+    const lists = await Promise.all(
+      servers.map(async (server) => {
+        try {
+          const client = await this.get(server);
+          return (await client.listTools({ timeoutMs: this._timeoutMs() })).map((tool) => this._toDefinition(server, tool));
+        } catch (error) {
+          logger.error("mcp.list_failed", `Cannot list the tools of MCP server ${server.name}`, {
+            server: server.name,
+            error: error.message,
+          });
+          return [];
+        }
+      })
+    );
+    return lists.flat().filter(Boolean);
+  }
+
+  /**
+   * Disconnects from every server
+   * @returns {Promise<void>}
+   */
+  async close() {
+    const entries = Array.from(this.clients.values());
+    this.clients.clear();
+    await Promise.all(entries.map(({ connecting }) => connecting.then((client) => client.close(), () => {})));
+  }
+
+  _touch(key, entry) {
+    entry.lastUsed = this.now();
+    this.clients.delete(key);
+    this.clients.set(key, entry);
+    this._evict(key);
+  }
+
+  /**
+   * Closes clients idle for longer than MCP_IDLE_TIMEOUT_MS, then the least
+   * recently used ones beyond MCP_MAX_CLIENTS. Clients with requests in
+   * flight, such as a running tool call, are kept.
+   * @param {string} keep - Key of the client being handed out
+   */
+  _evict(keep) {
+    const idleMs = process.env.MCP_IDLE_TIMEOUT_MS !== undefined ? +process.env.MCP_IDLE_TIMEOUT_MS : 600000;
+    const maxClients = +process.env.MCP_MAX_CLIENTS || 20;
+    let excess = this.clients.size - maxClients;
+
+    for (const [key, entry] of Array.from(this.clients)) {
+      if (key === keep || !entry.connected || entry.client.pending.size > 0) {
+        continue;
+      }
+      const idle = idleMs > 0 && this.now() - entry.lastUsed > idleMs;
+      if (!idle && excess <= 0) {
+        continue;
+      }
+      this.clients.delete(key);
+      excess--;
+      const { name } = entry.client.server;
+      logger.info("mcp.evicted", `Closing ${idle ? "idle" : "least recently used"} connection to MCP server ${name}`, {
+        server: name,
+      });
+      entry.connecting.then((client) => client.close(), () => {});
+    }
+  }
+
+  _toDefinition(server, tool) {
+    if (!isPlainObject(tool) || typeof tool.name !== "string") {
+      return null;
+    }
+    if (server.tools && !server.tools.includes(tool.name)) {
+      return null;
+    }
+    const name = `${server.toolPrefix}${tool.name}`;
+    if (!TOOL_NAME_PATTERN.test(name)) {
+      logger.warn("mcp.invalid_tool_name", `Skipping tool ${name} of MCP server ${server.name}: invalid name`, {
+        server: server.name,
+        tool: name,
+      });
+      return null;
+    }
+
+    const definition = {
+      name,
+      description: typeof tool.description === "string" ? tool.description : "",
+      input_schema: isPlainObject(tool.inputSchema) ? tool.inputSchema : { type: "object", properties: {} },
+      mcp: { server, tool: tool.name },
+    };
+    POLICY_FIELDS.filter((field) => server[field] !== undefined).forEach((field) => {
+      definition[field] = server[field];
+    });
+    return definition;
+  }
+
+  _timeoutMs() {
+    return process.env.MCP_TIMEOUT_MS !== undefined ? +process.env.MCP_TIMEOUT_MS : 5000;
+  }
+}
+
+module.exports = { McpClient, McpClientPool, normalizeMcpServers, formatToolResult };
@@ -0,0 +1,316 @@
+/**
+ * mcpTransport.js
+ * Transports for Model Context Protocol servers. Each carries JSON-RPC
+ * messages in both directions:
+ *
+ * - stdio: a local process, one JSON message per line on stdin/stdout
+ * - http: Streamable HTTP; every message is POSTed, responses come back as
+ *   JSON or as a server-sent event stream
+ * - sse: the older HTTP+SSE transport; responses arrive on a long-lived event
+ *   stream, whose first event names the URL to POST messages to
+ *
+ * All transports share the same interface: start(onMessage, onClose),
+ * send(message, {timeoutMs}) and close(). onClose is called when the
+ * connection is lost, after which the client has to be replaced.
+ */
+
+const { spawn } = require("child_process");
+const axios = require("axios");
+const logger = require("./logger");
+
+/**
+ * Incremental parser for server-sent events
+ */
+class SseParser {
+  constructor() {
+    this.buffer = "";
+  }
+
+  /**
+   * Parses the next chunk of the stream
+   * @param {string} chunk
+   * @returns {Array<{event: string, data: string}>} Events completed by the chunk
+   */
+  push(chunk) {
+    this.buffer += chunk.replace(/\r\n?/g, "\n");
+    const events = [];
+    let end;
+    while ((end = this.buffer.indexOf("\n\n")) !== -1) {
+      const block = this.buffer.slice(0, end);
+      this.buffer = this.buffer.slice(end + 2);
+
+      let event = "message";
+      const data = [];
+      for (const line of block.split("\n")) {
+        const colon = line.indexOf(":");
+        const field = colon === -1 ? line : line.slice(0, colon);
+        const value = colon === -1 ? "" : line.slice(colon + 1).replace(/^ /, "");
+        if (field === "event") {
+          event = value;
+        } else if (field === "data") {
+          data.push(value);
+        }
+      }
+      if (data.length > 0) {
+        events.push({ event, data: data.join("\n") });
+      }
+    }
+    return events;
+  }
+}
+
+/**
+ * Parses JSON-RPC messages, logging anything that is not JSON
+ * @param {string} text
+ * @param {string} server - Server name, for logging
+ * @returns {Array<Object>} Messages; batches are flattened
+ */
+function parseMessages(text, server) {
+  try {
+    return [].concat(JSON.parse(text));
+  } catch (error) {
+    logger.warn("mcp.invalid_message", `Ignoring a message from MCP server ${server} that is not JSON`, {
+      server,
+      error: error.message,
+    });
+    return [];
+  }
+}
+
+class StdioTransport {
+  /**
+   * @param {Object} server - MCP server config with name, command, args, env and cwd
+   */
+  constructor(server) {
+    this.server = server;
+    this.child = null;
+  }
+
+  async start(onMessage, onClose) {
+    const { name, command, args = [], env = {}, cwd } = this.server;
+    const child = spawn(command, args, { cwd, env: { ...process.env, ...env }, stdio: ["pipe", "pipe", "pipe"] });
+    this.child = child;
+
+    let stdout = "";
+    child.stdout.setEncoding("utf8");
+    child.stdout.on("data", (chunk) => {
+      stdout += chunk;
+      let end;
+      while ((end = stdout.indexOf("\n")) !== -1) {
+        const line = stdout.slice(0, end).trim();
+        stdout = stdout.slice(end + 1);
+        if (line) {
+          parseMessages(line, name).forEach(onMessage);
+        }
+      }
+    });
+    child.stderr.setEncoding("utf8");
+    child.stderr.on("data", (chunk) => {
+      logger.debug("mcp.stderr", chunk.trimEnd(), { server: name });
+    });
+    // Writes to a process that already exited are reported through "exit"
+    child.stdin.on("error", () => {});
+
+    await new Promise((resolve, reject) => {
+      child.once("spawn", resolve);
+      child.once("error", reject);
+    });
+    child.on("error", (error) => {
+      logger.error("mcp.process_error", `MCP server ${name} process error`, { server: name, error: error.message });
+    });
+    child.on("exit", (code, signal) => {
+      this.child = null;
+      onClose(new Error(`MCP server ${name} exited (${signal || `code ${code}`})`));
+    });
+  }
+
+  async send(message) {
+    if (!this.child) {
+      throw new Error(`MCP server ${this.server.name} is not running`);
+    }
+    this.child.stdin.write(`${JSON.stringify(message)}\n`);
+  }
+
+  async close() {
+    if (this.child) {
+      this.child.stdin.end();
+      this.child.kill();
+      this.child = null;
+    }
+  }
+}
+
+class HttpTransport {
+  /**
+   * @param {Object} server - MCP server config with name, url and headers
+   */
+  constructor(server) {
+    this.server = server;
+    this.sessionId = null;
+    this.onMessage = null;
+    this.onClose = null;
+  }
+
+  async start(onMessage, onClose) {
+    this.onMessage = onMessage;
+    this.onClose = onClose;
+  }
+
+  async send(message, { timeoutMs = 0 } = {}) {
+    let response;
+    try {
+      response = await axios.post(this.server.url, message, {
+        headers: this._headers({
+          "Content-Type": "application/json",
+          Accept: "application/json, text/event-stream",
+        }),
+        responseType: "text",
+        transformResponse: (body) => body,
+        timeout: timeoutMs,
+      });
+    } catch (error) {
+      this._checkConnectionLost(error);
+      throw error;
+    }
+
+    // The server may assign a session at initialization
+    if (response.headers["mcp-session-id"]) {
+      this.sessionId = response.headers["mcp-session-id"];
+    }
+    if (response.status === 202 || !response.data) {
+      return;
+    }
+
+    const contentType = String(response.headers["content-type"] || "");
+    if (contentType.includes("text/event-stream")) {
+      new SseParser()
+        .push(`${response.data}\n\n`)
+        .forEach((event) => parseMessages(event.data, this.server.name).forEach(this.onMessage));
+    } else {
+      parseMessages(response.data, this.server.name).forEach(this.onMessage);
+    }
+  }
+
+  async close() {
+    if (!this.sessionId) {
+      return;
+    }
+    // Ends the session on the server; servers that do not support this answer 405
+    await axios
+      .delete(this.server.url, { headers: this._headers(), timeout: 5000 })
+      .catch(() => {});
+    this.sessionId = null;
+  }
+
+  _headers(headers = {}) {
+    return {
+      ...(this.server.headers || {}),
+      ...headers,
+      ...(this.sessionId ? { "Mcp-Session-Id": this.sessionId } : {}),
+    };
+  }
+
+  /**
+   * Reports the connection as lost when the server ended the session (404 for
+   * a request with a session ID) or cannot be reached; a request that merely
+   * timed out or failed with another status keeps the connection
+   * @param {Error} error - Error of a POST
+   */
+  _checkConnectionLost(error) {
+    const status = error.response && error.response.status;
+    const sessionEnded = status === 404 && this.sessionId;
+    const unreachable = !error.response && error.code !== "ECONNABORTED" && error.code !== "ETIMEDOUT";
+    if (!sessionEnded && !unreachable) {
+      return;
+    }
+
+    const reason = sessionEnded ? "ended the session" : `is unreachable (${error.message})`;
+    this.sessionId = null;
+    if (this.onClose) {
+      this.onClose(new Error(`MCP server ${this.server.name} ${reason}`));
+    }
+  }
+}
+
+class SseTransport {
+  /**
+   * @param {Object} server - MCP server config with name, url and headers
+   */
+  constructor(server) {
+    this.server = server;
+    this.endpoint = null;
+    this.controller = null;
+  }
+
+  async start(onMessage, onClose) {
+    const { name, url, headers = {} } = this.server;
+    // No request timeout: the stream stays open and idle between messages; close() aborts it
+    this.controller = new AbortController();
+    const response = await axios.get(url, {
+      headers: { ...headers, Accept: "text/event-stream" },
+      responseType: "stream",
+      signal: this.controller.signal,
+    });
+
+    const stream = response.data;
+    const parser = new SseParser();
+    await new Promise((resolve, reject) => {
+      stream.setEncoding("utf8");
+      stream.on("data", (chunk) => {
+        for (const event of parser.push(chunk)) {
+          if (event.event === "endpoint") {
+            // Messages are POSTed to the URL announced by the server
+            this.endpoint = new URL(event.data, url).toString();
+            resolve();
+          } else if (event.event === "message") {
+            parseMessages(event.data, name).forEach(onMessage);
+          }
+        }
+      });
+      stream.on("error", reject);
+      stream.on("close", () => {
+        reject(new Error(`MCP server ${name} closed the event stream`));
+        if (this.controller) {
+          this.controller = null;
+          onClose(new Error(`MCP server ${name} closed the event stream`));
+        }
+      });
+    });
+  }
+
+  async send(message, { timeoutMs = 0 } = {}) {
+    if (!this.endpoint) {
+      throw new Error(`MCP server ${this.server.name} is not connected`);
+    }
+    await axios.post(this.endpoint, message, {
+      headers: { ...(this.server.headers || {}), "Content-Type": "application/json" },
+      timeout: timeoutMs,
+    });
+  }
+
+  async close() {
+    if (this.controller) {
+      const controller = this.controller;
+      this.controller = null;
+      controller.abort();
+    }
+  }
+}
+
+/**
+ * Creates the transport for an MCP server
+ * @param {Object} server - Normalized MCP server config
+ * @returns {StdioTransport|HttpTransport|SseTransport}
+ */
+function createTransport(server) {
+  switch (server.transport) {
+    case "stdio":
+      return new StdioTransport(server);
+    case "sse":
+      return new SseTransport(server);
+    default:
+      return new HttpTransport(server);
+  }
+}
+
+module.exports = { createTransport, SseParser };
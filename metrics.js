@@ -0,0 +1,105 @@
+/**
+ * metrics.js
+ * Prometheus metrics for the speech-to-speech service, exposed on /metrics.
+ */
+
+const client = require("prom-client");
+
+const register = new client.Registry();
+client.collectDefaultMetrics({ register });
+
+const activeSessions = new client.Gauge({
+  name: "avr_sts_active_sessions",
+  help: "Client sessions currently connected",
+  registers: [register],
+});
+
+const openaiConnectionFailures = new client.Counter({
+  name: "avr_sts_openai_connection_failures_total",
+  help: "OpenAI Realtime WebSocket errors and unexpected disconnects",
+  registers: [register],
+});
+
+const clientAuthRejections = new client.Counter({
+  name: "avr_sts_client_auth_rejections_total",
+  help: "Client WebSocket handshakes rejected, by reason",
+  labelNames: ["reason"],
+  registers: [register],
+});
+
+const admissionRejections = new client.Counter({
+  name: "avr_sts_admission_rejections_total",
+  help: "Session inits rejected by concurrency limits, by reason",
+  labelNames: ["reason"],
+  registers: [register],
+});
+
+const toolCalls = new client.Counter({
+  name: "avr_sts_tool_calls_total",
+  help: "Tool calls executed, by tool name and outcome",
+  labelNames: ["tool", "status"],
+  registers: [register],
+});
+
+const toolCallDuration = new client.Histogram({
+  name: "avr_sts_tool_call_duration_seconds",
+  help: "Tool handler execution time, by tool name",
+  labelNames: ["tool"],
+  buckets: [0.05, 0.1, 0.25, 0.5, 1, 2, 5, 10, 30],
+  registers: [register],
+});
+
+const callSummaryFailures = new client.Counter({
+  name: "avr_sts_call_summary_delivery_failures_total",
+  help: "Failed call summary delivery attempts",
+  registers: [register],
+});
+
+const audioFramesIn = new client.Counter({
+  name: "avr_sts_audio_frames_in_total",
+  help: "Audio messages received from clients",
+  registers: [register],
+});
+
+const audioFramesOut = new client.Counter({
+  name: "avr_sts_audio_frames_out_total",
+  help: "Audio frames sent to clients",
+  registers: [register],
+});
+
+const greetingLatency = new client.Histogram({
+  name: "avr_sts_greeting_latency_seconds",
+  help: "Time from session init to the first greeting audio frame sent to the client",
+  buckets: [0.25, 0.5, 1, 1.5, 2, 3, 5, 10],
+  registers: [register],
+});
+
+const tokensUsed = new client.Counter({
+  name: "avr_sts_tokens_total",
+  help: "OpenAI Realtime tokens used, by token type",
+  labelNames: ["type"],
+  registers: [register],
+});
+
+const tokenBudgetExceeded = new client.Counter({
+  name: "avr_sts_token_budget_exceeded_total",
+  help: "Calls ended because a token budget was exhausted, by budget scope",
+  labelNames: ["scope"],
+  registers: [register],
+});
+
+module.exports = {
+  register,
+  activeSessions,
+  openaiConnectionFailures,
+  clientAuthRejections,
+  admissionRejections,
+  toolCalls,
+  toolCallDuration,
+  callSummaryFailures,
+  audioFramesIn,
+  audioFramesOut,
+  greetingLatency,
+  tokensUsed,
+  tokenBudgetExceeded,
+};
@@ -0,0 +1,80 @@
+/**
+ * Substitutes {{variable}} placeholders in agent instructions and greetings
+ * with caller and call details.
+ */
+
+const logger = require('./logger');
+
+const PLACEHOLDER_PATTERN = /\{\{\s*([\w.-]+)\s*\}\}/g;
+
+/**
+ * Pads a number to two digits
+ * @param {number} value
+ * @returns {string}
+ */
+function pad(value) {
+  return String(value).padStart(2, '0');
+}
+
+/**
+ * Builds the variables available to prompt templates for a session.
+ * Every scalar PBX variable is exposed under its own name, plus normalized
+ * caller fields and call details.
+ * @param {Object|null} callerInfo - Caller information from the PBX
+ * @param {Object} call - Call details
+ * @param {string} call.sessionUuid - Session UUID
+ * @param {string|null} call.agentId - Agent ID
+ * @param {Date} [call.now] - Reference time (defaults to the current time)
+ * @returns {Object} Template variables
+ */
+function buildTemplateVariables(callerInfo, { sessionUuid, agentId, now = new Date() }) {
+  const info = callerInfo || {};
+  const variables = {};
+
+  // Custom PBX variables are passed through as-is
+  Object.entries(info).forEach(([key, value]) => {
+    if (value !== null && typeof value !== 'object') {
+      variables[key] = value;
+    }
+  });
+
+  return {
+    ...variables,
+    phoneNumber: info.phoneNumber || info.callerId || '',
+    callerName: info.callerName || info.caller_name || '',
+    callerId: info.callerId || '',
+    channel: info.channel || '',
+    context: info.context || '',
+    extension: info.extension || '',
+    sessionUuid: sessionUuid || '',
+    agentId: agentId || '',
+    now: now.toISOString(),
+    date: `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}`,
+    time: `${pad(now.getHours())}:${pad(now.getMinutes())}`,
+  };
+}
+
+/**
+ * Replaces {{name}} placeholders with values from the variables object.
+ * Unknown placeholders are replaced with an empty string so they never reach the model.
+ * @param {string} template - Template text
+ * @param {Object} variables - Template variables
+ * @returns {string} Rendered text
+ */
+function renderTemplate(template, variables) {
+  if (typeof template !== 'string') return template;
+  return template.replace(PLACEHOLDER_PATTERN, (match, name) => {
+    if (!Object.prototype.hasOwnProperty.call(variables, name)) {
+      logger.warn('template.unknown_variable', `Unknown prompt template variable: ${name}`, {
+        sessionUuid: variables.sessionUuid,
+        agentId: variables.agentId,
+        variable: name,
+      });
+      return '';
+    }
+    const value = variables[name];
+    return value === null || value === undefined ? '' : String(value);
+  });
+}
+
+module.exports = { buildTemplateVariables, renderTemplate };
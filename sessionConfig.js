@@ -0,0 +1,263 @@
+/**
+ * sessionConfig.js
+ * Per-agent voice, turn detection (VAD), transcription and model parameters
+ * for the Realtime session, whether the call is recorded and the agent's
+ * token budgets. Settings are
+ * merged in this order, later sources winning field by field:
+ *   built-in defaults < OPENAI_* environment < AGENT_CONFIG_FILE < agent API
+ * Each source is validated on its own; invalid values are logged and ignored
+ * so a typo in one field never breaks the call.
+ */
+
+const { loadLocalAgentConfig, isPlainObject } = require("./agentConfig");
+const logger = require("./logger");
+
+const VOICES = ["alloy", "ash", "ballad", "coral", "echo", "sage", "shimmer", "verse"];
+
+const DEFAULT_SESSION_CONFIG = {
+  voice: null, // OpenAI default voice
+  speed: null, // OpenAI default speed
+  temperature: 0.8,
+  maxResponseOutputTokens: "inf",
+  noiseReduction: null,
+  recording: false, // Stereo WAV recording of the call, see callRecorder.js
+  tokenBudgetPerCall: 0, // Tokens a single call may use; 0 is unlimited
+  tokenBudgetPerAgent: 0, // Tokens all calls of the agent may use per UTC day; 0 is unlimited
+  turnDetection: {
+    type: "server_vad",
+    threshold: 0.7,
+    prefixPaddingMs: 300,
+    silenceDurationMs: 500,
+    eagerness: "auto",
+  },
+  transcription: {
+    model: "whisper-1",
+    language: null, // Detected by the transcription model
+    prompt: null,
+  },
+};
+
+/**
+ * Rule for numeric settings; numeric strings are coerced
+ * @param {number} min
+ * @param {number} max
+ * @param {boolean} [integer=false]
+ * @returns {Function} value => validated value, throws when invalid
+ */
+const number = (min, max, integer = false) => (value) => {
+  const coerced = typeof value === "string" && value.trim() !== "" ? Number(value) : value;
+  if (
+    typeof coerced !== "number" ||
+    !Number.isFinite(coerced) ||
+    coerced < min ||
+    coerced > max ||
+    (integer && !Number.isInteger(coerced))
+  ) {
+    throw new Error(`must be ${integer ? "an integer" : "a number"} between ${min} and ${max}`);
+  }
+  return coerced;
+};
+
+/**
+ * Rule for enumerated settings
+ * @param {Array} values - Allowed values
+ * @returns {Function} value => validated value, throws when invalid
+ */
+const oneOf = (values) => (value) => {
+  if (!values.includes(value)) {
+    throw new Error(`must be one of ${values.map(String).join(", ")}`);
+  }
+  return value;
+};
+
+const nullable = (rule) => (value) => (value === null ? null : rule(value));
+
+const RULES = {
+  voice: nullable(oneOf(VOICES)),
+  speed: nullable(number(0.25, 1.5)),
+  temperature: number(0.6, 1.2),
+  maxResponseOutputTokens: (value) => (value === "inf" ? value : number(1, 4096, true)(value)),
+  noiseReduction: nullable(oneOf(["near_field", "far_field"])),
+  recording: oneOf([true, false]),
+  tokenBudgetPerCall: number(0, Number.MAX_SAFE_INTEGER, true),
+  tokenBudgetPerAgent: number(0, Number.MAX_SAFE_INTEGER, true),
+  turnDetection: {
+    type: oneOf(["server_vad", "semantic_vad"]),
+    threshold: number(0, 1),
+    prefixPaddingMs: number(0, 5000, true),
+    silenceDurationMs: number(0, 10000, true),
+    eagerness: oneOf(["low", "medium", "high", "auto"]),
+  },
+  transcription: {
+    model: oneOf(["whisper-1", "gpt-4o-transcribe", "gpt-4o-mini-transcribe"]),
+    language: nullable((value) => {
+      if (typeof value !== "string" || !/^[a-z]{2}$/.test(value)) {
+        throw new Error("must be an ISO-639-1 code such as \"en\"");
+      }
+      return value;
+    }),
+    prompt: nullable((value) => {
+      if (typeof value !== "string") throw new Error("must be a string");
+      return value;
+    }),
+  },
+};
+
+/**
+ * Validates a partial session configuration
+ * @param {Object} config - Settings from one source
+ * @param {Object} [rules] - Rules for this level of the configuration
+ * @param {string} [prefix] - Path of this level, for error messages
+ * @returns {{config: Object, errors: string[]}} Valid settings and messages for the ignored ones
+ */
+function validateSessionConfig(config, rules = RULES, prefix = "") {
+  const valid = {};
+  const errors = [];
+  if (!isPlainObject(config)) {
+    return { config: valid, errors: config === undefined || config === null ? [] : [`${prefix || "config"} must be an object`] };
+  }
+
+  for (const [key, value] of Object.entries(config)) {
+    const rule = rules[key];
+    const name = `${prefix}${key}`;
+    if (!rule) {
+      errors.push(`${name} is not a supported setting`);
+    } else if (typeof rule === "function") {
+      try {
+        valid[key] = rule(value);
+      } catch (error) {
+        errors.push(`${name} ${error.message}`);
+      }
+    } else {
+      const nested = validateSessionConfig(value, rule, `${name}.`);
+      valid[key] = nested.config;
+      errors.push(...nested.errors);
+    }
+  }
+  return { config: valid, errors };
+}
+
+/**
+ * Merges validated partial configurations over the defaults
+ * @param {...Object} configs - Partial configurations, lowest precedence first
+ * @returns {Object} Complete session configuration
+ */
+function mergeSessionConfig(...configs) {
+  return configs.reduce(
+    (merged, config) => ({
+      ...merged,
+      ...config,
+      turnDetection: { ...merged.turnDetection, ...config.turnDetection },
+      transcription: { ...merged.transcription, ...config.transcription },
+    }),
+    DEFAULT_SESSION_CONFIG
+  );
+}
+
+/**
+ * Session settings from the OPENAI_* and TOKEN_BUDGET_* environment variables
+ * @returns {Object} Partial configuration
+ */
+function fromEnv() {
+  const env = {};
+  if (process.env.OPENAI_VOICE) env.voice = process.env.OPENAI_VOICE;
+  if (process.env.OPENAI_TEMPERATURE) env.temperature = process.env.OPENAI_TEMPERATURE;
+  if (process.env.OPENAI_MAX_TOKENS) {
+    env.maxResponseOutputTokens = process.env.OPENAI_MAX_TOKENS === "inf" ? "inf" : process.env.OPENAI_MAX_TOKENS;
+  }
+  if (process.env.TOKEN_BUDGET_PER_CALL) env.tokenBudgetPerCall = process.env.TOKEN_BUDGET_PER_CALL;
+  if (process.env.TOKEN_BUDGET_PER_AGENT) env.tokenBudgetPerAgent = process.env.TOKEN_BUDGET_PER_AGENT;
+  const transcription = {};
+  if (process.env.OPENAI_TRANSCRIPTION_MODEL) transcription.model = process.env.OPENAI_TRANSCRIPTION_MODEL;
+  if (process.env.OPENAI_TRANSCRIPTION_LANGUAGE) transcription.language = process.env.OPENAI_TRANSCRIPTION_LANGUAGE;
+  if (Object.keys(transcription).length > 0) env.transcription = transcription;
+  return env;
+}
+
+/**
+ * Converts a session configuration into session.update fields
+ * @param {Object} config - Complete session configuration
+ * @returns {Object} Fields for the `session` object of session.update
+ */
+function buildSessionSettings(config) {
+  const { turnDetection, transcription } = config;
+  const settings = {
+    input_audio_transcription: { model: transcription.model },
+    turn_detection:
+      turnDetection.type === "semantic_vad"
+        ? { type: "semantic_vad", eagerness: turnDetection.eagerness }
+        : {
+            type: "server_vad",
+            threshold: turnDetection.threshold,
+            prefix_padding_ms: turnDetection.prefixPaddingMs,
+            silence_duration_ms: turnDetection.silenceDurationMs,
+          },
+    temperature: config.temperature,
+    max_response_output_tokens: config.maxResponseOutputTokens,
+  };
+
+  // Responses start automatically; barge-in is handled by the server, not by OpenAI
+  settings.turn_detection.create_response = true;
+  settings.turn_detection.interrupt_response = false;
+
+  if (transcription.language) settings.input_audio_transcription.language = transcription.language;
+  if (transcription.prompt) settings.input_audio_transcription.prompt = transcription.prompt;
+  if (config.voice) settings.voice = config.voice;
+  if (config.speed !== null) settings.speed = config.speed;
+  if (config.noiseReduction) settings.input_audio_noise_reduction = { type: config.noiseReduction };
+  return settings;
+}
+
+/**
+ * Resolves the session configuration of an agent
+ * @param {Object} options
+ * @param {AgentApiClient} [options.apiClient] - Agent API client
+ * @param {string} [options.agentId] - Agent ID
+ * @param {string} [options.sessionUuid] - Session UUID
+ * @returns {Promise<{config: Object, settings: Object}>} Merged configuration and session.update fields
+ */
+async function loadSessionConfig({ apiClient, agentId, sessionUuid }) {
+  const sources = [{ name: "environment", config: fromEnv() }];
+
+  const local = await loadLocalAgentConfig(agentId);
+  sources.push({ name: "AGENT_CONFIG_FILE", config: local.session });
+
+  if (agentId && apiClient && apiClient.isConfigured()) {
+    try {
+      sources.push({ name: "agent-api", config: await apiClient.getSessionConfig(agentId, sessionUuid) });
+    } catch (error) {
+      // Agents without session settings are expected to answer 404
+      if (!error.response || error.response.status !== 404) {
+        logger.warn("session_config.fetch_failed", "Error fetching session config; using defaults", {
+          sessionUuid,
+          agentId,
+          error: error.message,
+        });
+      }
+    }
+  }
+
+  const validated = sources.map(({ name, config }) => {
+    const result = validateSessionConfig(config);
+    result.errors.forEach((message) => {
+      logger.warn("session_config.invalid", `Ignoring invalid session setting from ${name}: ${message}`, {
+        sessionUuid,
+        agentId,
+        source: name,
+      });
+    });
+    return result.config;
+  });
+
+  const config = mergeSessionConfig(...validated);
+  return { config, settings: buildSessionSettings(config) };
+}
+
+module.exports = {
+  DEFAULT_SESSION_CONFIG,
+  VOICES,
+  validateSessionConfig,
+  mergeSessionConfig,
+  buildSessionSettings,
+  loadSessionConfig,
+};
@@ -0,0 +1,280 @@
+/**
+ * summaryOutbox.js
+ * Durable delivery of call summaries. Each summary is written to a local
+ * spool directory before it is sent, retried with exponential backoff and
+ * only removed once the agent API has accepted it. Summaries left over from
+ * a previous run are flushed at startup, and summaries that used up their
+ * attempts are retried by a periodic flush of the spool directory. Summaries
+ * the API rejects outright are moved aside as `.failed` files instead.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const AgentApiClient = require("./apiClient");
+const metrics = require("./metrics");
+const logger = require("./logger");
+
+/**
+ * Client errors (HTTP 4xx) other than timeouts and rate limits fail the same way again
+ * @param {Error} error
+ * @returns {boolean}
+ */
+function isPermanentFailure(error) {
+  const status = error && error.response && error.response.status;
+  return status >= 400 && status < 500 && status !== 408 && status !== 429;
+}
+
+class SummaryOutbox {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.dir] - Spool directory (default: CALL_SUMMARY_SPOOL_DIR or ./spool)
+   * @param {number} [options.maxAttempts] - Delivery attempts per run (default: CALL_SUMMARY_MAX_ATTEMPTS or 6)
+   * @param {number} [options.baseDelayMs] - First retry delay (default: CALL_SUMMARY_RETRY_BASE_MS or 1000)
+   * @param {number} [options.flushIntervalMs] - Interval of the periodic flush (default: CALL_SUMMARY_REFLUSH_MS or 300000; 0 disables it)
+   * @param {Function} [options.createApiClient] - Factory for the agent API client
+   */
+  constructor(options = {}) {
+    this.options = options;
+    this.createApiClient = options.createApiClient || (() => new AgentApiClient());
+    this.inFlight = new Map(); // sessionUuid -> delivery promise, from the moment it is enqueued
+    this.pending = new Set(); // Summaries still being put together, see track()
+    this.flushTimer = null;
+  }
+
+  get flushIntervalMs() {
+    if (this.options.flushIntervalMs !== undefined) return this.options.flushIntervalMs;
+    return process.env.CALL_SUMMARY_REFLUSH_MS !== undefined ? +process.env.CALL_SUMMARY_REFLUSH_MS : 300000;
+  }
+
+  get dir() {
+    return path.resolve(this.options.dir || process.env.CALL_SUMMARY_SPOOL_DIR || "./spool");
+  }
+
+  get maxAttempts() {
+    return this.options.maxAttempts || +process.env.CALL_SUMMARY_MAX_ATTEMPTS || 6;
+  }
+
+  get baseDelayMs() {
+    return this.options.baseDelayMs !== undefined
+      ? this.options.baseDelayMs
+      : +process.env.CALL_SUMMARY_RETRY_BASE_MS || 1000;
+  }
+
+  /**
+   * Idempotency key sent with every delivery attempt of a session's summary
+   * @param {string} sessionUuid - Session UUID
+   * @returns {string}
+   */
+  static idempotencyKey(sessionUuid) {
+    return `call-summary-${sessionUuid}`;
+  }
+
+  /**
+   * Persists a call summary and starts delivering it in the background
+   * @param {string} agentId - Agent ID
+   * @param {string} sessionUuid - Session UUID
+   * @param {Object} callSummary - Call summary payload
+   * @returns {Promise<boolean>} Resolves when delivery succeeded (true), or was given up for this run or rejected (false)
+   */
+  async enqueue(agentId, sessionUuid, callSummary) {
+    const entry = {
+      agentId,
+      sessionUuid,
+      idempotencyKey: SummaryOutbox.idempotencyKey(sessionUuid),
+      createdAt: new Date().toISOString(),
+      callSummary,
+    };
+
+    // Tracked before the spool file is written, so whenIdle() waits for the write too
+    if (this.inFlight.has(sessionUuid)) {
+      return this.inFlight.get(sessionUuid);
+    }
+    return this._track(entry, this._spoolAndDeliver(entry));
+  }
+
+  /**
+   * Keeps whenIdle() waiting for a summary that is not enqueued yet, e.g.
+   * while the call recording is being finished
+   * @param {Promise} promise - Settles once the summary has been enqueued and delivered
+   * @returns {Promise} The same promise
+   */
+  track(promise) {
+    this.pending.add(promise);
+    promise.then(
+      () => this.pending.delete(promise),
+      () => this.pending.delete(promise)
+    );
+    return promise;
+  }
+
+  /**
+   * Delivers all summaries left in the spool directory
+   * @returns {Promise<number>} Number of spooled summaries found
+   */
+  async flushPending() {
+    let files;
+    try {
+      files = await fs.promises.readdir(this.dir);
+    } catch (error) {
+      if (error.code === "ENOENT") return 0;
+      throw error;
+    }
+
+    const entries = [];
+    for (const file of files.filter((name) => name.endsWith(".json"))) {
+      try {
+        entries.push(JSON.parse(await fs.promises.readFile(path.join(this.dir, file), "utf8")));
+      } catch (error) {
+        logger.error("summary.spool_unreadable", "Skipping unreadable spooled call summary", {
+          file,
+          error: error.message,
+        });
+      }
+    }
+
+    if (entries.length > 0) {
+      logger.info("summary.flush", `Flushing ${entries.length} pending call summaries`, {
+        count: entries.length,
+        dir: this.dir,
+      });
+    }
+    entries.forEach((entry) => this._deliver(entry));
+    return entries.length;
+  }
+
+  /**
+   * Flushes the spool directory periodically, so summaries that used up their
+   * attempts are retried without waiting for the next start
+   */
+  startPeriodicFlush() {
+    if (this.flushTimer || !this.flushIntervalMs) {
+      return;
+    }
+    this.flushTimer = setInterval(() => {
+      this.flushPending().catch((error) => {
+        logger.error("summary.flush_failed", "Failed to flush pending call summaries", { error: error.message });
+      });
+    }, this.flushIntervalMs);
+    this.flushTimer.unref();
+  }
+
+  /**
+   * Stops the periodic flush
+   */
+  stopPeriodicFlush() {
+    clearInterval(this.flushTimer);
+    this.flushTimer = null;
+  }
+
+  /**
+   * Waits for all summaries being prepared, spooled or delivered
+   * @returns {Promise<void>}
+   */
+  async whenIdle() {
+    while (this.pending.size > 0 || this.inFlight.size > 0) {
+      await Promise.allSettled([...this.pending, ...this.inFlight.values()]);
+    }
+  }
+
+  _fileFor(sessionUuid, extension = ".json") {
+    // Session UUIDs come from the PBX; keep them from escaping the spool directory
+    const safeName = String(sessionUuid).replace(/[^\w.-]/g, "_");
+    return path.join(this.dir, `${safeName}${extension}`);
+  }
+
+  async _deadLetter(entry, error) {
+    const { agentId, sessionUuid } = entry;
+    const file = this._fileFor(sessionUuid, ".failed");
+    try {
+      await fs.promises.rename(this._fileFor(sessionUuid), file);
+    } catch (renameError) {
+      logger.error("summary.dead_letter_failed", "Failed to move rejected call summary out of the spool", {
+        sessionUuid,
+        agentId,
+        error: renameError.message,
+      });
+    }
+    logger.error("summary.rejected", "Call summary rejected by the agent API; it will not be retried", {
+      sessionUuid,
+      agentId,
+      status: error.response.status,
+      file,
+    });
+  }
+
+  async _write(entry) {
+    await fs.promises.mkdir(this.dir, { recursive: true });
+    const file = this._fileFor(entry.sessionUuid);
+    const tmpFile = `${file}.tmp`;
+    await fs.promises.writeFile(tmpFile, JSON.stringify(entry));
+    await fs.promises.rename(tmpFile, file);
+  }
+
+  async _spoolAndDeliver(entry) {
+    try {
+      await this._write(entry);
+    } catch (error) {
+      // Still attempt delivery; the summary is only at risk if this process dies
+      logger.error("summary.spool_failed", "Failed to spool call summary", {
+        sessionUuid: entry.sessionUuid,
+        agentId: entry.agentId,
+        error: error.message,
+      });
+    }
+    return this._attemptDelivery(entry);
+  }
+
+  _deliver(entry) {
+    if (this.inFlight.has(entry.sessionUuid)) {
+      return this.inFlight.get(entry.sessionUuid);
+    }
+    return this._track(entry, this._attemptDelivery(entry));
+  }
+
+  _track(entry, attempt) {
+    const delivery = attempt.finally(() => {
+      this.inFlight.delete(entry.sessionUuid);
+    });
+    this.inFlight.set(entry.sessionUuid, delivery);
+    return delivery;
+  }
+
+  async _attemptDelivery(entry) {
+    const { agentId, sessionUuid, idempotencyKey, callSummary } = entry;
+    const apiClient = this.createApiClient();
+
+    for (let attempt = 1; attempt <= this.maxAttempts; attempt++) {
+      try {
+        await apiClient.sendCallSummary(agentId, sessionUuid, callSummary, { idempotencyKey });
+        logger.info("summary.delivered", "Call summary delivered", { sessionUuid, agentId, attempt });
+        await fs.promises.rm(this._fileFor(sessionUuid), { force: true });
+        return true;
+      } catch (error) {
+        metrics.callSummaryFailures.inc();
+        logger.error("summary.delivery_failed", `Call summary delivery failed (attempt ${attempt}/${this.maxAttempts})`, {
+          sessionUuid,
+          agentId,
+          attempt,
+          error: error.message,
+        });
+        if (isPermanentFailure(error)) {
+          await this._deadLetter(entry, error);
+          return false;
+        }
+        if (attempt < this.maxAttempts) {
+          const delay = this.baseDelayMs * 2 ** (attempt - 1);
+          await new Promise((resolve) => setTimeout(resolve, delay));
+        }
+      }
+    }
+
+    logger.error("summary.deferred", "Giving up on call summary for now; it stays spooled", {
+      sessionUuid,
+      agentId,
+      dir: this.dir,
+    });
+    return false;
+  }
+}
+
+module.exports = SummaryOutbox;
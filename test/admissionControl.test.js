@@ -0,0 +1,37 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+
+const AdmissionControl = require("../admissionControl");
+
+test("admits everything when no limits are configured", () => {
+  const admission = new AdmissionControl({ maxSessions: 0, maxSessionsPerIp: 0 });
+  for (let i = 0; i < 100; i++) {
+    assert.equal(admission.admit("10.0.0.1").ok, true);
+  }
+  assert.equal(admission.isFull(), false);
+});
+
+test("enforces the instance limit and frees slots on release", () => {
+  const admission = new AdmissionControl({ maxSessions: 2, maxSessionsPerIp: 0 });
+  const first = admission.admit("10.0.0.1");
+  admission.admit("10.0.0.2");
+
+  assert.equal(admission.isFull(), true);
+  assert.deepEqual(admission.admit("10.0.0.3"), { ok: false, reason: "max_sessions_reached" });
+
+  first.release();
+  first.release();
+  assert.equal(admission.active, 1);
+  assert.equal(admission.admit("10.0.0.3").ok, true);
+});
+
+test("enforces the per-IP limit independently per address", () => {
+  const admission = new AdmissionControl({ maxSessions: 0, maxSessionsPerIp: 1 });
+  const first = admission.admit("10.0.0.1");
+
+  assert.deepEqual(admission.admit("10.0.0.1"), { ok: false, reason: "max_sessions_per_ip_reached" });
+  assert.equal(admission.admit("10.0.0.2").ok, true);
+
+  first.release();
+  assert.equal(admission.admit("10.0.0.1").ok, true);
+});
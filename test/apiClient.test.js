@@ -0,0 +1,44 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const http = require("http");
+
+const AgentApiClient = require("../apiClient");
+
+process.env.LOG_LEVEL = "silent";
+
+test("agent IDs stay inside their path segment", async () => {
+  const paths = [];
+  const server = http.createServer((req, res) => {
+    paths.push(req.url);
+    res.writeHead(200, { "Content-Type": "application/json" });
+    res.end("[]");
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  process.env.AGENT_API_BASE_URL = `http://127.0.0.1:${server.address().port}`;
+
+  try {
+    const client = new AgentApiClient();
+    await client.getTools("../../admin", "uuid-1");
+    await client.sendCallSummary("sales team", "uuid-1", {});
+    assert.deepEqual(paths, ["/api/agents/..%2F..%2Fadmin/tools", "/api/agents/sales%20team/call-summary"]);
+  } finally {
+    delete process.env.AGENT_API_BASE_URL;
+    server.close();
+  }
+});
+
+test("agent API requests time out instead of holding up the call", async () => {
+  const server = http.createServer(() => {}); // Never answers
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  process.env.AGENT_API_BASE_URL = `http://127.0.0.1:${server.address().port}`;
+  process.env.AGENT_API_TIMEOUT_MS = "50";
+
+  try {
+    await assert.rejects(new AgentApiClient().getSessionConfig("agent-1", "uuid-1"), /timeout/);
+  } finally {
+    delete process.env.AGENT_API_BASE_URL;
+    delete process.env.AGENT_API_TIMEOUT_MS;
+    server.closeAllConnections();
+    server.close();
+  }
+});
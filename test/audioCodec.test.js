@@ -0,0 +1,62 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+  negotiateAudioFormat,
+  decodeClientAudio,
+  encodeClientAudio,
+  decodeG711,
+  encodeG711,
+} = require("../audioCodec");
+
+test("defaults to PCM16 at 8kHz with resampling", () => {
+  const format = negotiateAudioFormat();
+  assert.equal(format.codec, "pcm16");
+  assert.equal(format.sampleRate, 8000);
+  assert.equal(format.frameSamples, 160);
+  assert.equal(format.frameBytes, 320);
+  assert.equal(format.openaiFormat, "pcm16");
+  assert.equal(format.needsResampling, true);
+});
+
+test("passes 24kHz PCM16 and G.711 straight through", () => {
+  assert.equal(negotiateAudioFormat({ codec: "pcm16", sampleRate: 24000 }).needsResampling, false);
+
+  const ulaw = negotiateAudioFormat({ codec: "PCMU" });
+  assert.equal(ulaw.codec, "ulaw");
+  assert.equal(ulaw.openaiFormat, "g711_ulaw");
+  assert.equal(ulaw.frameBytes, 160);
+  assert.equal(ulaw.needsResampling, false);
+
+  assert.equal(negotiateAudioFormat({ codec: "alaw" }).openaiFormat, "g711_alaw");
+});
+
+test("rejects unsupported codecs and sample rates", () => {
+  assert.throws(() => negotiateAudioFormat({ codec: "opus" }), /Unsupported audio codec/);
+  assert.throws(() => negotiateAudioFormat({ codec: "pcm16", sampleRate: 44100 }), /Unsupported sample rate/);
+  assert.throws(() => negotiateAudioFormat({ codec: "ulaw", sampleRate: 16000 }), /requires an 8000 Hz/);
+});
+
+for (const codec of ["ulaw", "alaw"]) {
+  test(`${codec} round-trips within G.711 quantization error`, () => {
+    const samples = Int16Array.from([0, 100, -100, 1000, -1000, 12345, -12345, 32767, -32768]);
+    const decoded = decodeG711(encodeG711(samples, codec), codec);
+    samples.forEach((sample, i) => {
+      const tolerance = Math.max(16, Math.abs(sample) * 0.07);
+      assert.ok(Math.abs(decoded[i] - sample) <= tolerance, `${sample} decoded as ${decoded[i]}`);
+    });
+  });
+}
+
+test("encodes silence with the standard G.711 idle codes", () => {
+  assert.equal(encodeG711(Int16Array.of(0), "ulaw")[0], 0xff);
+  assert.equal(encodeG711(Int16Array.of(0), "alaw")[0], 0xd5);
+});
+
+test("PCM16 client audio is decoded and encoded without copying values", () => {
+  const format = negotiateAudioFormat({ codec: "pcm16", sampleRate: 16000 });
+  const samples = Int16Array.from([1, -2, 300, -32768]);
+  const encoded = encodeClientAudio(samples, format);
+  assert.equal(encoded.length, 8);
+  assert.deepEqual(Array.from(decodeClientAudio(Buffer.from(encoded), format)), Array.from(samples));
+});
@@ -0,0 +1,101 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+
+const AudioPlayout = require("../audioPlayout");
+
+process.env.LOG_LEVEL = "silent";
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+test("releases 20ms frames on a real-time clock", async () => {
+  const frames = [];
+  const playout = new AudioPlayout({ onFrame: (frame) => frames.push(Int16Array.from(frame)), prebufferMs: 0 });
+
+  playout.push(new Int16Array(160 * 10).fill(7), "item");
+  await wait(90);
+  playout.stop();
+
+  // Roughly 5 frames in 90ms, never the whole queue at once
+  assert.ok(frames.length >= 3 && frames.length <= 7, `released ${frames.length} frames`);
+  frames.forEach((frame) => {
+    assert.equal(frame.length, 160);
+    assert.equal(frame[0], 7);
+  });
+});
+
+test("waits for the prebuffer before starting playback", async () => {
+  let released = 0;
+  const playout = new AudioPlayout({ onFrame: () => released++, prebufferMs: 60 });
+
+  playout.push(new Int16Array(320));
+  await wait(50);
+  assert.equal(released, 0);
+
+  playout.push(new Int16Array(160));
+  await wait(10);
+  assert.ok(released >= 1);
+  playout.stop();
+});
+
+test("flush pads the partial frame and appends silence", async () => {
+  const frames = [];
+  const playout = new AudioPlayout({ onFrame: (frame) => frames.push(Int16Array.from(frame)) });
+
+  playout.push(new Int16Array(200).fill(1));
+  playout.flush(2);
+
+  await wait(120);
+  assert.equal(frames.length, 4);
+  assert.equal(frames[1][39], 1);
+  assert.equal(frames[1][40], 0);
+  playout.stop();
+});
+
+test("reports played milliseconds per tag and drops queued audio on clear", async () => {
+  const playout = new AudioPlayout({ onFrame: () => {}, prebufferMs: 0 });
+
+  playout.push(new Int16Array(160 * 2), "first");
+  playout.push(new Int16Array(160 * 50), "second");
+  await wait(110);
+
+  assert.equal(playout.playedMs("first"), 40);
+  const played = playout.playedMs("second");
+  assert.ok(played > 0 && played < 1000, `played ${played}ms`);
+
+  playout.clear();
+  assert.equal(playout.queuedSamples, 0);
+  assert.equal(playout.playedMs("second"), played);
+  assert.equal(playout.playedMs("unknown"), 0);
+  playout.stop();
+});
+
+test("audio discarded by clear does not count as played", () => {
+  const playout = new AudioPlayout({ onFrame: () => {}, prebufferMs: 1000 });
+
+  playout.push(new Int16Array(160 * 3), "interrupted");
+  playout._releaseFrame();
+  playout.clear();
+  assert.equal(playout.playedMs("interrupted"), 20);
+
+  // Audio queued after the barge-in starts at the current play position
+  playout.push(new Int16Array(160 * 2), "next");
+  playout._releaseFrame();
+  assert.equal(playout.playedMs("interrupted"), 20);
+  assert.equal(playout.playedMs("next"), 20);
+  playout.stop();
+});
+
+test("wraps around the ring buffer and drops the oldest audio on overflow", () => {
+  const frames = [];
+  const playout = new AudioPlayout({ onFrame: (frame) => frames.push(frame[0]), capacityMs: 40, prebufferMs: 1000 });
+
+  playout.push(new Int16Array(160).fill(1));
+  playout.push(new Int16Array(160).fill(2));
+  playout.push(new Int16Array(160).fill(3));
+
+  assert.equal(playout.queuedSamples, 320);
+  playout._releaseFrame();
+  playout._releaseFrame();
+  assert.deepEqual(frames, [2, 3]);
+  playout.stop();
+});
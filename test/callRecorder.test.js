@@ -0,0 +1,76 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const CallRecorder = require("../callRecorder");
+
+const tmpDir = () => fs.mkdtempSync(path.join(os.tmpdir(), "recorder-"));
+
+/**
+ * Reads a stereo PCM16 WAV file
+ * @returns {{sampleRate: number, channels: number, left: number[], right: number[]}}
+ */
+function readWav(file) {
+  const data = fs.readFileSync(file);
+  assert.equal(data.toString("ascii", 0, 4), "RIFF");
+  assert.equal(data.readUInt32LE(4), data.length - 8);
+  const dataBytes = data.readUInt32LE(40);
+  assert.equal(dataBytes, data.length - 44);
+
+  const samples = new Int16Array(data.buffer.slice(data.byteOffset + 44, data.byteOffset + data.length));
+  return {
+    sampleRate: data.readUInt32LE(24),
+    channels: data.readUInt16LE(22),
+    left: Array.from(samples.filter((_, i) => i % 2 === 0)),
+    right: Array.from(samples.filter((_, i) => i % 2 === 1)),
+  };
+}
+
+test("places caller and agent audio on separate channels of a shared clock", async () => {
+  let clock = 0;
+  const recorder = new CallRecorder({ sessionUuid: "uuid-1", sampleRate: 1000, dir: tmpDir(), now: () => clock });
+  await recorder.start();
+
+  // Caller speaks from 0-10ms, the agent answers from 20-30ms
+  clock = 10;
+  recorder.writeCaller(new Int16Array(10).fill(1));
+  clock = 30;
+  recorder.writeAgent(new Int16Array(10).fill(2));
+  await recorder.stop();
+
+  const wav = readWav(recorder.path);
+  assert.equal(wav.sampleRate, 1000);
+  assert.equal(wav.channels, 2);
+  assert.deepEqual(wav.left, [...Array(10).fill(1), ...Array(20).fill(0)]);
+  assert.deepEqual(wav.right, [...Array(20).fill(0), ...Array(10).fill(2)]);
+  assert.equal(recorder.durationSeconds, 0.03);
+});
+
+test("a silent channel does not hold back the recording", async () => {
+  let clock = 0;
+  const recorder = new CallRecorder({
+    sessionUuid: "uuid-2",
+    sampleRate: 1000,
+    dir: tmpDir(),
+    jitterMs: 50,
+    now: () => clock,
+  });
+  await recorder.start();
+
+  for (clock = 20; clock <= 200; clock += 20) {
+    recorder.writeCaller(new Int16Array(20).fill(1));
+  }
+
+  // Everything older than the jitter window has been handed to the file
+  assert.ok(recorder.committed >= 150, `only ${recorder.committed} samples committed`);
+  await recorder.stop();
+  assert.equal(readWav(recorder.path).left.length, 200);
+});
+
+test("keeps session UUIDs from escaping the recording directory", () => {
+  const dir = tmpDir();
+  const recorder = new CallRecorder({ sessionUuid: "../../etc/passwd", sampleRate: 8000, dir });
+  assert.equal(path.dirname(recorder.path), dir);
+});
@@ -0,0 +1,104 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { createClientAuthenticator, signUrl } = require("../clientAuth");
+
+/**
+ * Builds the parts of an upgrade request the authenticator looks at
+ * @param {Object} [options]
+ * @returns {Object}
+ */
+function request({ url = "/", headers = {}, remoteAddress = "127.0.0.1" } = {}) {
+  return { url, headers, socket: { remoteAddress } };
+}
+
+test("accepts every handshake when nothing is configured", () => {
+  const authenticate = createClientAuthenticator({ token: "", hmacSecret: "", ipAllowlist: "" });
+  assert.deepEqual(authenticate(request()), { ok: true });
+});
+
+test("checks the bearer token", () => {
+  const authenticate = createClientAuthenticator({ token: "s3cret", hmacSecret: "", ipAllowlist: "" });
+
+  assert.equal(authenticate(request({ headers: { authorization: "Bearer s3cret" } })).ok, true);
+  assert.deepEqual(authenticate(request({ headers: { authorization: "Bearer wrong" } })), {
+    ok: false,
+    status: 401,
+    reason: "invalid_token",
+  });
+  assert.equal(authenticate(request()).reason, "missing_credentials");
+});
+
+test("checks HMAC-signed query parameters and their expiry", () => {
+  const now = () => 1700000000000;
+  const authenticate = createClientAuthenticator({ token: "", hmacSecret: "key", ipAllowlist: "", now });
+  const expires = 1700000060;
+
+  const valid = `/?expires=${expires}&signature=${signUrl("key", { expires })}`;
+  assert.deepEqual(authenticate(request({ url: valid })), { ok: true, binding: { uuid: "", agentId: "" } });
+
+  const forged = `/?expires=${expires}&signature=${signUrl("other", { expires })}`;
+  assert.equal(authenticate(request({ url: forged })).reason, "invalid_signature");
+
+  const expired = `/?expires=1699999999&signature=${signUrl("key", { expires: 1699999999 })}`;
+  assert.equal(authenticate(request({ url: expired })).reason, "signature_expired");
+});
+
+test("signatures cover the path, uuid and agentId", () => {
+  const now = () => 1700000000000;
+  const authenticate = createClientAuthenticator({ token: "", hmacSecret: "key", ipAllowlist: "", now });
+  const expires = 1700000060;
+  const signature = signUrl("key", { path: "/calls", uuid: "uuid-1", agentId: "agent-1", expires });
+
+  const valid = `/calls?uuid=uuid-1&agentId=agent-1&expires=${expires}&signature=${signature}`;
+  assert.deepEqual(authenticate(request({ url: valid })), {
+    ok: true,
+    binding: { uuid: "uuid-1", agentId: "agent-1" },
+  });
+
+  const otherCall = `/calls?uuid=uuid-2&agentId=agent-1&expires=${expires}&signature=${signature}`;
+  assert.equal(authenticate(request({ url: otherCall })).reason, "invalid_signature");
+  const otherAgent = `/calls?uuid=uuid-1&agentId=agent-2&expires=${expires}&signature=${signature}`;
+  assert.equal(authenticate(request({ url: otherAgent })).reason, "invalid_signature");
+  const otherPath = `/?uuid=uuid-1&agentId=agent-1&expires=${expires}&signature=${signature}`;
+  assert.equal(authenticate(request({ url: otherPath })).reason, "invalid_signature");
+});
+
+test("rejects signed URLs that expire too far in the future", () => {
+  const now = () => 1700000000000;
+  const authenticate = createClientAuthenticator({
+    token: "",
+    hmacSecret: "key",
+    ipAllowlist: "",
+    maxExpirySeconds: 60,
+    now,
+  });
+
+  const withinWindow = `/?expires=1700000060&signature=${signUrl("key", { expires: 1700000060 })}`;
+  assert.equal(authenticate(request({ url: withinWindow })).ok, true);
+
+  const tooFar = `/?expires=1700000061&signature=${signUrl("key", { expires: 1700000061 })}`;
+  assert.deepEqual(authenticate(request({ url: tooFar })), { ok: false, status: 401, reason: "expiry_too_far" });
+});
+
+test("rejects addresses outside the allowlist with 403", () => {
+  const authenticate = createClientAuthenticator({ token: "", hmacSecret: "", ipAllowlist: "10.0.0.0/8, 192.168.1.20" });
+
+  assert.equal(authenticate(request({ remoteAddress: "10.1.2.3" })).ok, true);
+  assert.equal(authenticate(request({ remoteAddress: "::ffff:192.168.1.20" })).ok, true);
+  assert.deepEqual(authenticate(request({ remoteAddress: "192.168.1.21" })), {
+    ok: false,
+    status: 403,
+    reason: "ip_not_allowed",
+  });
+});
+
+test("the allowlist applies before credentials are checked", () => {
+  const authenticate = createClientAuthenticator({ token: "s3cret", hmacSecret: "", ipAllowlist: "10.0.0.1" });
+  const result = authenticate(request({ headers: { authorization: "Bearer s3cret" }, remoteAddress: "10.0.0.2" }));
+  assert.equal(result.status, 403);
+});
+
+test("invalid allowlist entries fail fast", () => {
+  assert.throws(() => createClientAuthenticator({ ipAllowlist: "not-an-ip" }), /CLIENT_IP_ALLOWLIST/);
+});
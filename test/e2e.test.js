@@ -0,0 +1,828 @@
+/**
+ * End-to-end tests: a fake PBX client drives the service, which talks to a
+ * local mock of the OpenAI Realtime API and a mock agent API / AMI server.
+ */
+
+const { test, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { once } = require("node:events");
+const fs = require("node:fs");
+const os = require("node:os");
+const path = require("node:path");
+
+const MockRealtimeServer = require("./helpers/mockRealtimeServer");
+const MockAgentApi = require("./helpers/mockAgentApi");
+const FakePbxClient = require("./helpers/fakePbxClient");
+const MockMcpServer = require("./helpers/mockMcpServer");
+const { startServer, shutdown } = require("../index");
+const { mcpClients } = require("../loadTools");
+const { signUrl } = require("../clientAuth");
+
+if (!process.env.TEST_VERBOSE) {
+  process.env.LOG_LEVEL = "silent";
+}
+
+const AGENT_ID = "agent-1";
+
+let realtime;
+let api;
+let service;
+let client;
+
+/**
+ * Starts the mocks and the service, and connects a PBX client.
+ * @param {Object} [apiConfig] - MockAgentApi configuration
+ * @param {Object} [options]
+ * @param {boolean} [options.connect=true] - Whether to connect the PBX client
+ */
+async function setup(apiConfig = {}, { connect = true } = {}) {
+  realtime = new MockRealtimeServer();
+  api = new MockAgentApi(apiConfig);
+  await realtime.start();
+  await api.start();
+
+  process.env.OPENAI_REALTIME_URL = realtime.url;
+  process.env.OPENAI_API_KEY = "test-key";
+  process.env.AGENT_API_BASE_URL = api.url;
+  process.env.AMI_URL = api.url;
+  process.env.AGENT_ID = AGENT_ID;
+  process.env.OPENAI_RECONNECT_BASE_DELAY_MS = "50";
+  process.env.CALL_SUMMARY_SPOOL_DIR = fs.mkdtempSync(path.join(os.tmpdir(), "avr-spool-"));
+
+  service = startServer(0);
+  await once(service, "listening");
+
+  if (connect) {
+    client = new FakePbxClient(`ws://127.0.0.1:${service.address().port}`);
+    await client.connect();
+  }
+}
+
+/**
+ * Generates 8kHz PCM16 audio
+ * @param {number} ms - Duration
+ * @returns {Buffer}
+ */
+function pcm8k(ms) {
+  const samples = new Int16Array(ms * 8);
+  for (let i = 0; i < samples.length; i++) {
+    samples[i] = Math.round(2000 * Math.sin((2 * Math.PI * 300 * i) / 8000));
+  }
+  return Buffer.from(samples.buffer);
+}
+
+beforeEach(() => {
+  realtime = null;
+  api = null;
+  service = null;
+  client = null;
+});
+
+afterEach(async () => {
+  if (client) {
+    await client.close();
+    // Let the call summary reach the mock API before it shuts down
+    if (api) await api.waitForRequest(/\/call-summary$/, 500).catch(() => {});
+  }
+  if (service) {
+    service.closeAllConnections();
+    await new Promise((resolve) => service.close(resolve));
+  }
+  if (realtime) await realtime.stop();
+  if (api) await api.stop();
+});
+
+test("init configures the OpenAI session with rendered instructions and tools", async () => {
+  await setup({
+    instructions: "Greet {{callerName}} calling from {{phoneNumber}}.",
+    tools: [{ name: "lookup_order", description: "Looks up an order", input_schema: { type: "object" } }],
+  });
+  client.init("uuid-init");
+
+  const update = await realtime.waitFor("session.update");
+  const request = realtime.requests[0];
+
+  assert.match(request.url, /\?model=/);
+  assert.equal(request.headers.authorization, "Bearer test-key");
+  assert.equal(update.session.instructions, "Greet Test Caller calling from +491234567.");
+  assert.equal(update.session.input_audio_format, "pcm16");
+  assert.equal(update.session.output_audio_format, "pcm16");
+
+  const toolNames = update.session.tools.map((tool) => tool.name);
+  assert.ok(toolNames.includes("avr_hangup"));
+  assert.ok(toolNames.includes("lookup_order"));
+
+  const instructionsRequest = await api.waitForRequest(`/api/agents/${AGENT_ID}/system-instructions`);
+  assert.equal(instructionsRequest.headers["x-avr-uuid"], "uuid-init");
+});
+
+test("init selects the agent from the init message", async () => {
+  await setup();
+  client.init("uuid-agent", { agentId: "sales" });
+
+  await realtime.waitFor("session.update");
+  await api.waitForRequest("/api/agents/sales/system-instructions");
+});
+
+test("greeting is spoken first and streamed to the client in paced 20ms frames", async () => {
+  await setup({ greeting: "Welcome, {{callerName}}!" });
+  client.init("uuid-greeting");
+
+  const greeting = await realtime.waitFor("response.create");
+  assert.match(greeting.response.instructions, /Welcome, Test Caller!/);
+
+  const startedAt = Date.now();
+  realtime.playResponse({ audioMs: 300, transcript: "Welcome, Test Caller!" });
+
+  const transcript = await client.waitFor("transcript", (m) => m.role === "agent");
+  assert.equal(transcript.text, "Welcome, Test Caller!");
+
+  // 300ms of audio plus padding and trailing silence
+  await client.waitFor("audio", () => client.messagesOfType("audio").length >= 15);
+  const frames = client.messagesOfType("audio");
+  assert.ok(Date.now() - startedAt >= 200, "audio must be paced, not sent in one burst");
+  frames.forEach((frame) => assert.equal(Buffer.from(frame.audio, "base64").length, 320));
+});
+
+test("the spoken greeting is flushed once and cannot be interrupted until it has played", async () => {
+  await setup({ greeting: "Welcome!" });
+  client.init("uuid-greeting-playout");
+  await realtime.waitFor("response.create");
+
+  realtime.playResponse({ audioMs: 600, transcript: "Welcome!" });
+  await client.waitFor("audio", () => client.messagesOfType("audio").length >= 5);
+  realtime.send({ type: "input_audio_buffer.speech_started", audio_start_ms: 0, item_id: "item_user" });
+
+  // 600ms of audio plus a single 100ms of trailing silence
+  await new Promise((resolve) => setTimeout(resolve, 1000));
+  assert.equal(client.messagesOfType("audio").length, 30 + 5);
+  assert.equal(client.messagesOfType("interruption").length, 0);
+  assert.equal(realtime.eventsOfType("response.cancel").length, 0);
+});
+
+test("the greeting wrapper follows the agent's language", async () => {
+  await setup({ greeting: { greeting: "Guten Tag, {{callerName}}!", language: "de" } });
+  client.init("uuid-greeting-de");
+
+  const greeting = await realtime.waitFor("response.create");
+  assert.match(greeting.response.instructions, /^Du hast grade den Hörer abgenommen/);
+  assert.match(greeting.response.instructions, /Guten Tag, Test Caller!/);
+});
+
+test("a pre-rendered greeting is played instead of asking the model", async () => {
+  const samples = Buffer.from(new Int16Array(8 * 200).fill(1000).buffer);
+  const header = Buffer.alloc(44);
+  header.write("RIFF", 0);
+  header.writeUInt32LE(36 + samples.length, 4);
+  header.write("WAVEfmt ", 8);
+  header.writeUInt32LE(16, 16);
+  header.writeUInt16LE(1, 20); // PCM
+  header.writeUInt16LE(1, 22); // mono
+  header.writeUInt32LE(8000, 24);
+  header.writeUInt32LE(16000, 28);
+  header.writeUInt16LE(2, 32);
+  header.writeUInt16LE(16, 34);
+  header.write("data", 36);
+  header.writeUInt32LE(samples.length, 40);
+  process.env.PROMPTS_DIR = fs.mkdtempSync(path.join(os.tmpdir(), "avr-greeting-"));
+  fs.writeFileSync(path.join(process.env.PROMPTS_DIR, "greeting.wav"), Buffer.concat([header, samples]));
+
+  try {
+    await setup({ greeting: { greeting: "Welcome!", audioFile: "greeting.wav" } });
+    client.init("uuid-greeting-audio");
+
+    const item = await realtime.waitFor("conversation.item.create");
+    assert.equal(item.item.role, "assistant");
+    assert.deepEqual(item.item.content, [{ type: "text", text: "Welcome!" }]);
+
+    const transcript = await client.waitFor("transcript", (m) => m.role === "agent");
+    assert.equal(transcript.text, "Welcome!");
+    await client.waitFor("audio", () => client.messagesOfType("audio").length >= 10);
+    assert.equal(realtime.received.filter((m) => m.type === "response.create").length, 0);
+  } finally {
+    delete process.env.PROMPTS_DIR;
+  }
+});
+
+test("the greeting from the local agent config is spoken without the agent API", async () => {
+  const configFile = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "avr-agents-")), "agents.json");
+  const greeting = { text: "Hallo {{callerName}}!", language: "de" };
+  fs.writeFileSync(configFile, JSON.stringify({ agents: { [AGENT_ID]: { greeting } } }));
+  process.env.AGENT_CONFIG_FILE = configFile;
+  try {
+    await setup();
+    delete process.env.AGENT_API_BASE_URL;
+    client.init("uuid-local-greeting");
+
+    const response = await realtime.waitFor("response.create");
+    assert.match(response.response.instructions, /^Du hast grade den Hörer abgenommen/);
+    assert.match(response.response.instructions, /Hallo Test Caller!/);
+  } finally {
+    delete process.env.AGENT_CONFIG_FILE;
+  }
+});
+
+test("caller audio is upsampled and forwarded, including audio sent before the session was ready", async () => {
+  await setup();
+  client.init("uuid-audio");
+  client.sendAudio(pcm8k(100));
+
+  const buffered = await realtime.waitFor("input_audio_buffer.append");
+  assert.ok(Buffer.from(buffered.audio, "base64").length > 0);
+
+  await realtime.waitFor("session.update");
+  client.sendAudio(pcm8k(20));
+  const live = await realtime.waitFor("input_audio_buffer.append");
+  const bytes = Buffer.from(live.audio, "base64").length;
+  assert.ok(bytes > 0 && bytes <= 960 * 2, `unexpected upsampled size ${bytes}`);
+});
+
+test("caller audio sent before init is dropped rather than replayed in the wrong format", async () => {
+  await setup();
+  client.sendAudio(pcm8k(100));
+  client.init("uuid-audio-before-init");
+  await realtime.waitFor("session.update");
+
+  client.sendAudio(pcm8k(20));
+  const first = await realtime.waitFor("input_audio_buffer.append");
+  const bytes = Buffer.from(first.audio, "base64").length;
+  assert.ok(bytes <= 960 * 2, `early audio was replayed (${bytes} bytes)`);
+});
+
+test("tool results are returned as function_call_output items bound to the call id", async () => {
+  await setup({
+    tools: (baseUrl) => [
+      {
+        name: "lookup_order",
+        description: "Looks up an order",
+        input_schema: { type: "object", properties: { order_id: { type: "string" } } },
+        handler: { url: `${baseUrl}/tools/lookup_order` },
+      },
+    ],
+    toolResults: {
+      lookup_order: (body) => ({ orderId: body.order_id, status: "shipped" }),
+    },
+  });
+  client.init("uuid-tool");
+  await realtime.waitFor("session.update");
+
+  const callId = realtime.callTool("lookup_order", { order_id: "42" });
+
+  const item = await realtime.waitFor("conversation.item.create", (e) => e.item.type === "function_call_output");
+  assert.equal(item.item.call_id, callId);
+  assert.deepEqual(JSON.parse(item.item.output), { orderId: "42", status: "shipped" });
+
+  const toolRequest = await api.waitForRequest("/tools/lookup_order");
+  assert.equal(toolRequest.body.callerInfo.callerName, "Test Caller");
+
+  const followUp = await realtime.waitFor("response.create");
+  assert.equal(followUp.response, undefined);
+});
+
+test("API tools cannot shadow local tools", async () => {
+  await setup({
+    tools: (baseUrl) => [
+      { name: "avr_hangup", description: "Shadow", handler: { url: `${baseUrl}/tools/avr_hangup` } },
+      { name: "lookup_order", description: "Looks up an order", handler: { url: `${baseUrl}/tools/lookup_order` } },
+    ],
+  });
+  client.init("uuid-tool-collision");
+
+  const update = await realtime.waitFor("session.update");
+  const hangups = update.session.tools.filter((tool) => tool.name === "avr_hangup");
+  assert.equal(hangups.length, 1);
+  assert.notEqual(hangups[0].description, "Shadow");
+  assert.ok(update.session.tools.some((tool) => tool.name === "lookup_order"));
+});
+
+test("agents only get the local tools they enable, with their descriptions and constraints", async () => {
+  await setup({
+    tools: {
+      tools: [],
+      local_tools: {
+        avr_transfer: {
+          description: "Transfers the caller to the sales team.",
+          constraints: { extensions: ["200"], contexts: ["sales"] },
+        },
+      },
+    },
+  });
+  client.init("uuid-local-tools");
+
+  const update = await realtime.waitFor("session.update");
+  assert.deepEqual(
+    update.session.tools.map((tool) => tool.name),
+    ["avr_transfer"]
+  );
+  assert.equal(update.session.tools[0].description, "Transfers the caller to the sales team.");
+
+  const disabled = realtime.callTool("avr_hangup", {});
+  const disabledOutput = await realtime.waitFor("conversation.item.create", (e) => e.item.call_id === disabled);
+  assert.match(JSON.parse(disabledOutput.item.output).message, /not enabled for this agent/);
+
+  const outside = realtime.callTool("avr_transfer", { transfer_extension: "999" });
+  const outsideOutput = await realtime.waitFor("conversation.item.create", (e) => e.item.call_id === outside);
+  assert.match(JSON.parse(outsideOutput.item.output).message, /transfer_extension must be one of 200/);
+
+  realtime.callTool("avr_transfer", { transfer_extension: "200" });
+  const transfer = await api.waitForRequest("/transfer");
+  assert.equal(transfer.body.exten, "200");
+  assert.equal(transfer.body.context, "sales");
+  assert.equal(api.requests.filter((request) => request.path === "/hangup").length, 0);
+});
+
+test("tools of MCP servers are offered to the model and called with caller context", async () => {
+  const mcp = new MockMcpServer();
+  await mcp.start();
+  try {
+    await setup({ tools: { tools: [], mcp_servers: [{ name: "crm", url: `${mcp.url}/mcp`, tool_prefix: "crm_" }] } });
+    client.init("uuid-mcp");
+
+    const update = await realtime.waitFor("session.update");
+    const echo = update.session.tools.find((tool) => tool.name === "crm_echo");
+    assert.deepEqual(echo.parameters.required, ["text"]);
+    assert.ok(update.session.tools.some((tool) => tool.name === "crm_fail"));
+
+    const callId = realtime.callTool("crm_echo", { text: "hello" });
+    const output = await realtime.waitFor("conversation.item.create", (e) => e.item.call_id === callId);
+    const { arguments: args, meta } = JSON.parse(output.item.output);
+    assert.deepEqual(args, { text: "hello" });
+    assert.equal(meta["avr/sessionUuid"], "uuid-mcp");
+    assert.equal(meta["avr/callerInfo"].callerName, "Test Caller");
+
+    const failing = realtime.callTool("crm_fail", {});
+    const failure = await realtime.waitFor("conversation.item.create", (e) => e.item.call_id === failing);
+    assert.equal(JSON.parse(failure.item.output).error, "tool_failed");
+    assert.match(JSON.parse(failure.item.output).message, /Something broke/);
+  } finally {
+    await mcpClients.close();
+    await mcp.stop();
+  }
+});
+
+test("invalid tool arguments are returned to the model as a tool error", async () => {
+  await setup({
+    tools: (baseUrl) => [
+      {
+        name: "lookup_order",
+        description: "Looks up an order",
+        input_schema: {
+          type: "object",
+          properties: { order_id: { type: "integer" } },
+          required: ["order_id"],
+        },
+        handler: { url: `${baseUrl}/tools/lookup_order` },
+      },
+    ],
+    toolResults: { lookup_order: (body) => ({ orderId: body.order_id }) },
+  });
+  client.init("uuid-tool-args");
+  await realtime.waitFor("session.update");
+
+  const missing = realtime.callTool("avr_transfer", { transfer_context: "sales" });
+  const missingOutput = await realtime.waitFor("conversation.item.create", (e) => e.item.call_id === missing);
+  const error = JSON.parse(missingOutput.item.output);
+  assert.equal(error.error, "invalid_arguments");
+  assert.match(error.message, /transfer_extension is required/);
+
+  const malformed = realtime.callTool("lookup_order", "{\"order_id\": ");
+  const malformedOutput = await realtime.waitFor("conversation.item.create", (e) => e.item.call_id === malformed);
+  assert.match(JSON.parse(malformedOutput.item.output).message, /not valid JSON/);
+
+  // Quoted numbers are coerced to the declared type
+  const coerced = realtime.callTool("lookup_order", { order_id: "42" });
+  const coercedOutput = await realtime.waitFor("conversation.item.create", (e) => e.item.call_id === coerced);
+  assert.deepEqual(JSON.parse(coercedOutput.item.output), { orderId: 42 });
+
+  assert.equal(api.requests.filter((request) => request.path === "/transfer").length, 0);
+});
+
+test("a slow tool gets a filler phrase and its timeout is reported to the model", async () => {
+  await setup({
+    tools: (baseUrl) => [
+      {
+        name: "check_stock",
+        description: "Checks stock",
+        input_schema: { type: "object", properties: {} },
+        handler: { url: `${baseUrl}/tools/check_stock` },
+        timeout_ms: 300,
+        filler: { delay_ms: 50, text: "One moment, I'm checking that." },
+      },
+    ],
+    toolResults: { check_stock: () => new Promise((resolve) => setTimeout(() => resolve({ inStock: true }), 1000)) },
+  });
+  client.init("uuid-tool-slow");
+  await realtime.waitFor("session.update");
+
+  const callId = realtime.callTool("check_stock", {});
+
+  const filler = await realtime.waitFor("response.create");
+  assert.match(filler.response.instructions, /One moment, I'm checking that\./);
+  assert.equal(filler.response.tool_choice, "none");
+
+  const output = await realtime.waitFor("conversation.item.create", (e) => e.item.call_id === callId);
+  assert.equal(JSON.parse(output.item.output).error, "tool_timeout");
+});
+
+test("a failing tool is reported to the model instead of leaving the caller in silence", async () => {
+  await setup({
+    tools: (baseUrl) => [
+      {
+        name: "book_slot",
+        description: "Books a slot",
+        input_schema: { type: "object", properties: {} },
+        handler: { url: `${baseUrl}/tools/book_slot` },
+      },
+    ],
+  });
+  client.init("uuid-tool-failed");
+  await realtime.waitFor("session.update");
+
+  const callId = realtime.callTool("book_slot", {});
+  const output = await realtime.waitFor("conversation.item.create", (e) => e.item.call_id === callId);
+  const error = JSON.parse(output.item.output);
+  assert.equal(error.error, "tool_failed");
+  assert.match(error.message, /status code 404/);
+
+  const followUp = await realtime.waitFor("response.create");
+  assert.equal(followUp.response, undefined);
+});
+
+test("barge-in cancels the response, truncates at the played offset and notifies the client", async () => {
+  await setup();
+  client.init("uuid-bargein");
+  await realtime.waitFor("session.update");
+
+  const itemId = realtime.playResponse({ audioMs: 2000, done: false });
+  await client.waitFor("audio", () => client.messagesOfType("audio").length >= 10);
+
+  realtime.send({ type: "input_audio_buffer.speech_started", audio_start_ms: 0, item_id: "item_user" });
+
+  await client.waitFor("interruption");
+  await realtime.waitFor("response.cancel");
+  const truncate = await realtime.waitFor("conversation.item.truncate");
+  assert.equal(truncate.item_id, itemId);
+  assert.ok(truncate.audio_end_ms >= 100 && truncate.audio_end_ms < 2000, `audio_end_ms ${truncate.audio_end_ms}`);
+
+  // Queued frames are dropped
+  const framesAtInterruption = client.messagesOfType("audio").length;
+  await new Promise((resolve) => setTimeout(resolve, 200));
+  assert.ok(client.messagesOfType("audio").length <= framesAtInterruption + 1);
+});
+
+test("the call summary with transcripts is posted when the caller hangs up", async () => {
+  await setup();
+  client.init("uuid-summary");
+  await realtime.waitFor("session.update");
+
+  realtime.send({ type: "conversation.item.input_audio_transcription.completed", transcript: "Hi there" });
+  realtime.playResponse({ audioMs: 100, transcript: "Hello, how can I help?" });
+  await client.waitFor("transcript", (m) => m.role === "agent");
+  await client.close();
+
+  const summary = await api.waitForRequest(`/api/agents/${AGENT_ID}/call-summary`);
+  assert.equal(summary.headers["idempotency-key"], "call-summary-uuid-summary");
+  assert.equal(summary.body.sessionUuid, "uuid-summary");
+  assert.equal(summary.body.callerInfo.callerName, "Test Caller");
+  assert.deepEqual(
+    summary.body.transcripts.map((entry) => [entry.role, entry.text]),
+    [
+      ["user", "Hi there"],
+      ["agent", "Hello, how can I help?"],
+    ]
+  );
+});
+
+test("a dropped OpenAI connection is re-established and the conversation replayed", async () => {
+  await setup();
+  client.init("uuid-reconnect");
+  const firstUpdate = await realtime.waitFor("session.update");
+
+  realtime.send({ type: "conversation.item.input_audio_transcription.completed", transcript: "My order is late" });
+  await client.waitFor("transcript", (m) => m.role === "user");
+
+  realtime.dropConnection();
+
+  const secondUpdate = await realtime.waitFor("session.update");
+  assert.deepEqual(secondUpdate.session, firstUpdate.session);
+  const replayed = await realtime.waitFor("conversation.item.create", (e) => e.item.type === "message");
+  assert.equal(replayed.item.role, "user");
+  assert.equal(replayed.item.content[0].text, "My order is late");
+  assert.equal(realtime.connections, 2);
+  assert.equal(client.closed, false);
+});
+
+test("a connection dropped during session setup is only set up by the new socket", async () => {
+  let releaseTools;
+  const stalled = new Promise((resolve) => {
+    releaseTools = resolve;
+  });
+  let toolRequests = 0;
+  await setup({
+    tools: () => (++toolRequests === 1 ? stalled : [{ name: "second_socket", input_schema: { type: "object" } }]),
+  });
+  client.init("uuid-setup-drop");
+  await api.waitForRequest(`/api/agents/${AGENT_ID}/tools`);
+
+  realtime.dropConnection();
+  const update = await realtime.waitFor("session.update");
+  assert.ok(update.session.tools.some((tool) => tool.name === "second_socket"));
+
+  // The first setup resumes after its socket was replaced and must not configure the session again
+  releaseTools([{ name: "first_socket", input_schema: { type: "object" } }]);
+  await new Promise((resolve) => setTimeout(resolve, 100));
+  assert.equal(realtime.connections, 2);
+  assert.equal(realtime.eventsOfType("session.update").length, 1);
+});
+
+test("a call that ends during session setup is not set up afterwards", async () => {
+  process.env.CALL_RECORDING_DIR = fs.mkdtempSync(path.join(os.tmpdir(), "avr-recordings-"));
+  try {
+    let releaseConfig;
+    const stalled = new Promise((resolve) => {
+      releaseConfig = resolve;
+    });
+    await setup({ sessionConfig: stalled });
+    client.init("uuid-setup-hangup");
+    await api.waitForRequest(`/api/agents/${AGENT_ID}/session-config`);
+
+    await client.close();
+    releaseConfig({ recording: true });
+    await new Promise((resolve) => setTimeout(resolve, 100));
+    assert.deepEqual(fs.readdirSync(process.env.CALL_RECORDING_DIR), []);
+    assert.equal(realtime.eventsOfType("session.update").length, 0);
+  } finally {
+    delete process.env.CALL_RECORDING_DIR;
+  }
+});
+
+test("G.711 μ-law audio passes straight through to OpenAI", async () => {
+  await setup();
+  client.init("uuid-ulaw", { codec: "ulaw", sampleRate: 8000 });
+
+  const update = await realtime.waitFor("session.update");
+  assert.equal(update.session.input_audio_format, "g711_ulaw");
+  assert.equal(update.session.output_audio_format, "g711_ulaw");
+
+  const audio = Buffer.alloc(160, 0x7f);
+  client.sendAudio(audio);
+  const append = await realtime.waitFor("input_audio_buffer.append");
+  assert.equal(append.audio, audio.toString("base64"));
+});
+
+test("an unsupported codec is rejected at init", async () => {
+  await setup();
+  client.init("uuid-bad-codec", { codec: "opus" });
+
+  const error = await client.waitFor("error");
+  assert.match(error.message, /Unsupported audio codec/);
+  assert.equal(realtime.connections, 0);
+});
+
+test("health, readiness and metrics endpoints are served on the WebSocket port", async () => {
+  await setup();
+  const baseUrl = `http://127.0.0.1:${service.address().port}`;
+
+  const health = await fetch(`${baseUrl}/healthz`);
+  assert.equal(health.status, 200);
+  const ready = await fetch(`${baseUrl}/readyz`);
+  assert.equal(ready.status, 200);
+  assert.equal((await fetch(`${baseUrl}/unknown`)).status, 404);
+
+  client.init("uuid-metrics");
+  await realtime.waitFor("session.update");
+  client.sendAudio(pcm8k(20));
+  await realtime.waitFor("input_audio_buffer.append");
+
+  const response = await fetch(`${baseUrl}/metrics`);
+  assert.equal(response.status, 200);
+  const body = await response.text();
+  assert.match(body, /^avr_sts_active_sessions 1$/m);
+  assert.match(body, /^avr_sts_audio_frames_in_total [1-9]/m);
+  assert.match(body, /avr_sts_tool_call_duration_seconds/);
+});
+
+test("shutdown stops accepting calls, drains and cleans up remaining sessions", async () => {
+  await setup();
+  const port = service.address().port;
+  client.init("uuid-shutdown");
+  await realtime.waitFor("session.update");
+
+  const stopped = shutdown(service, { drainTimeoutMs: 300 });
+
+  assert.equal((await fetch(`http://127.0.0.1:${port}/readyz`)).status, 503);
+  assert.equal((await fetch(`http://127.0.0.1:${port}/healthz`)).status, 200);
+
+  const rejected = new FakePbxClient(`ws://127.0.0.1:${port}`);
+  await assert.rejects(rejected.connect(), /503/);
+
+  // The active call is still served while draining
+  assert.equal(client.closed, false);
+
+  await stopped;
+  // The summary must be delivered or spooled by the time shutdown resolves
+  const delivered = api.requests.some((request) => request.path === `/api/agents/${AGENT_ID}/call-summary`);
+  const spooled = fs.existsSync(path.join(process.env.CALL_SUMMARY_SPOOL_DIR, "uuid-shutdown.json"));
+  assert.ok(delivered || spooled, "call summary neither delivered nor spooled");
+  const summary = await api.waitForRequest(`/api/agents/${AGENT_ID}/call-summary`);
+  assert.equal(summary.body.sessionUuid, "uuid-shutdown");
+  await new Promise((resolve) => setTimeout(resolve, 50));
+  assert.equal(client.closed, true);
+});
+
+test("client handshakes are authenticated when a token is configured", async () => {
+  process.env.CLIENT_AUTH_TOKEN = "pbx-token";
+  try {
+    await setup({}, { connect: false });
+    const url = `ws://127.0.0.1:${service.address().port}`;
+
+    await assert.rejects(new FakePbxClient(url).connect(), /401/);
+
+    client = new FakePbxClient(url, { headers: { Authorization: "Bearer pbx-token" } });
+    await client.connect();
+    client.init("uuid-auth");
+    await realtime.waitFor("session.update");
+
+    const metricsBody = await (await fetch(`http://127.0.0.1:${service.address().port}/metrics`)).text();
+    assert.match(metricsBody, /^avr_sts_client_auth_rejections_total\{reason="missing_credentials"\} [1-9]/m);
+  } finally {
+    delete process.env.CLIENT_AUTH_TOKEN;
+  }
+});
+
+test("init must match the uuid and agentId of a signed URL", async () => {
+  process.env.CLIENT_AUTH_HMAC_SECRET = "pbx-secret";
+  try {
+    await setup({}, { connect: false });
+    const expires = Math.floor(Date.now() / 1000) + 60;
+    const signature = signUrl("pbx-secret", { uuid: "uuid-signed", agentId: AGENT_ID, expires });
+    const url =
+      `ws://127.0.0.1:${service.address().port}/` +
+      `?uuid=uuid-signed&agentId=${AGENT_ID}&expires=${expires}&signature=${signature}`;
+
+    const replayed = new FakePbxClient(url);
+    await replayed.connect();
+    replayed.init("uuid-other", { agentId: AGENT_ID });
+    const error = await replayed.waitFor("error");
+    assert.equal(error.code, "init_not_signed");
+    await replayed.close();
+    assert.equal(realtime.connections, 0);
+
+    client = new FakePbxClient(url);
+    await client.connect();
+    client.init("uuid-signed", { agentId: AGENT_ID });
+    await realtime.waitFor("session.update");
+  } finally {
+    delete process.env.CLIENT_AUTH_HMAC_SECRET;
+  }
+});
+
+test("init is rejected with a reason code when the instance is at capacity", async () => {
+  process.env.MAX_CONCURRENT_SESSIONS = "1";
+  try {
+    await setup();
+    const port = service.address().port;
+    client.init("uuid-first");
+    await realtime.waitFor("session.update");
+    assert.equal((await fetch(`http://127.0.0.1:${port}/readyz`)).status, 503);
+
+    const second = new FakePbxClient(`ws://127.0.0.1:${port}`);
+    await second.connect();
+    second.init("uuid-second");
+    const error = await second.waitFor("error");
+    assert.equal(error.code, "max_sessions_reached");
+    await second.close();
+    assert.equal(realtime.connections, 1);
+
+    // The slot is freed once the first call ends
+    await client.close();
+    const third = new FakePbxClient(`ws://127.0.0.1:${port}`);
+    await third.connect();
+    third.init("uuid-third");
+    await realtime.waitFor("session.update");
+    await third.close();
+
+    // Both admitted calls post a summary; let the second land before the mock API stops
+    const summaries = () => api.requests.filter((request) => request.path.endsWith("/call-summary"));
+    for (let i = 0; i < 50 && summaries().length < 2; i++) {
+      await new Promise((resolve) => setTimeout(resolve, 20));
+    }
+    assert.deepEqual(summaries().map((request) => request.body.sessionUuid).sort(), ["uuid-first", "uuid-third"]);
+  } finally {
+    delete process.env.MAX_CONCURRENT_SESSIONS;
+  }
+});
+
+test("token usage is aggregated into the call summary and metrics", async () => {
+  await setup();
+  client.init("uuid-usage");
+  await realtime.waitFor("session.update");
+
+  const usage = {
+    total_tokens: 150,
+    input_tokens: 100,
+    output_tokens: 50,
+    input_token_details: { text_tokens: 60, audio_tokens: 40, cached_tokens: 0 },
+    output_token_details: { text_tokens: 10, audio_tokens: 40 },
+  };
+  realtime.playResponse({ audioMs: 100, usage });
+  realtime.playResponse({ audioMs: 100, usage });
+  await client.waitFor("transcript", () => client.messagesOfType("transcript").length >= 2);
+
+  const body = await (await fetch(`http://127.0.0.1:${service.address().port}/metrics`)).text();
+  assert.match(body, /^avr_sts_tokens_total\{type="output_audio"\} \d+/m);
+
+  await client.close();
+  const summary = await api.waitForRequest(`/api/agents/${AGENT_ID}/call-summary`);
+  assert.equal(summary.body.usage.responses, 2);
+  assert.equal(summary.body.usage.totalTokens, 300);
+  assert.equal(summary.body.usage.outputAudioTokens, 80);
+});
+
+test("an exhausted per-call token budget wraps up the call and hangs up", async () => {
+  process.env.TOKEN_BUDGET_PER_CALL = "100";
+  try {
+    await setup();
+    client.init("uuid-budget");
+    await realtime.waitFor("session.update");
+
+    realtime.playResponse({ audioMs: 100, usage: { total_tokens: 120, input_tokens: 100, output_tokens: 20 } });
+
+    const wrapUp = await realtime.waitFor("response.create", (e) => e.response && e.response.tool_choice === "none");
+    assert.match(wrapUp.response.instructions, /end the call/);
+
+    realtime.playResponse({ audioMs: 100, transcript: "Goodbye!" });
+    const hangup = await api.waitForRequest("/hangup");
+    assert.equal(hangup.body.uuid, "uuid-budget");
+  } finally {
+    delete process.env.TOKEN_BUDGET_PER_CALL;
+  }
+});
+
+test("calls of an agent over its daily token budget are hung up at init", async () => {
+  await setup({ sessionConfig: { tokenBudgetPerAgent: 100 } });
+  client.init("uuid-first-budget", { agentId: "agent-budget" });
+  await realtime.waitFor("session.update");
+  realtime.playResponse({ audioMs: 100, usage: { total_tokens: 120, input_tokens: 100, output_tokens: 20 } });
+  await realtime.waitFor("response.create", (e) => e.response && e.response.tool_choice === "none");
+  await client.close();
+
+  const second = new FakePbxClient(`ws://127.0.0.1:${service.address().port}`);
+  await second.connect();
+  second.init("uuid-second-budget", { agentId: "agent-budget" });
+  const hangup = await api.waitForRequest("/hangup");
+  assert.equal(hangup.body.uuid, "uuid-second-budget");
+  assert.equal(realtime.eventsOfType("session.update").length, 1);
+  await second.close();
+
+  // Both calls post a summary; let the second land before the mock API stops
+  const summaries = () => api.requests.filter((request) => request.path.endsWith("/call-summary"));
+  for (let i = 0; i < 50 && summaries().length < 2; i++) {
+    await new Promise((resolve) => setTimeout(resolve, 20));
+  }
+  assert.equal(summaries().length, 2);
+});
+
+test("agent session settings from the API configure voice, VAD and transcription", async () => {
+  await setup({
+    sessionConfig: {
+      voice: "coral",
+      turnDetection: { type: "semantic_vad", eagerness: "low" },
+      transcription: { model: "gpt-4o-mini-transcribe", language: "en" },
+    },
+  });
+  client.init("uuid-session-config");
+
+  const update = await realtime.waitFor("session.update");
+  assert.equal(update.session.voice, "coral");
+  assert.equal(update.session.turn_detection.type, "semantic_vad");
+  assert.equal(update.session.turn_detection.eagerness, "low");
+  assert.deepEqual(update.session.input_audio_transcription, { model: "gpt-4o-mini-transcribe", language: "en" });
+});
+
+test("calls of agents with recording enabled are recorded to a stereo WAV file", async () => {
+  process.env.CALL_RECORDING_DIR = fs.mkdtempSync(path.join(os.tmpdir(), "avr-recordings-"));
+  try {
+    await setup({ sessionConfig: { recording: true } });
+    client.init("uuid-recording");
+    await realtime.waitFor("session.update");
+
+    client.sendAudio(pcm8k(100));
+    realtime.playResponse({ audioMs: 100, transcript: "Hello, how can I help?" });
+    await client.waitFor("audio", () => client.messagesOfType("audio").length >= 5);
+    await client.close();
+
+    const summary = await api.waitForRequest(`/api/agents/${AGENT_ID}/call-summary`);
+    const { recording } = summary.body;
+    assert.equal(recording.path, path.join(process.env.CALL_RECORDING_DIR, "uuid-recording.wav"));
+    assert.ok(recording.durationSeconds > 0);
+
+    const wav = fs.readFileSync(recording.path);
+    assert.equal(wav.readUInt16LE(22), 2);
+    assert.equal(wav.readUInt32LE(24), 8000);
+    const recordedSeconds = wav.readUInt32LE(40) / 4 / 8000;
+    assert.equal(Math.round(recordedSeconds * 100) / 100, recording.durationSeconds);
+  } finally {
+    delete process.env.CALL_RECORDING_DIR;
+  }
+});
@@ -0,0 +1,91 @@
+const { test, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { GREETING_WRAPPERS, resolveGreeting } = require("../greeting");
+
+process.env.LOG_LEVEL = "silent";
+
+const variables = { callerName: "Erika", agentId: "agent-1", sessionUuid: "uuid-1" };
+
+afterEach(() => {
+  delete process.env.GREETING_LANGUAGE;
+  delete process.env.PROMPTS_DIR;
+});
+
+test("renders the greeting into the English wrapper by default", () => {
+  const greeting = resolveGreeting({ greetingData: { greeting: "Hello {{callerName}}!" }, variables });
+
+  assert.equal(greeting.text, "Hello Erika!");
+  assert.equal(greeting.language, "en");
+  assert.equal(greeting.instructions, GREETING_WRAPPERS.en.replace("{{greeting}}", "Hello Erika!"));
+});
+
+test("picks the wrapper from the API language, then local config, then the session language", () => {
+  const greetingData = { greeting: "Hallo" };
+
+  assert.equal(resolveGreeting({ greetingData: { ...greetingData, language: "fr-FR" }, variables }).language, "fr");
+  assert.equal(resolveGreeting({ greetingData, localConfig: { language: "it" }, variables }).language, "it");
+  assert.equal(resolveGreeting({ greetingData, fallbackLanguage: "de", variables }).language, "de");
+
+  process.env.GREETING_LANGUAGE = "es";
+  assert.equal(resolveGreeting({ greetingData, variables }).language, "es");
+});
+
+test("unknown languages fall back to English; custom wrappers are used as given", () => {
+  const greetingData = { greeting: "Hi", language: "xx" };
+  assert.equal(resolveGreeting({ greetingData, variables }).instructions, GREETING_WRAPPERS.en.replace("{{greeting}}", "Hi"));
+
+  const custom = resolveGreeting({
+    greetingData: { ...greetingData, wrapper: "{{callerName}} hears: {{greeting}}" },
+    variables,
+  });
+  assert.equal(custom.instructions, "Erika hears: Hi");
+});
+
+test("returns pre-rendered audio and nothing without a greeting", () => {
+  const greeting = resolveGreeting({
+    greetingData: { greeting: "Hello", audioUrl: "https://example.com/hello.wav" },
+    localConfig: { audioFile: "/srv/hello.wav" },
+    variables,
+  });
+  assert.equal(greeting.audioUrl, "https://example.com/hello.wav");
+  assert.equal(greeting.audioFile, "/srv/hello.wav");
+
+  assert.equal(resolveGreeting({ greetingData: { greeting: "  " }, variables }), null);
+  assert.equal(resolveGreeting({ greetingData: "", variables }), null);
+});
+
+test("uses the local greeting unless the agent API overrides it", () => {
+  const localConfig = { text: "Hallo {{callerName}}", language: "de" };
+
+  const local = resolveGreeting({ greetingData: null, localConfig, variables });
+  assert.equal(local.text, "Hallo Erika");
+  assert.equal(local.language, "de");
+
+  const overridden = resolveGreeting({ greetingData: { greeting: "Hello", language: "en" }, localConfig, variables });
+  assert.equal(overridden.text, "Hello");
+  assert.equal(overridden.language, "en");
+});
+
+test("audio files named by the agent API must lie inside PROMPTS_DIR", () => {
+  const greetingData = (audioFile) => ({ greeting: "Hello", audioFile });
+
+  assert.equal(resolveGreeting({ greetingData: greetingData("hello.wav"), variables }).audioFile, null);
+
+  process.env.PROMPTS_DIR = "/srv/prompts";
+  assert.equal(resolveGreeting({ greetingData: greetingData("hello.wav"), variables }).audioFile, "/srv/prompts/hello.wav");
+  assert.equal(
+    resolveGreeting({ greetingData: greetingData("/srv/prompts/de/hello.wav"), variables }).audioFile,
+    "/srv/prompts/de/hello.wav"
+  );
+  assert.equal(resolveGreeting({ greetingData: greetingData("../secrets.wav"), variables }).audioFile, null);
+  assert.equal(resolveGreeting({ greetingData: greetingData("/etc/passwd"), variables }).audioFile, null);
+
+  // Files from the local config are trusted
+  const local = resolveGreeting({
+    greetingData: greetingData("/etc/passwd"),
+    localConfig: { audioFile: "/opt/hello.wav" },
+    variables,
+  });
+  assert.equal(local.audioFile, "/opt/hello.wav");
+});
@@ -0,0 +1,125 @@
+/**
+ * fakePbxClient.js
+ * Minimal PBX-side client for the service's WebSocket protocol.
+ */
+
+const WebSocket = require("ws");
+
+class FakePbxClient {
+  /**
+   * @param {string} url - Service WebSocket URL
+   * @param {Object} [options] - ws client options, e.g. handshake headers
+   */
+  constructor(url, options = {}) {
+    this.url = url;
+    this.options = options;
+    this.ws = null;
+    this.messages = [];
+    this.consumed = new Set();
+    this.waiters = [];
+    this.closed = false;
+  }
+
+  /**
+   * Opens the connection
+   * @returns {Promise<void>}
+   */
+  connect() {
+    this.ws = new WebSocket(this.url, this.options);
+    this.ws.on("message", (data) => {
+      this.messages.push(JSON.parse(data));
+      this.waiters = this.waiters.filter((waiter) => !this._match(waiter));
+    });
+    this.ws.on("close", () => {
+      this.closed = true;
+    });
+    return new Promise((resolve, reject) => {
+      this.ws.once("open", resolve);
+      this.ws.once("error", reject);
+    });
+  }
+
+  /**
+   * Sends a protocol message
+   * @param {Object} message
+   */
+  send(message) {
+    this.ws.send(JSON.stringify(message));
+  }
+
+  /**
+   * Sends the init message
+   * @param {string} uuid - Session UUID
+   * @param {Object} [extra] - Additional init fields (agentId, codec, sampleRate)
+   */
+  init(uuid, extra = {}) {
+    this.send({ type: "init", uuid, ...extra });
+  }
+
+  /**
+   * Sends caller audio
+   * @param {Buffer} audio - Audio in the negotiated format
+   */
+  sendAudio(audio) {
+    this.send({ type: "audio", audio: audio.toString("base64") });
+  }
+
+  /**
+   * Received messages of a type, without consuming them
+   * @param {string} type
+   * @returns {Object[]}
+   */
+  messagesOfType(type) {
+    return this.messages.filter((message) => message.type === type);
+  }
+
+  /**
+   * Waits for (and consumes) the next message matching type and predicate
+   * @param {string} type - Message type
+   * @param {Function} [predicate] - Additional filter
+   * @param {number} [timeoutMs=3000]
+   * @returns {Promise<Object>}
+   */
+  waitFor(type, predicate = () => true, timeoutMs = 3000) {
+    return new Promise((resolve, reject) => {
+      const waiter = { type, predicate, resolve };
+      if (this._match(waiter)) {
+        return;
+      }
+      waiter.timer = setTimeout(() => {
+        this.waiters = this.waiters.filter((w) => w !== waiter);
+        reject(new Error(`Timed out waiting for client message ${type}`));
+      }, timeoutMs);
+      this.waiters.push(waiter);
+    });
+  }
+
+  /**
+   * Closes the connection and waits for it to be closed
+   * @returns {Promise<void>}
+   */
+  close() {
+    if (this.closed || !this.ws) {
+      return Promise.resolve();
+    }
+    return new Promise((resolve) => {
+      this.ws.once("close", resolve);
+      this.ws.close();
+    });
+  }
+
+  _match(waiter) {
+    const index = this.messages.findIndex(
+      (message, i) => !this.consumed.has(i) && message.type === waiter.type && waiter.predicate(message)
+    );
+    if (index === -1) {
+      return false;
+    }
+    this.consumed.add(index);
+    clearTimeout(waiter.timer);
+    waiter.resolve(this.messages[index]);
+    return true;
+  }
+}
+
+module.exports = FakePbxClient;
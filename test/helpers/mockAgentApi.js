@@ -0,0 +1,151 @@
+/**
+ * mockAgentApi.js
+ * Local HTTP server standing in for both the agent API (AGENT_API_BASE_URL)
+ * and the PBX/AMI service (AMI_URL). Responses are configurable per test and
+ * every request is recorded.
+ */
+
+const http = require("http");
+
+class MockAgentApi {
+  /**
+   * @param {Object} [config]
+   * @param {string} [config.instructions] - System instructions returned by the API
+   * @param {string|Object} [config.greeting] - Greeting text, or the full greeting response
+   * @param {Array|Function} [config.tools] - Tools returned by the API, or a function of the base URL
+   * @param {Object} [config.variables] - PBX variables returned by /variables
+   * @param {Object} [config.toolResults] - Results per API tool name (value, or function of the body returning a value or promise)
+   * @param {Object} [config.sessionConfig] - Session settings returned by /session-config (404 when unset)
+   */
+  constructor(config = {}) {
+    this.config = {
+      instructions: "You are a test agent.",
+      greeting: "",
+      tools: [],
+      variables: { phoneNumber: "+491234567", callerName: "Test Caller", extension: "100" },
+      toolResults: {},
+      ...config,
+    };
+    this.requests = [];
+    this.waiters = [];
+    this.server = null;
+  }
+
+  /**
+   * Starts listening on a free local port
+   * @returns {Promise<string>} Base URL
+   */
+  async start() {
+    this.server = http.createServer((req, res) => this._handle(req, res));
+    await new Promise((resolve) => this.server.listen(0, "127.0.0.1", resolve));
+    this.url = `http://127.0.0.1:${this.server.address().port}`;
+    return this.url;
+  }
+
+  /**
+   * Waits for a request whose path matches
+   * @param {string|RegExp} pathPattern - Exact path or pattern
+   * @param {number} [timeoutMs=3000]
+   * @returns {Promise<Object>} Recorded request ({ method, path, headers, body })
+   */
+  waitForRequest(pathPattern, timeoutMs = 3000) {
+    const matches = (request) =>
+      pathPattern instanceof RegExp ? pathPattern.test(request.path) : request.path === pathPattern;
+
+    const existing = this.requests.find(matches);
+    if (existing) {
+      return Promise.resolve(existing);
+    }
+
+    return new Promise((resolve, reject) => {
+      const waiter = { matches, resolve };
+      waiter.timer = setTimeout(() => {
+        this.waiters = this.waiters.filter((w) => w !== waiter);
+        reject(new Error(`Timed out waiting for request to ${pathPattern}`));
+      }, timeoutMs);
+      this.waiters.push(waiter);
+    });
+  }
+
+  /**
+   * Stops the server
+   * @returns {Promise<void>}
+   */
+  async stop() {
+    this.waiters.forEach((waiter) => clearTimeout(waiter.timer));
+    this.waiters = [];
+    if (!this.server) return;
+    this.server.closeAllConnections();
+    await new Promise((resolve) => this.server.close(resolve));
+    this.server = null;
+  }
+
+  _respond(request) {
+    const { path, body } = request;
+    const agentRoute = path.match(/^\/api\/agents\/[^/]+\/([\w-]+)$/);
+
+    if (agentRoute) {
+      switch (agentRoute[1]) {
+        case "system-instructions":
+          return { system: this.config.instructions };
+        case "tools":
+          return typeof this.config.tools === "function" ? this.config.tools(this.url) : this.config.tools;
+        case "greeting":
+          return typeof this.config.greeting === "object" ? this.config.greeting : { greeting: this.config.greeting };
+        case "session-config":
+          return this.config.sessionConfig;
+        case "call-summary":
+          return { success: true };
+      }
+    }
+
+    if (path === "/variables") {
+      return this.config.variables;
+    }
+    if (path === "/hangup" || path === "/transfer") {
+      return { message: `${path.slice(1)} ok` };
+    }
+
+    const toolRoute = path.match(/^\/tools\/([\w-]+)$/);
+    if (toolRoute) {
+      const result = this.config.toolResults[toolRoute[1]];
+      return typeof result === "function" ? result(body) : result;
+    }
+
+    return undefined;
+  }
+
+  _handle(req, res) {
+    let raw = "";
+    req.on("data", (chunk) => {
+      raw += chunk;
+    });
+    req.on("end", () => {
+      const request = {
+        method: req.method,
+        path: req.url.split("?")[0],
+        headers: req.headers,
+        body: raw ? JSON.parse(raw) : null,
+      };
+      this.requests.push(request);
+      this.waiters = this.waiters.filter((waiter) => {
+        if (!waiter.matches(request)) return true;
+        clearTimeout(waiter.timer);
+        waiter.resolve(request);
+        return false;
+      });
+
+      Promise.resolve(this._respond(request)).then((data) => {
+        if (data === undefined) {
+          res.writeHead(404, { "Content-Type": "application/json" });
+          res.end(JSON.stringify({ error: "not found" }));
+          return;
+        }
+        res.writeHead(200, { "Content-Type": "application/json" });
+        res.end(JSON.stringify(data));
+      });
+    });
+  }
+}
+
+module.exports = MockAgentApi;
@@ -0,0 +1,158 @@
+/**
+ * mockMcpServer.js
+ * Minimal Model Context Protocol server with two tools: `echo` returns its
+ * arguments and the `_meta` of the call, `fail` reports a tool error. Runs as
+ * a stdio server when executed directly, or over HTTP via MockMcpServer,
+ * serving Streamable HTTP on /mcp and the older HTTP+SSE transport on /sse.
+ */
+
+const http = require("http");
+
+const TOOLS = [
+  {
+    name: "echo",
+    description: "Echoes its arguments",
+    inputSchema: { type: "object", properties: { text: { type: "string" } }, required: ["text"] },
+  },
+  { name: "fail", description: "Always fails", inputSchema: { type: "object", properties: {} } },
+];
+
+/**
+ * Answers one JSON-RPC message
+ * @param {Object} message
+ * @returns {Object|null} Response, or null for notifications
+ */
+function handleMessage(message) {
+  if (message.id === undefined) {
+    return null;
+  }
+  const reply = (result) => ({ jsonrpc: "2.0", id: message.id, result });
+
+  switch (message.method) {
+    case "initialize":
+      return reply({
+        protocolVersion: message.params.protocolVersion,
+        capabilities: { tools: {} },
+        serverInfo: { name: "mock-mcp", version: "1.0.0" },
+      });
+    case "tools/list":
+      // Two pages, to exercise pagination
+      return message.params && message.params.cursor
+        ? reply({ tools: TOOLS.slice(1) })
+        : reply({ tools: TOOLS.slice(0, 1), nextCursor: "page-2" });
+    case "tools/call":
+      if (message.params.name === "fail") {
+        return reply({ content: [{ type: "text", text: "Something broke" }], isError: true });
+      }
+      return reply({
+        content: [{ type: "text", text: message.params.arguments.text }],
+        structuredContent: { arguments: message.params.arguments, meta: message.params._meta || null },
+      });
+    default:
+      return { jsonrpc: "2.0", id: message.id, error: { code: -32601, message: "Method not found" } };
+  }
+}
+
+class MockMcpServer {
+  constructor() {
+    this.server = null;
+    this.messages = []; // Every message received, in order
+    this.sseStreams = new Map(); // session id -> response of the GET /sse stream
+    this.nextSession = 0;
+    this.httpSessions = 0; // Streamable HTTP sessions started
+    this.expiredSessions = new Set(); // Streamable HTTP sessions answered with 404
+  }
+
+  /**
+   * Ends a Streamable HTTP session; further requests in it get 404
+   * @param {string} session - Mcp-Session-Id
+   */
+  expireSession(session) {
+    this.expiredSessions.add(session);
+  }
+
+  /**
+   * Starts listening on a free local port
+   * @returns {Promise<string>} Base URL
+   */
+  async start() {
+    this.server = http.createServer((req, res) => this._handle(req, res));
+    await new Promise((resolve) => this.server.listen(0, "127.0.0.1", resolve));
+    this.url = `http://127.0.0.1:${this.server.address().port}`;
+    return this.url;
+  }
+
+  async stop() {
+    this.sseStreams.forEach((stream) => stream.end());
+    this.server.closeAllConnections();
+    await new Promise((resolve) => this.server.close(resolve));
+  }
+
+  _handle(req, res) {
+    const url = new URL(req.url, this.url);
+
+    if (req.method === "GET" && url.pathname === "/sse") {
+      const session = String(++this.nextSession);
+      this.sseStreams.set(session, res);
+      res.writeHead(200, { "Content-Type": "text/event-stream" });
+      res.write(`event: endpoint\ndata: /messages?session=${session}\n\n`);
+      return;
+    }
+
+    let raw = "";
+    req.on("data", (chunk) => {
+      raw += chunk;
+    });
+    req.on("end", () => {
+      if (req.method !== "POST") {
+        res.writeHead(405).end();
+        return;
+      }
+      const message = JSON.parse(raw);
+      this.messages.push({ message, headers: req.headers });
+      if (this.expiredSessions.has(req.headers["mcp-session-id"])) {
+        res.writeHead(404).end();
+        return;
+      }
+      const response = handleMessage(message);
+
+      if (url.pathname === "/messages") {
+        res.writeHead(202).end();
+        const stream = this.sseStreams.get(url.searchParams.get("session"));
+        if (response && stream) {
+          stream.write(`event: message\ndata: ${JSON.stringify(response)}\n\n`);
+        }
+        return;
+      }
+
+      if (!response) {
+        res.writeHead(202).end();
+        return;
+      }
+      // Streamable HTTP: the response comes back as a short event stream
+      const session =
+        message.method === "initialize" ? `session-${++this.httpSessions}` : req.headers["mcp-session-id"];
+      res.writeHead(200, { "Content-Type": "text/event-stream", "Mcp-Session-Id": session });
+      res.end(`event: message\ndata: ${JSON.stringify(response)}\n\n`);
+    });
+  }
+}
+
+if (require.main === module) {
+  let buffer = "";
+  process.stdin.setEncoding("utf8");
+  process.stdin.on("data", (chunk) => {
+    buffer += chunk;
+    let end;
+    while ((end = buffer.indexOf("\n")) !== -1) {
+      const line = buffer.slice(0, end);
+      buffer = buffer.slice(end + 1);
+      const response = line.trim() && handleMessage(JSON.parse(line));
+      if (response) {
+        process.stdout.write(`${JSON.stringify(response)}\n`);
+      }
+    }
+  });
+}
+
+module.exports = MockMcpServer;
@@ -0,0 +1,215 @@
+/**
+ * mockRealtimeServer.js
+ * Scriptable local stand-in for OpenAI's Realtime WebSocket API.
+ * Records every event the service sends, answers session.update with
+ * session.updated and lets tests push server events (audio, transcripts,
+ * function calls) to the connected socket.
+ *
+ * Point the service at it with OPENAI_REALTIME_URL=server.url.
+ */
+
+const WebSocket = require("ws");
+
+class MockRealtimeServer {
+  constructor() {
+    this.wss = null;
+    this.socket = null;
+    this.connections = 0;
+    this.requests = []; // Upgrade requests (url and headers)
+    this.received = []; // Events received from the service
+    this.consumed = new Set();
+    this.waiters = [];
+    this.scripts = new Map();
+    this.nextId = 1;
+
+    this.script("session.update", (event) => {
+      this.send({ type: "session.updated", session: event.session });
+    });
+  }
+
+  /**
+   * Starts listening on a free local port
+   * @returns {Promise<string>} Realtime base URL for OPENAI_REALTIME_URL
+   */
+  async start() {
+    this.wss = new WebSocket.Server({ port: 0 });
+    await new Promise((resolve) => this.wss.once("listening", resolve));
+
+    this.wss.on("connection", (socket, request) => {
+      this.connections++;
+      this.socket = socket;
+      this.requests.push({ url: request.url, headers: request.headers });
+
+      socket.on("message", (data) => {
+        const event = JSON.parse(data);
+        this.received.push(event);
+        const handler = this.scripts.get(event.type);
+        if (handler) {
+          handler(event, this);
+        }
+        this._notify();
+      });
+    });
+
+    this.url = `ws://127.0.0.1:${this.wss.address().port}/v1/realtime`;
+    return this.url;
+  }
+
+  /**
+   * Registers a handler run whenever the service sends an event of the given type.
+   * Pass null to remove the handler.
+   * @param {string} type - Client event type (e.g. "response.create")
+   * @param {Function|null} handler - Called with (event, server)
+   */
+  script(type, handler) {
+    if (handler) {
+      this.scripts.set(type, handler);
+    } else {
+      this.scripts.delete(type);
+    }
+  }
+
+  /**
+   * Sends a server event to the connected service socket
+   * @param {Object} event - Realtime server event
+   */
+  send(event) {
+    if (this.socket && this.socket.readyState === WebSocket.OPEN) {
+      this.socket.send(JSON.stringify({ event_id: `event_${this.nextId++}`, ...event }));
+    }
+  }
+
+  /**
+   * Plays a complete assistant audio response: response.created, audio deltas,
+   * the transcript and response.done.
+   * @param {Object} [options]
+   * @param {number} [options.audioMs=200] - Duration of generated audio (24kHz PCM16)
+   * @param {string} [options.transcript="Hello"] - Assistant transcript
+   * @param {string} [options.itemId] - Assistant item ID
+   * @param {boolean} [options.done=true] - Whether to finish the response
+   * @param {Object} [options.usage] - Token usage reported in response.done
+   * @returns {string} Assistant item ID
+   */
+  playResponse({ audioMs = 200, transcript = "Hello", itemId, done = true, usage } = {}) {
+    const responseId = `resp_${this.nextId++}`;
+    const id = itemId || `item_${this.nextId++}`;
+    this.send({ type: "response.created", response: { id: responseId, status: "in_progress" } });
+
+    // 100ms deltas of a quiet tone so the audio is not all zeros
+    const chunkSamples = 2400;
+    for (let sent = 0; sent < audioMs; sent += 100) {
+      const samples = new Int16Array(chunkSamples);
+      for (let i = 0; i < samples.length; i++) {
+        samples[i] = Math.round(1000 * Math.sin((2 * Math.PI * 440 * i) / 24000));
+      }
+      this.send({
+        type: "response.audio.delta",
+        response_id: responseId,
+        item_id: id,
+        output_index: 0,
+        content_index: 0,
+        delta: Buffer.from(samples.buffer).toString("base64"),
+      });
+    }
+
+    if (done) {
+      this.send({ type: "response.audio.done", response_id: responseId, item_id: id });
+      this.send({ type: "response.audio_transcript.done", response_id: responseId, item_id: id, transcript });
+      this.send({ type: "response.done", response: { id: responseId, status: "completed", usage } });
+    }
+    return id;
+  }
+
+  /**
+   * Issues a function call from the model and completes the response.
+   * @param {string} name - Tool name
+   * @param {Object|string} args - Arguments (objects are JSON encoded)
+   * @param {string} [callId] - call_id of the function call
+   * @returns {string} call_id
+   */
+  callTool(name, args, callId = `call_${this.nextId++}`) {
+    const responseId = `resp_${this.nextId++}`;
+    this.send({ type: "response.created", response: { id: responseId, status: "in_progress" } });
+    this.send({
+      type: "response.function_call_arguments.done",
+      response_id: responseId,
+      item_id: `item_${this.nextId++}`,
+      call_id: callId,
+      name,
+      arguments: typeof args === "string" ? args : JSON.stringify(args),
+    });
+    this.send({ type: "response.done", response: { id: responseId, status: "completed" } });
+    return callId;
+  }
+
+  /**
+   * Waits for (and consumes) the next received event matching type and predicate
+   * @param {string} type - Client event type
+   * @param {Function} [predicate] - Additional filter
+   * @param {number} [timeoutMs=3000]
+   * @returns {Promise<Object>} Matching event
+   */
+  waitFor(type, predicate = () => true, timeoutMs = 3000) {
+    return new Promise((resolve, reject) => {
+      const waiter = { type, predicate, resolve };
+      if (this._match(waiter)) {
+        return;
+      }
+      waiter.timer = setTimeout(() => {
+        this.waiters = this.waiters.filter((w) => w !== waiter);
+        reject(new Error(`Timed out waiting for ${type}`));
+      }, timeoutMs);
+      this.waiters.push(waiter);
+    });
+  }
+
+  /**
+   * Returns received events of a type without consuming them
+   * @param {string} type - Client event type
+   * @returns {Object[]}
+   */
+  eventsOfType(type) {
+    return this.received.filter((event) => event.type === type);
+  }
+
+  /**
+   * Drops the current connection abruptly, as a network failure would
+   */
+  dropConnection() {
+    if (this.socket) {
+      this.socket.terminate();
+    }
+  }
+
+  /**
+   * Stops the server and closes all connections
+   * @returns {Promise<void>}
+   */
+  async stop() {
+    this.waiters.forEach((waiter) => clearTimeout(waiter.timer));
+    this.waiters = [];
+    if (!this.wss) return;
+    this.wss.clients.forEach((client) => client.terminate());
+    await new Promise((resolve) => this.wss.close(resolve));
+    this.wss = null;
+  }
+
+  _match(waiter) {
+    const index = this.received.findIndex(
+      (event, i) => !this.consumed.has(i) && event.type === waiter.type && waiter.predicate(event)
+    );
+    if (index === -1) {
+      return false;
+    }
+    this.consumed.add(index);
+    clearTimeout(waiter.timer);
+    waiter.resolve(this.received[index]);
+    return true;
+  }
+
+  _notify() {
+    this.waiters = this.waiters.filter((waiter) => !this._match(waiter));
+  }
+}
+
+module.exports = MockRealtimeServer;
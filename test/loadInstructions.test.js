@@ -0,0 +1,74 @@
+const { test, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const http = require("http");
+const os = require("os");
+const path = require("path");
+
+const { loadInstructions, DEFAULT_INSTRUCTIONS } = require("../loadInstructions");
+
+process.env.LOG_LEVEL = "silent";
+
+const fakeApiClient = (result) => ({
+  isConfigured: () => true,
+  getSystemInstructions: async () => {
+    if (result instanceof Error) throw result;
+    return result;
+  },
+});
+
+beforeEach(() => {
+  delete process.env.OPENAI_INSTRUCTIONS;
+  delete process.env.OPENAI_URL_INSTRUCTIONS;
+  delete process.env.OPENAI_FILE_INSTRUCTIONS;
+});
+
+test("agent API instructions take precedence", async () => {
+  process.env.OPENAI_INSTRUCTIONS = "from env";
+  const result = await loadInstructions({
+    apiClient: fakeApiClient({ system: "from api" }),
+    agentId: "agent-1",
+    sessionUuid: "uuid",
+  });
+  assert.deepEqual(result, { instructions: "from api", source: "agent-api" });
+});
+
+test("falls back to OPENAI_INSTRUCTIONS when the agent API fails", async () => {
+  process.env.OPENAI_INSTRUCTIONS = "from env";
+  const result = await loadInstructions({
+    apiClient: fakeApiClient(new Error("down")),
+    agentId: "agent-1",
+    sessionUuid: "uuid",
+  });
+  assert.deepEqual(result, { instructions: "from env", source: "OPENAI_INSTRUCTIONS" });
+});
+
+test("reads OPENAI_FILE_INSTRUCTIONS when no other source is set", async () => {
+  const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "instructions-")), "prompt.txt");
+  fs.writeFileSync(file, "  from file\n");
+  process.env.OPENAI_FILE_INSTRUCTIONS = file;
+
+  const result = await loadInstructions({ apiClient: null, agentId: null, sessionUuid: "uuid" });
+  assert.deepEqual(result, { instructions: "from file", source: "OPENAI_FILE_INSTRUCTIONS" });
+});
+
+test("uses the default when nothing is configured", async () => {
+  const result = await loadInstructions({ apiClient: null, agentId: null, sessionUuid: "uuid" });
+  assert.deepEqual(result, { instructions: DEFAULT_INSTRUCTIONS, source: "default" });
+});
+
+test("a slow OPENAI_URL_INSTRUCTIONS service times out and falls back to the default", async () => {
+  const server = http.createServer(() => {}); // Never answers
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  process.env.OPENAI_URL_INSTRUCTIONS = `http://127.0.0.1:${server.address().port}/instructions`;
+  process.env.INSTRUCTIONS_TIMEOUT_MS = "50";
+
+  try {
+    const result = await loadInstructions({ apiClient: null, agentId: null, sessionUuid: "uuid" });
+    assert.deepEqual(result, { instructions: DEFAULT_INSTRUCTIONS, source: "default" });
+  } finally {
+    delete process.env.INSTRUCTIONS_TIMEOUT_MS;
+    server.closeAllConnections();
+    server.close();
+  }
+});
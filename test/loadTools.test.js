@@ -0,0 +1,111 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+  loadTools,
+  getToolHandler,
+  getLocalToolHandler,
+  setApiTools,
+  parseToolsResponse,
+  parseToolArguments,
+  getToolPolicy,
+} = require("../loadTools");
+
+process.env.LOG_LEVEL = "silent";
+
+const names = (tools) => tools.map((tool) => tool.name).sort();
+
+test("the tools response is either a list of API tools or an object with local tool settings", () => {
+  const apiTool = { name: "lookup_order" };
+  assert.deepEqual(parseToolsResponse([apiTool]), { apiTools: [apiTool], localTools: null, mcpServers: [] });
+  assert.deepEqual(parseToolsResponse({ tools: [apiTool], local_tools: ["avr_hangup"] }), {
+    apiTools: [apiTool],
+    localTools: { avr_hangup: true },
+    mcpServers: [],
+  });
+  // The local config applies when the API does not set local_tools
+  assert.deepEqual(parseToolsResponse(null, { tools: { avr_transfer: false } }).localTools, { avr_transfer: false });
+  assert.deepEqual(parseToolsResponse({ local_tools: [] }, { tools: ["avr_hangup"] }).localTools, {});
+});
+
+test("MCP servers come from the API, or from the local config which may also start processes", () => {
+  const localConfig = { mcp_servers: [{ name: "files", command: "node", args: ["server.js"] }] };
+  assert.deepEqual(
+    parseToolsResponse(null, localConfig).mcpServers.map((server) => server.name),
+    ["files"]
+  );
+
+  const { mcpServers } = parseToolsResponse(
+    { mcp_servers: [{ name: "crm", url: "https://crm.example.com/mcp" }, { name: "shell", command: "sh" }] },
+    localConfig
+  );
+  assert.deepEqual(
+    mcpServers.map((server) => server.name),
+    ["crm"]
+  );
+});
+
+test("without local tool settings every local tool is enabled", () => {
+  assert.deepEqual(names(loadTools([], null)), ["avr_get_caller_info", "avr_hangup", "avr_transfer"]);
+  const handlers = setApiTools([], null);
+  assert.equal(typeof getToolHandler("avr_transfer", handlers), "function");
+});
+
+test("only the listed local tools are offered and callable", () => {
+  const localTools = { avr_hangup: { description: "Ends the call once the order is placed." }, avr_transfer: false };
+  const tools = loadTools([], localTools);
+  assert.deepEqual(names(tools), ["avr_hangup"]);
+  assert.equal(tools[0].description, "Ends the call once the order is placed.");
+
+  const handlers = setApiTools([], localTools);
+  assert.equal(typeof getToolHandler("avr_hangup", handlers), "function");
+  assert.throws(() => getToolHandler("avr_transfer", handlers), /not enabled for this agent/);
+  // Operator-configured actions, such as the reconnect transfer, bypass the agent's selection
+  assert.equal(typeof getLocalToolHandler("avr_transfer"), "function");
+});
+
+test("without session tools, e.g. when the agent's tools failed to load, no local tool is callable", () => {
+  assert.throws(() => getToolHandler("avr_transfer"), /not enabled for this agent/);
+  assert.throws(() => getToolHandler("avr_hangup", null), /not enabled for this agent/);
+});
+
+test("constraints restrict tool arguments to the allowed values", () => {
+  const localTools = { avr_transfer: { constraints: { extensions: [100, "200"], contexts: ["sales"] } } };
+  const [transfer] = loadTools([], localTools);
+  assert.deepEqual(transfer.parameters.properties.transfer_extension.enum, ["100", "200"]);
+  assert.equal(transfer.parameters.properties.transfer_context.default, "sales");
+
+  const handlers = setApiTools([], localTools);
+  assert.deepEqual(parseToolArguments("avr_transfer", '{"transfer_extension": 100}', handlers), {
+    ok: true,
+    args: { transfer_extension: "100", transfer_context: "sales" },
+  });
+  const rejected = parseToolArguments("avr_transfer", '{"transfer_extension": "999"}', handlers);
+  assert.equal(rejected.ok, false);
+  assert.deepEqual(rejected.errors, ["transfer_extension must be one of 100, 200"]);
+
+  // Other agents keep the unconstrained tool
+  assert.equal(parseToolArguments("avr_transfer", '{"transfer_extension": "999"}', setApiTools([], null)).ok, true);
+});
+
+test("settings for unknown tools or constraints are ignored", () => {
+  const tools = loadTools([], {
+    avr_transfer: { constraints: { floors: ["1"], contexts: [] } },
+    avr_hangup: { constraints: { reasons: ["done"] } },
+    missing_tool: true,
+  });
+  assert.deepEqual(names(tools), ["avr_hangup", "avr_transfer"]);
+  const transfer = tools.find((tool) => tool.name === "avr_transfer");
+  assert.equal(transfer.parameters.properties.transfer_context.enum, undefined);
+});
+
+test("the PBX tools are never retried, whatever TOOL_RETRIES says", () => {
+  process.env.TOOL_RETRIES = "3";
+  try {
+    assert.equal(getToolPolicy("avr_transfer").retries, 0);
+    assert.equal(getToolPolicy("avr_hangup").retries, 0);
+    assert.equal(getToolPolicy("lookup_order").retries, 3);
+  } finally {
+    delete process.env.TOOL_RETRIES;
+  }
+});
@@ -0,0 +1,103 @@
+const { test, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+
+const logger = require("../logger");
+
+let lines;
+
+/**
+ * Runs fn synchronously with stdout and stderr captured as parsed log lines.
+ * Must not span an await: the test runner reports through stdout.
+ * @param {Function} fn
+ */
+function capture(fn) {
+  const stdoutWrite = process.stdout.write;
+  const stderrWrite = process.stderr.write;
+  const write = (chunk) => {
+    lines.push(JSON.parse(chunk));
+    return true;
+  };
+  process.stdout.write = write;
+  process.stderr.write = write;
+  try {
+    fn();
+  } finally {
+    process.stdout.write = stdoutWrite;
+    process.stderr.write = stderrWrite;
+  }
+}
+
+beforeEach(() => {
+  lines = [];
+  process.env.LOG_LEVEL = "info";
+  delete process.env.LOG_REDACT;
+});
+
+test("writes one JSON line with level, event and session context", () => {
+  let agentId = null;
+  const log = logger.child(() => ({ sessionUuid: "uuid-1", agentId }));
+  agentId = "agent-1";
+  capture(() => log.info("session.init", "Session initialized", { codec: "pcm16" }));
+
+  assert.equal(lines.length, 1);
+  const [line] = lines;
+  assert.equal(line.level, "info");
+  assert.equal(line.event, "session.init");
+  assert.equal(line.sessionUuid, "uuid-1");
+  assert.equal(line.agentId, "agent-1");
+  assert.equal(line.msg, "Session initialized");
+  assert.equal(line.codec, "pcm16");
+  assert.ok(!Number.isNaN(Date.parse(line.time)));
+});
+
+test("filters lines below LOG_LEVEL", () => {
+  process.env.LOG_LEVEL = "warn";
+  capture(() => {
+    logger.info("ignored");
+    logger.debug("ignored");
+    logger.warn("kept");
+  });
+  assert.deepEqual(lines.map((line) => line.event), ["kept"]);
+});
+
+test("serializes errors", () => {
+  capture(() => logger.error("failed", "Boom", { error: new Error("boom") }));
+  assert.equal(lines[0].error.message, "boom");
+  assert.match(lines[0].error.stack, /boom/);
+});
+
+test("redacts phone numbers and transcripts when configured", () => {
+  process.env.LOG_REDACT = "phone,transcripts";
+  capture(() =>
+    logger.info("caller_info.fetched", "Caller +49 30 1234567 connected", {
+      sessionUuid: "uuid-1",
+      callerInfo: { phoneNumber: "+4930123456", callerName: "Erika" },
+      transcript: "My number is 0301234567",
+    })
+  );
+
+  const [line] = lines;
+  assert.equal(line.sessionUuid, "uuid-1");
+  assert.equal(line.callerInfo.phoneNumber, "********56");
+  assert.equal(line.callerInfo.callerName, "Erika");
+  assert.equal(line.transcript, "[redacted]");
+  assert.doesNotMatch(line.msg, /1234567/);
+});
+
+test("keeps phone numbers and transcripts without LOG_REDACT", () => {
+  capture(() => logger.info("transcript.user", "User transcript", { transcript: "Call me at 0301234567" }));
+  assert.equal(lines[0].transcript, "Call me at 0301234567");
+});
+
+test("attaches context to lines logged inside runWithContext", async () => {
+  await logger.runWithContext({ sessionUuid: "uuid-2", agentId: "agent-2" }, async () => {
+    // Context survives awaits inside the callback
+    await new Promise((resolve) => setImmediate(resolve));
+    capture(() => logger.info("tool.transfer"));
+  });
+  capture(() => logger.info("outside"));
+
+  assert.equal(lines[0].sessionUuid, "uuid-2");
+  assert.equal(lines[0].agentId, "agent-2");
+  assert.equal(lines[1].sessionUuid, null);
+});
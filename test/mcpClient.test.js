@@ -0,0 +1,216 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const path = require("path");
+
+const { McpClient, McpClientPool, normalizeMcpServers, formatToolResult } = require("../mcpClient");
+const { SseParser } = require("../mcpTransport");
+const MockMcpServer = require("./helpers/mockMcpServer");
+
+process.env.LOG_LEVEL = "silent";
+
+const stdioServer = {
+  name: "local",
+  transport: "stdio",
+  command: process.execPath,
+  args: [path.join(__dirname, "helpers", "mockMcpServer.js")],
+};
+
+test("validates MCP server configs and keeps stdio servers out of API responses", () => {
+  const { servers, problems } = normalizeMcpServers([
+    { name: "crm", url: "https://crm.example.com/mcp", headers: { Authorization: "Bearer x" }, timeout_ms: 3000 },
+    { name: "files", command: "node", args: ["server.js", 1] },
+    { name: "crm", url: "https://other.example.com/mcp" },
+    { name: "broken", transport: "sse", url: "ftp://example.com" },
+    { url: "https://example.com/mcp" },
+  ]);
+  assert.deepEqual(servers, [
+    {
+      name: "crm",
+      transport: "http",
+      url: "https://crm.example.com/mcp",
+      headers: { Authorization: "Bearer x" },
+      toolPrefix: "",
+      tools: null,
+      timeout_ms: 3000,
+    },
+    { name: "files", transport: "stdio", command: "node", args: ["server.js", "1"], env: {}, toolPrefix: "", tools: null },
+  ]);
+  assert.deepEqual(problems, [
+    "MCP server crm: another server has the same name",
+    "MCP server broken: url must be an http(s) URL",
+    "MCP servers need a name",
+  ]);
+
+  assert.deepEqual(normalizeMcpServers([{ name: "files", command: "node" }], { allowStdio: false }).problems, [
+    "MCP server files: stdio servers can only be configured in AGENT_CONFIG_FILE",
+  ]);
+});
+
+test("tool results become structured content or text, and tool errors are thrown", () => {
+  assert.equal(formatToolResult({ content: [{ type: "text", text: "a" }, { type: "image" }] }), "a\n[image]");
+  assert.deepEqual(formatToolResult({ content: [], structuredContent: { ok: true } }), { ok: true });
+  assert.throws(() => formatToolResult({ content: [{ type: "text", text: "Not found" }], isError: true }), /Not found/);
+});
+
+test("server-sent events are parsed across chunk boundaries", () => {
+  const parser = new SseParser();
+  assert.deepEqual(parser.push("event: endpoint\r\ndata: /mess"), []);
+  assert.deepEqual(parser.push("ages\r\n\r\n: comment\n\ndata: {\"a\":1}\ndata: 2\n\n"), [
+    { event: "endpoint", data: "/messages" },
+    { event: "message", data: '{"a":1}\n2' },
+  ]);
+});
+
+test("stdio servers are started once and their tools listed and called with caller context", async () => {
+  const pool = new McpClientPool();
+  try {
+    const server = normalizeMcpServers([{ ...stdioServer, tool_prefix: "local_", timeout_ms: 3000 }]).servers[0];
+    const tools = await pool.listTools([server]);
+    assert.deepEqual(
+      tools.map((tool) => tool.name),
+      ["local_echo", "local_fail"]
+    );
+    assert.deepEqual(tools[0].mcp, { server, tool: "echo" });
+    assert.equal(tools[0].timeout_ms, 3000);
+
+    const client = await pool.get(server);
+    assert.equal(client, await pool.get(server));
+    const result = await client.callTool("echo", { text: "hi" }, { meta: { "avr/sessionUuid": "uuid-1" } });
+    assert.deepEqual(result, { arguments: { text: "hi" }, meta: { "avr/sessionUuid": "uuid-1" } });
+    await assert.rejects(client.callTool("fail", {}), /Something broke/);
+
+    // A server that exited is started again by the next session
+    client.transport.child.kill();
+    await new Promise((resolve) => setTimeout(resolve, 100));
+    assert.equal(client.closed, true);
+    const restarted = await pool.get(server);
+    assert.notEqual(restarted, client);
+    assert.equal(await restarted.callTool("echo", { text: "again" }).then((r) => r.arguments.text), "again");
+  } finally {
+    await pool.close();
+  }
+});
+
+test("Streamable HTTP and HTTP+SSE servers are supported", async () => {
+  const mock = new MockMcpServer();
+  await mock.start();
+  const pool = new McpClientPool();
+  try {
+    const { servers } = normalizeMcpServers([
+      { name: "http", url: `${mock.url}/mcp`, headers: { Authorization: "Bearer token" }, tools: ["echo"] },
+      { name: "legacy", transport: "sse", url: `${mock.url}/sse`, tool_prefix: "legacy_" },
+    ]);
+    const tools = await pool.listTools(servers);
+    assert.deepEqual(
+      tools.map((tool) => tool.name),
+      ["echo", "legacy_echo", "legacy_fail"]
+    );
+
+    const http = await pool.get(servers[0]);
+    assert.equal((await http.callTool("echo", { text: "over http" })).arguments.text, "over http");
+    const call = mock.messages.find(({ message }) => message.method === "tools/call");
+    assert.equal(call.headers.authorization, "Bearer token");
+    // The session assigned at initialization is sent with later requests
+    assert.equal(call.headers["mcp-session-id"], "session-1");
+
+    const legacy = await pool.get(servers[1]);
+    assert.equal((await legacy.callTool("echo", { text: "over sse" })).arguments.text, "over sse");
+  } finally {
+    await pool.close();
+    await mock.stop();
+  }
+});
+
+test("an HTTP server that ended the session or went away is reconnected by the next session", async () => {
+  const mock = new MockMcpServer();
+  await mock.start();
+  const pool = new McpClientPool();
+  try {
+    const server = normalizeMcpServers([{ name: "http", url: `${mock.url}/mcp` }]).servers[0];
+    const first = await pool.get(server);
+    mock.expireSession("session-1");
+    await assert.rejects(first.callTool("echo", { text: "expired" }), /ended the session/);
+    assert.equal(first.closed, true);
+
+    const second = await pool.get(server);
+    assert.notEqual(second, first);
+    assert.equal((await second.callTool("echo", { text: "again" })).arguments.text, "again");
+    assert.equal(mock.messages[mock.messages.length - 1].headers["mcp-session-id"], "session-2");
+
+    await mock.stop();
+    await assert.rejects(second.callTool("echo", { text: "gone" }), /unreachable/);
+    assert.equal(second.closed, true);
+  } finally {
+    await pool.close();
+    if (mock.server.listening) await mock.stop();
+  }
+});
+
+test("unanswered requests time out and are cancelled", async () => {
+  const sent = [];
+  const transport = {
+    start: async () => {},
+    send: async (message) => {
+      sent.push(message);
+    },
+    close: async () => {},
+  };
+  const client = new McpClient({ name: "silent" }, { transport });
+
+  await assert.rejects(client.request("tools/call", { name: "echo" }, { timeoutMs: 20 }), { code: "mcp_timeout" });
+  assert.deepEqual(sent[1], {
+    jsonrpc: "2.0",
+    method: "notifications/cancelled",
+    params: { requestId: 1, reason: "timeout" },
+  });
+  assert.equal(client.pending.size, 0);
+});
+
+test("unreachable servers are skipped when listing tools", async () => {
+  const pool = new McpClientPool();
+  const { servers } = normalizeMcpServers([{ name: "down", url: "http://127.0.0.1:1/mcp" }]);
+  assert.deepEqual(await pool.listTools(servers), []);
+  assert.equal(pool.clients.size, 0);
+  await pool.close();
+});
+
+
+test("idle and least recently used clients are closed, unless a request is in flight", async () => {
+  process.env.MCP_MAX_CLIENTS = "2";
+  process.env.MCP_IDLE_TIMEOUT_MS = "60000";
+  let now = 0;
+  const createClient = (server) => ({
+    server,
+    closed: false,
+    pending: new Map(),
+    connect: async () => {},
+    close: async function () {
+      this.closed = true;
+    },
+  });
+  const pool = new McpClientPool({ createClient, now: () => now });
+  const server = (name) => ({ name, transport: "http", url: `https://${name}.example.com/mcp` });
+
+  try {
+    const a = await pool.get(server("a"));
+    const b = await pool.get(server("b"));
+    await pool.get(server("a"));
+    // b is now the least recently used client
+    const c = await pool.get(server("c"));
+    assert.equal(b.closed, true);
+    assert.equal(a.closed, false);
+    assert.equal(pool.clients.size, 2);
+
+    // a is busy with a tool call, so only c is closed once both are idle
+    a.pending.set(1, {});
+    now = 60001;
+    await pool.get(server("d"));
+    assert.equal(c.closed, true);
+    assert.equal(a.closed, false);
+    assert.equal(await pool.get(server("a")), a);
+  } finally {
+    delete process.env.MCP_MAX_CLIENTS;
+    delete process.env.MCP_IDLE_TIMEOUT_MS;
+    await pool.close();
+  }
+});
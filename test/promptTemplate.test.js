@@ -0,0 +1,39 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { buildTemplateVariables, renderTemplate } = require("../promptTemplate");
+
+process.env.LOG_LEVEL = "silent";
+
+test("exposes caller, call and custom PBX variables", () => {
+  const now = new Date(2024, 0, 15, 9, 5);
+  const variables = buildTemplateVariables(
+    { callerId: "+4930123", caller_name: "Erika", extension: "200", tier: "gold", nested: { a: 1 } },
+    { sessionUuid: "uuid-1", agentId: "agent-1", now }
+  );
+
+  assert.equal(variables.phoneNumber, "+4930123");
+  assert.equal(variables.callerName, "Erika");
+  assert.equal(variables.extension, "200");
+  assert.equal(variables.tier, "gold");
+  assert.equal(variables.nested, undefined);
+  assert.equal(variables.sessionUuid, "uuid-1");
+  assert.equal(variables.agentId, "agent-1");
+  assert.equal(variables.date, "2024-01-15");
+  assert.equal(variables.time, "09:05");
+  assert.equal(variables.now, now.toISOString());
+});
+
+test("renders placeholders and blanks unknown ones", () => {
+  const text = renderTemplate("Hello {{ callerName }}, {{missing}}ext {{extension}}", {
+    callerName: "Erika",
+    extension: "",
+  });
+
+  assert.equal(text, "Hello Erika, ext ");
+});
+
+test("works without caller info", () => {
+  const variables = buildTemplateVariables(null, { sessionUuid: "uuid-2", agentId: null });
+  assert.equal(renderTemplate("{{callerName}}|{{agentId}}|{{sessionUuid}}", variables), "||uuid-2");
+});
@@ -0,0 +1,125 @@
+const { test, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const {
+  DEFAULT_SESSION_CONFIG,
+  validateSessionConfig,
+  mergeSessionConfig,
+  buildSessionSettings,
+  loadSessionConfig,
+} = require("../sessionConfig");
+
+process.env.LOG_LEVEL = "silent";
+
+const fakeApiClient = (result) => ({
+  isConfigured: () => true,
+  getSessionConfig: async () => {
+    if (result instanceof Error) throw result;
+    return result;
+  },
+});
+
+beforeEach(() => {
+  delete process.env.AGENT_CONFIG_FILE;
+  delete process.env.OPENAI_VOICE;
+  delete process.env.OPENAI_TEMPERATURE;
+  delete process.env.OPENAI_MAX_TOKENS;
+  delete process.env.OPENAI_TRANSCRIPTION_LANGUAGE;
+  delete process.env.OPENAI_TRANSCRIPTION_MODEL;
+});
+
+test("defaults keep server VAD and leave the transcription language to detection", () => {
+  const settings = buildSessionSettings(DEFAULT_SESSION_CONFIG);
+  assert.deepEqual(settings.turn_detection, {
+    type: "server_vad",
+    threshold: 0.7,
+    prefix_padding_ms: 300,
+    silence_duration_ms: 500,
+    create_response: true,
+    interrupt_response: false,
+  });
+  assert.deepEqual(settings.input_audio_transcription, { model: "whisper-1" });
+  assert.equal(settings.voice, undefined);
+  assert.equal(settings.temperature, 0.8);
+  assert.equal(settings.max_response_output_tokens, "inf");
+});
+
+test("keeps valid settings, coerces numeric strings and reports the rest", () => {
+  const { config, errors } = validateSessionConfig({
+    voice: "shouty",
+    speed: "1.2",
+    turnDetection: { type: "semantic_vad", eagerness: "low", threshold: 3 },
+    transcription: { language: "english" },
+    colour: "blue",
+  });
+
+  assert.deepEqual(config, {
+    speed: 1.2,
+    turnDetection: { type: "semantic_vad", eagerness: "low" },
+    transcription: {},
+  });
+  assert.equal(errors.length, 4);
+  assert.ok(errors.some((message) => message.startsWith("voice must be one of")));
+  assert.ok(errors.some((message) => message.startsWith("turnDetection.threshold must be")));
+  assert.ok(errors.some((message) => message.startsWith("transcription.language must be")));
+  assert.ok(errors.includes("colour is not a supported setting"));
+});
+
+test("semantic VAD, voice, speed and noise reduction map to session.update fields", () => {
+  const config = mergeSessionConfig({
+    voice: "coral",
+    speed: 1.1,
+    noiseReduction: "far_field",
+    turnDetection: { type: "semantic_vad", eagerness: "high" },
+    transcription: { model: "gpt-4o-transcribe", language: "en" },
+  });
+  const settings = buildSessionSettings(config);
+
+  assert.equal(settings.voice, "coral");
+  assert.equal(settings.speed, 1.1);
+  assert.deepEqual(settings.input_audio_noise_reduction, { type: "far_field" });
+  assert.deepEqual(settings.turn_detection, {
+    type: "semantic_vad",
+    eagerness: "high",
+    create_response: true,
+    interrupt_response: false,
+  });
+  assert.deepEqual(settings.input_audio_transcription, { model: "gpt-4o-transcribe", language: "en" });
+});
+
+test("merges environment, local file and agent API in order of precedence", async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "agent-config-"));
+  const file = path.join(dir, "agents.json");
+  fs.writeFileSync(
+    file,
+    JSON.stringify({
+      default: { session: { voice: "sage", transcription: { language: "de" } } },
+      agents: { sales: { session: { voice: "verse", turnDetection: { silenceDurationMs: 800 } } } },
+    })
+  );
+  process.env.AGENT_CONFIG_FILE = file;
+  process.env.OPENAI_VOICE = "alloy";
+  process.env.OPENAI_TEMPERATURE = "0.7";
+
+  const { config } = await loadSessionConfig({
+    apiClient: fakeApiClient({ transcription: { language: "en" }, temperature: 5 }),
+    agentId: "sales",
+    sessionUuid: "uuid",
+  });
+
+  assert.equal(config.voice, "verse");
+  assert.equal(config.temperature, 0.7);
+  assert.equal(config.transcription.language, "en");
+  assert.equal(config.transcription.model, "whisper-1");
+  assert.equal(config.turnDetection.silenceDurationMs, 800);
+  assert.equal(config.turnDetection.threshold, 0.7);
+});
+
+test("falls back to defaults when the agent API has no session config", async () => {
+  const notFound = Object.assign(new Error("Request failed with status code 404"), { response: { status: 404 } });
+  const { config } = await loadSessionConfig({ apiClient: fakeApiClient(notFound), agentId: "a", sessionUuid: "u" });
+  assert.deepEqual(config, DEFAULT_SESSION_CONFIG);
+});
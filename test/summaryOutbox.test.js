@@ -0,0 +1,153 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const SummaryOutbox = require("../summaryOutbox");
+
+process.env.LOG_LEVEL = "silent";
+
+const tmpDir = () => fs.mkdtempSync(path.join(os.tmpdir(), "outbox-"));
+
+/**
+ * Fake agent API client failing the first `failures` calls
+ */
+function fakeClient(failures = 0) {
+  const calls = [];
+  return {
+    calls,
+    sendCallSummary: async (agentId, sessionUuid, callSummary, options) => {
+      calls.push({ agentId, sessionUuid, callSummary, options });
+      if (calls.length <= failures) {
+        throw new Error("API unavailable");
+      }
+      return { success: true };
+    },
+  };
+}
+
+test("retries with the same idempotency key and removes the spool file on success", async () => {
+  const dir = tmpDir();
+  const client = fakeClient(2);
+  const outbox = new SummaryOutbox({ dir, baseDelayMs: 1, createApiClient: () => client });
+
+  const delivered = await outbox.enqueue("agent-1", "uuid-1", { transcripts: [] });
+
+  assert.equal(delivered, true);
+  assert.equal(client.calls.length, 3);
+  client.calls.forEach((call) => {
+    assert.equal(call.agentId, "agent-1");
+    assert.equal(call.options.idempotencyKey, "call-summary-uuid-1");
+  });
+  assert.deepEqual(fs.readdirSync(dir), []);
+});
+
+test("keeps the summary spooled when every attempt fails", async () => {
+  const dir = tmpDir();
+  const client = fakeClient(Infinity);
+  const outbox = new SummaryOutbox({ dir, maxAttempts: 2, baseDelayMs: 1, createApiClient: () => client });
+
+  const delivered = await outbox.enqueue("agent-1", "uuid-2", { transcripts: [{ role: "user", text: "hi" }] });
+
+  assert.equal(delivered, false);
+  assert.equal(client.calls.length, 2);
+  const spooled = JSON.parse(fs.readFileSync(path.join(dir, "uuid-2.json"), "utf8"));
+  assert.equal(spooled.agentId, "agent-1");
+  assert.equal(spooled.callSummary.transcripts[0].text, "hi");
+});
+
+test("moves summaries the API rejects aside instead of retrying them", async () => {
+  const dir = tmpDir();
+  const rejecting = (status) => {
+    const calls = [];
+    return {
+      calls,
+      sendCallSummary: async (agentId, sessionUuid) => {
+        calls.push({ agentId, sessionUuid });
+        throw Object.assign(new Error(`Request failed with status code ${status}`), { response: { status } });
+      },
+    };
+  };
+
+  const client = rejecting(422);
+  const outbox = new SummaryOutbox({ dir, maxAttempts: 3, baseDelayMs: 1, createApiClient: () => client });
+  assert.equal(await outbox.enqueue("agent-1", "uuid-rejected", { transcripts: [] }), false);
+  assert.equal(client.calls.length, 1);
+  assert.deepEqual(fs.readdirSync(dir), ["uuid-rejected.failed"]);
+  assert.equal(await outbox.flushPending(), 0);
+
+  // Rate limits and timeouts are retried and stay spooled
+  const limited = rejecting(429);
+  const retrying = new SummaryOutbox({ dir, maxAttempts: 3, baseDelayMs: 1, createApiClient: () => limited });
+  assert.equal(await retrying.enqueue("agent-1", "uuid-limited", { transcripts: [] }), false);
+  assert.equal(limited.calls.length, 3);
+  assert.ok(fs.existsSync(path.join(dir, "uuid-limited.json")));
+});
+
+test("flushes summaries left over from a previous run", async () => {
+  const dir = tmpDir();
+  const failing = new SummaryOutbox({ dir, maxAttempts: 1, createApiClient: () => fakeClient(Infinity) });
+  await failing.enqueue("agent-1", "uuid-3", { transcripts: [] });
+
+  const client = fakeClient();
+  const outbox = new SummaryOutbox({ dir, createApiClient: () => client });
+  assert.equal(await outbox.flushPending(), 1);
+  await outbox.whenIdle();
+
+  assert.equal(client.calls.length, 1);
+  assert.equal(client.calls[0].sessionUuid, "uuid-3");
+  assert.deepEqual(fs.readdirSync(dir), []);
+});
+
+test("keeps session UUIDs from escaping the spool directory", async () => {
+  const dir = tmpDir();
+  const outbox = new SummaryOutbox({ dir, maxAttempts: 1, createApiClient: () => fakeClient(Infinity) });
+  await outbox.enqueue("agent-1", "../../evil", {});
+
+  assert.deepEqual(fs.readdirSync(dir), [".._.._evil.json"]);
+});
+
+test("a missing spool directory has nothing to flush", async () => {
+  const outbox = new SummaryOutbox({ dir: path.join(tmpDir(), "missing"), createApiClient: () => fakeClient() });
+  assert.equal(await outbox.flushPending(), 0);
+});
+
+test("the periodic flush retries summaries that used up their attempts", async () => {
+  const dir = tmpDir();
+  const client = fakeClient(1);
+  const outbox = new SummaryOutbox({ dir, maxAttempts: 1, flushIntervalMs: 20, createApiClient: () => client });
+
+  assert.equal(await outbox.enqueue("agent-1", "uuid-1", {}), false);
+  outbox.startPeriodicFlush();
+  try {
+    await new Promise((resolve) => setTimeout(resolve, 100));
+    assert.equal(client.calls.length, 2);
+    assert.deepEqual(fs.readdirSync(dir), []);
+  } finally {
+    outbox.stopPeriodicFlush();
+  }
+  assert.equal(outbox.flushTimer, null);
+});
+
+test("whenIdle waits for summaries still being prepared or spooled", async () => {
+  const dir = tmpDir();
+  const client = fakeClient();
+  const outbox = new SummaryOutbox({ dir, baseDelayMs: 1, createApiClient: () => client });
+
+  // A summary whose call recording is still being finished
+  let finishRecording;
+  const recordingFinished = new Promise((resolve) => {
+    finishRecording = resolve;
+  });
+  outbox.track(recordingFinished.then(() => outbox.enqueue("agent-1", "uuid-late", {})));
+  // A summary that is enqueued but not yet written to the spool
+  outbox.enqueue("agent-1", "uuid-now", {});
+
+  const idle = outbox.whenIdle();
+  setTimeout(finishRecording, 10);
+  await idle;
+
+  assert.deepEqual(client.calls.map((call) => call.sessionUuid).sort(), ["uuid-late", "uuid-now"]);
+  assert.deepEqual(fs.readdirSync(dir), []);
+});
@@ -0,0 +1,59 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { emptyUsage, addResponseUsage, AgentTokenLedger, exceededTokenBudget } = require("../tokenUsage");
+
+const responseUsage = {
+  total_tokens: 300,
+  input_tokens: 200,
+  output_tokens: 100,
+  input_token_details: { text_tokens: 120, audio_tokens: 80, cached_tokens: 64 },
+  output_token_details: { text_tokens: 20, audio_tokens: 80 },
+};
+
+test("aggregates usage across responses", () => {
+  const usage = emptyUsage();
+  const delta = addResponseUsage(usage, responseUsage);
+  addResponseUsage(usage, { total_tokens: 10, input_tokens: 4, output_tokens: 6 });
+
+  assert.equal(delta.totalTokens, 300);
+  assert.deepEqual(usage, {
+    responses: 2,
+    inputTokens: 204,
+    outputTokens: 106,
+    totalTokens: 310,
+    inputTextTokens: 120,
+    inputAudioTokens: 80,
+    cachedTokens: 64,
+    outputTextTokens: 20,
+    outputAudioTokens: 80,
+  });
+});
+
+test("tracks agent usage per UTC day", () => {
+  let now = Date.UTC(2024, 0, 15, 23, 59);
+  const ledger = new AgentTokenLedger(() => now);
+  ledger.record("sales", 100);
+  ledger.record("sales", 50);
+  ledger.record("support", 10);
+  assert.equal(ledger.usedToday("sales"), 150);
+
+  now = Date.UTC(2024, 0, 16, 0, 1);
+  assert.equal(ledger.usedToday("sales"), 0);
+});
+
+test("reports which budget is exhausted", () => {
+  const usage = emptyUsage();
+  addResponseUsage(usage, responseUsage);
+  const ledger = new AgentTokenLedger();
+  ledger.record("sales", 1000);
+
+  assert.equal(exceededTokenBudget(usage, "sales", ledger, { tokenBudgetPerCall: 0, tokenBudgetPerAgent: 0 }), null);
+
+  const perAgent = { tokenBudgetPerCall: 0, tokenBudgetPerAgent: 1000 };
+  assert.equal(exceededTokenBudget(usage, "sales", ledger, perAgent), "agent");
+  assert.equal(exceededTokenBudget(usage, "support", ledger, perAgent), null);
+
+  const perCall = { tokenBudgetPerCall: 300, tokenBudgetPerAgent: 1000 };
+  assert.equal(exceededTokenBudget(usage, "support", ledger, perCall), "call");
+});
@@ -0,0 +1,94 @@
+const { test, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const path = require("path");
+
+const { resolveToolPolicy, runWithPolicy } = require("../toolExecution");
+
+const ENV = ["TOOL_TIMEOUT_MS", "TOOL_RETRIES", "TOOL_FILLER_DELAY_MS", "TOOL_FILLER_TEXT", "TOOL_HOLD_AUDIO_FILE", "PROMPTS_DIR"];
+
+afterEach(() => {
+  ENV.forEach((name) => delete process.env[name]);
+});
+
+const httpError = (status) =>
+  Object.assign(new Error(`Request failed with status code ${status}`), { response: { status } });
+
+test("defaults come from the environment and are overridden by the tool definition", () => {
+  assert.deepEqual(resolveToolPolicy(), {
+    timeoutMs: 10000,
+    retries: 0,
+    retryDelayMs: 500,
+    filler: { delayMs: 2000, text: null, audioFile: null, audioUrl: null },
+  });
+
+  process.env.TOOL_TIMEOUT_MS = "5000";
+  process.env.TOOL_HOLD_AUDIO_FILE = "./sounds/hold.wav";
+  const policy = resolveToolPolicy({ retries: 2, filler: { delay_ms: 800 } });
+  assert.equal(policy.timeoutMs, 5000);
+  assert.equal(policy.retries, 2);
+  assert.deepEqual(policy.filler, { delayMs: 800, text: null, audioFile: "./sounds/hold.wav", audioUrl: null });
+
+  // A tool's own filler replaces the default hold audio
+  assert.equal(resolveToolPolicy({ filler: { text: "One moment" } }).filler.audioFile, null);
+});
+
+test("the filler can be disabled per tool or globally, and invalid values are ignored", () => {
+  assert.equal(resolveToolPolicy({ filler: false }).filler, null);
+  assert.equal(resolveToolPolicy({ timeout_ms: -1, retries: "x" }).timeoutMs, 10000);
+  assert.equal(resolveToolPolicy({ timeout_ms: 0 }).timeoutMs, 0);
+
+  process.env.TOOL_FILLER_DELAY_MS = "0";
+  assert.equal(resolveToolPolicy().filler, null);
+});
+
+test("hold audio files of API and MCP tools must lie inside PROMPTS_DIR", () => {
+  process.env.PROMPTS_DIR = "/srv/prompts";
+  const remote = (audioFile) => resolveToolPolicy({ name: "lookup", filler: { audio_file: audioFile } }, { remote: true });
+
+  assert.equal(remote("hold/music.wav").filler.audioFile, path.resolve("/srv/prompts/hold/music.wav"));
+  assert.equal(remote("../secret.wav").filler.audioFile, null);
+  assert.equal(remote("/etc/passwd").filler.audioFile, null);
+
+  // A rejected file counts as no audio file, so the default hold audio applies
+  process.env.TOOL_HOLD_AUDIO_FILE = "./sounds/hold.wav";
+  assert.equal(remote("/etc/passwd").filler.audioFile, "./sounds/hold.wav");
+
+  // Local tool modules are trusted
+  assert.equal(resolveToolPolicy({ filler: { audio_file: "/opt/hold.wav" } }).filler.audioFile, "/opt/hold.wav");
+});
+
+test("an attempt that does not finish in time fails with a timeout code", async () => {
+  const policy = { timeoutMs: 20, retries: 0, retryDelayMs: 0 };
+  await assert.rejects(
+    runWithPolicy(() => new Promise((resolve) => setTimeout(resolve, 200)), policy),
+    (error) => error.code === "tool_timeout"
+  );
+});
+
+test("transient failures are retried with backoff; client errors are not", async () => {
+  const policy = { timeoutMs: 0, retries: 2, retryDelayMs: 1 };
+  const retries = [];
+
+  let calls = 0;
+  const result = await runWithPolicy(
+    async () => {
+      calls++;
+      if (calls < 3) throw httpError(503);
+      return "ok";
+    },
+    policy,
+    { onRetry: (attempt) => retries.push(attempt) }
+  );
+  assert.equal(result, "ok");
+  assert.deepEqual(retries, [1, 2]);
+
+  calls = 0;
+  await assert.rejects(
+    runWithPolicy(async () => {
+      calls++;
+      throw httpError(422);
+    }, policy),
+    /status code 422/
+  );
+  assert.equal(calls, 1);
+});
@@ -0,0 +1,113 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const { ToolRegistry, validateToolModule } = require("../toolRegistry");
+
+process.env.LOG_LEVEL = "silent";
+
+const tmpDir = () => fs.mkdtempSync(path.join(os.tmpdir(), "tools-"));
+
+/**
+ * Writes a tool module returning `result`
+ */
+function writeTool(dir, file, name, result = name) {
+  fs.writeFileSync(
+    path.join(dir, file),
+    `module.exports = {
+      name: ${JSON.stringify(name)},
+      description: "Test tool",
+      input_schema: { type: "object", properties: {} },
+      handler: async () => ${JSON.stringify(result)},
+    };`
+  );
+}
+
+test("validates the name, description, schema and handler of tool modules", () => {
+  assert.deepEqual(validateToolModule(require("../avr_tools/avr_transfer")), []);
+  assert.deepEqual(validateToolModule({ name: "bad name", description: 1, input_schema: { type: "string" } }), [
+    "name must be 1-64 letters, digits, underscores or dashes",
+    "description must be a string",
+    "handler must be a function",
+    'input_schema must be a JSON Schema of type "object"',
+  ]);
+  assert.deepEqual(validateToolModule(null), ["module must export an object"]);
+  assert.deepEqual(
+    validateToolModule({ name: "t", handler: () => {}, input_schema: { type: "object", properties: {} }, constraints: { a: "b" } }),
+    ["constraints must map constraint names to input_schema properties"]
+  );
+});
+
+test("loads JavaScript modules once and skips other files and invalid modules", () => {
+  const dir = tmpDir();
+  writeTool(dir, "lookup.js", "lookup");
+  fs.writeFileSync(path.join(dir, "README.md"), "# Custom tools");
+  fs.writeFileSync(path.join(dir, "lookup.js.bak"), "not javascript");
+  fs.writeFileSync(path.join(dir, "broken.js"), "module.exports = {");
+  fs.writeFileSync(path.join(dir, "incomplete.js"), "module.exports = { name: 'incomplete' };");
+
+  const registry = new ToolRegistry({ dirs: [{ dir, source: "tools" }] });
+  assert.deepEqual(
+    registry.list().map((entry) => entry.name),
+    ["lookup"]
+  );
+  assert.equal(registry.get("lookup").file, path.join(dir, "lookup.js"));
+  assert.equal(registry.get("missing"), null);
+});
+
+test("the first directory wins name collisions", async () => {
+  const builtIn = tmpDir();
+  const custom = tmpDir();
+  writeTool(builtIn, "transfer.js", "transfer", "built-in");
+  writeTool(custom, "my_transfer.js", "transfer", "custom");
+  writeTool(custom, "other.js", "other");
+
+  const registry = new ToolRegistry({
+    dirs: [
+      { dir: builtIn, source: "avr_tools" },
+      { dir: custom, source: "tools" },
+    ],
+  });
+  assert.equal(registry.get("transfer").source, "avr_tools");
+  assert.equal(await registry.get("transfer").module.handler(), "built-in");
+  assert.equal(registry.get("other").source, "tools");
+});
+
+test("reloads edited modules and keeps the last good version of a broken one", async () => {
+  const dir = tmpDir();
+  writeTool(dir, "quote.js", "quote", "v1");
+  const registry = new ToolRegistry({ dirs: [{ dir, source: "tools" }] });
+  assert.equal(await registry.get("quote").module.handler(), "v1");
+
+  writeTool(dir, "quote.js", "quote", "v2");
+  writeTool(dir, "added.js", "added");
+  registry.reload();
+  assert.equal(await registry.get("quote").module.handler(), "v2");
+  assert.ok(registry.get("added"));
+
+  fs.writeFileSync(path.join(dir, "quote.js"), "module.exports = { name: 'quote', handler: ");
+  fs.rmSync(path.join(dir, "added.js"));
+  registry.reload();
+  assert.equal(await registry.get("quote").module.handler(), "v2");
+  assert.equal(registry.get("added"), null);
+});
+
+test("watched directories are reloaded after changes", async () => {
+  const dir = tmpDir();
+  const registry = new ToolRegistry({ dirs: [{ dir, source: "tools", watch: true }], reloadDelayMs: 20 });
+  registry.watch();
+  try {
+    assert.equal(registry.get("live"), null);
+    writeTool(dir, "live.js", "live");
+
+    const deadline = Date.now() + 2000;
+    while (!registry.get("live") && Date.now() < deadline) {
+      await new Promise((resolve) => setTimeout(resolve, 20));
+    }
+    assert.ok(registry.get("live"), "new tool was not picked up");
+  } finally {
+    registry.close();
+  }
+});
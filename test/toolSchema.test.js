@@ -0,0 +1,76 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { compileSchema } = require("../toolSchema");
+const avrTransfer = require("../avr_tools/avr_transfer");
+
+process.env.LOG_LEVEL = "silent";
+
+test("reports missing required fields and wrong types by argument name", () => {
+  const validate = compileSchema(avrTransfer.input_schema);
+
+  assert.deepEqual(validate({ transfer_context: "sales" }).errors, ["transfer_extension is required"]);
+  assert.deepEqual(validate({ transfer_extension: "" }).errors, ["transfer_extension must not be empty"]);
+  assert.deepEqual(validate({ transfer_extension: "100", transfer_priority: ["1"] }).errors, [
+    "transfer_priority must be a string",
+  ]);
+  assert.deepEqual(validate("100").errors, ["arguments must be an object"]);
+});
+
+test("coerces quoted numbers and booleans and applies defaults", () => {
+  const validate = compileSchema({
+    type: "object",
+    properties: {
+      count: { type: "integer", minimum: 1 },
+      urgent: { type: "boolean" },
+      extension: { type: "string" },
+      channel: { type: "string", enum: ["sms", "email"], default: "sms" },
+    },
+  });
+
+  assert.deepEqual(validate({ count: "3", urgent: "true", extension: 100 }), {
+    valid: true,
+    value: { count: 3, urgent: true, extension: "100", channel: "sms" },
+    errors: [],
+  });
+  assert.deepEqual(validate({ count: "2.5" }).errors, ["count must be an integer"]);
+  assert.deepEqual(validate({ count: 0, channel: "fax" }).errors, [
+    "count must be at least 1",
+    "channel must be one of sms, email",
+  ]);
+});
+
+test("validates nested objects, arrays and additional properties", () => {
+  const validate = compileSchema({
+    type: "object",
+    properties: {
+      items: {
+        type: "array",
+        minItems: 1,
+        items: {
+          type: "object",
+          properties: { sku: { type: "string", pattern: "^[A-Z]+-\\d+$" } },
+          required: ["sku"],
+        },
+      },
+    },
+    additionalProperties: false,
+  });
+
+  assert.equal(validate({ items: [{ sku: "AB-1" }] }).valid, true);
+  assert.deepEqual(validate({ items: [{ sku: "ab" }, {}], note: "x" }).errors, [
+    "items[0].sku must match ^[A-Z]+-\\d+$",
+    "items[1].sku is required",
+    "note is not allowed",
+  ]);
+  assert.deepEqual(validate({ items: [] }).errors, ["items must have at least 1 item"]);
+  // Inherited names are not declared properties
+  assert.deepEqual(validate({ items: [{ sku: "AB-1" }], toString: "x", constructor: 1 }).errors, [
+    "toString is not allowed",
+    "constructor is not allowed",
+  ]);
+});
+
+test("tools without a schema accept any arguments", () => {
+  assert.deepEqual(compileSchema(undefined)({ anything: 1 }), { valid: true, value: { anything: 1 }, errors: [] });
+});
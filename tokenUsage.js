@@ -0,0 +1,125 @@
+/**
+ * tokenUsage.js
+ * Aggregates the token usage reported in Realtime `response.done` events and
+ * checks it against the optional per-call and per-agent token budgets, which
+ * are part of the agent's session config (see sessionConfig.js).
+ */
+
+// Usage fields reported per response, by the metric label they are counted under
+const USAGE_TYPES = {
+  inputTextTokens: "input_text",
+  inputAudioTokens: "input_audio",
+  cachedTokens: "input_cached",
+  outputTextTokens: "output_text",
+  outputAudioTokens: "output_audio",
+};
+
+/**
+ * Creates an empty usage record
+ * @returns {Object} Token counts for a session
+ */
+function emptyUsage() {
+  return {
+    responses: 0,
+    inputTokens: 0,
+    outputTokens: 0,
+    totalTokens: 0,
+    inputTextTokens: 0,
+    inputAudioTokens: 0,
+    cachedTokens: 0,
+    outputTextTokens: 0,
+    outputAudioTokens: 0,
+  };
+}
+
+/**
+ * Adds the usage of one response to a session's totals
+ * @param {Object} total - Usage record from emptyUsage(), updated in place
+ * @param {Object} usage - `response.usage` from a response.done event
+ * @returns {Object} Token counts of this response, keyed like the usage record
+ */
+function addResponseUsage(total, usage) {
+  const inputDetails = usage.input_token_details || {};
+  const outputDetails = usage.output_token_details || {};
+  const delta = {
+    inputTokens: usage.input_tokens || 0,
+    outputTokens: usage.output_tokens || 0,
+    totalTokens: usage.total_tokens || (usage.input_tokens || 0) + (usage.output_tokens || 0),
+    inputTextTokens: inputDetails.text_tokens || 0,
+    inputAudioTokens: inputDetails.audio_tokens || 0,
+    cachedTokens: inputDetails.cached_tokens || 0,
+    outputTextTokens: outputDetails.text_tokens || 0,
+    outputAudioTokens: outputDetails.audio_tokens || 0,
+  };
+
+  total.responses++;
+  Object.keys(delta).forEach((key) => {
+    total[key] += delta[key];
+  });
+  return delta;
+}
+
+/**
+ * Tokens used per agent on this instance, reset at midnight UTC
+ */
+class AgentTokenLedger {
+  /**
+   * @param {Function} [now] - Clock in milliseconds, for tests
+   */
+  constructor(now = Date.now) {
+    this.now = now;
+    this.day = null;
+    this.used = new Map(); // agentId -> tokens used today
+  }
+
+  _rollOver() {
+    const day = new Date(this.now()).toISOString().slice(0, 10);
+    if (day !== this.day) {
+      this.day = day;
+      this.used.clear();
+    }
+  }
+
+  /**
+   * Records tokens used by an agent
+   * @param {string} agentId
+   * @param {number} tokens
+   */
+  record(agentId, tokens) {
+    this._rollOver();
+    this.used.set(agentId, (this.used.get(agentId) || 0) + tokens);
+  }
+
+  /**
+   * Tokens used by an agent today
+   * @param {string} agentId
+   * @returns {number}
+   */
+  usedToday(agentId) {
+    this._rollOver();
+    return this.used.get(agentId) || 0;
+  }
+}
+
+/**
+ * Checks a session against the token budgets of its agent
+ * @param {Object} usage - Session usage record
+ * @param {string} agentId - Agent of the session
+ * @param {AgentTokenLedger} ledger - Per-agent usage
+ * @param {Object} budget - tokenBudgetPerCall and tokenBudgetPerAgent from the session config; 0 is unlimited
+ * @returns {string|null} "call" or "agent" when that budget is exhausted, null otherwise
+ */
+function exceededTokenBudget(usage, agentId, ledger, budget) {
+  const perCall = budget.tokenBudgetPerCall || 0;
+  const perAgent = budget.tokenBudgetPerAgent || 0;
+
+  if (perCall > 0 && usage.totalTokens >= perCall) {
+    return "call";
+  }
+  if (perAgent > 0 && agentId && ledger.usedToday(agentId) >= perAgent) {
+    return "agent";
+  }
+  return null;
+}
+
+module.exports = { USAGE_TYPES, emptyUsage, addResponseUsage, AgentTokenLedger, exceededTokenBudget };
@@ -0,0 +1,124 @@
+/**
+ * toolExecution.js
+ * Runs tool handlers under a per-tool policy: a timeout per attempt, retries
+ * with exponential backoff, and a delay after which the caller hears a filler
+ * phrase or hold audio while the tool is still running. API tools set the
+ * policy in their definition, local tools in their module exports; the TOOL_*
+ * environment variables provide the defaults.
+ */
+
+const { isPlainObject } = require("./agentConfig");
+const { resolvePromptFile } = require("./audioFile");
+const logger = require("./logger");
+
+/**
+ * Reads a non-negative number, keeping 0 (which disables the feature)
+ * @param {*} value - Configured value
+ * @param {number} fallback - Used when the value is missing or invalid
+ * @returns {number}
+ */
+function nonNegative(value, fallback) {
+  const number = typeof value === "string" && value.trim() !== "" ? Number(value) : value;
+  return typeof number === "number" && Number.isFinite(number) && number >= 0 ? number : fallback;
+}
+
+/**
+ * Resolves the execution policy of a tool
+ * @param {Object} [definition] - API tool definition or local tool module
+ * @param {Object} [options]
+ * @param {boolean} [options.remote=false] - Whether the definition comes from the agent API or an MCP
+ *   server config, whose filler.audio_file must lie inside PROMPTS_DIR
+ * @returns {{timeoutMs: number, retries: number, retryDelayMs: number, filler: Object|null}}
+ */
+function resolveToolPolicy(definition = {}, { remote = false } = {}) {
+  const env = process.env;
+  const filler = definition.filler === false ? false : isPlainObject(definition.filler) ? definition.filler : {};
+  const fillerDelayMs = nonNegative(filler.delay_ms, nonNegative(env.TOOL_FILLER_DELAY_MS, 2000));
+
+  let audioFile = filler.audio_file || null;
+  if (audioFile && remote) {
+    audioFile = resolvePromptFile(filler.audio_file);
+    if (!audioFile) {
+      logger.warn("tool.hold_audio_rejected", "Ignoring tool filler audio_file outside PROMPTS_DIR", {
+        tool: definition.name,
+        audioFile: filler.audio_file,
+      });
+    }
+  }
+  // Hold audio from the environment only applies to tools without their own filler
+  const ownFiller = filler.text || audioFile || filler.audio_url;
+
+  return {
+    timeoutMs: nonNegative(definition.timeout_ms, nonNegative(env.TOOL_TIMEOUT_MS, 10000)),
+    retries: Math.floor(nonNegative(definition.retries, nonNegative(env.TOOL_RETRIES, 0))),
+    retryDelayMs: nonNegative(definition.retry_delay_ms, nonNegative(env.TOOL_RETRY_DELAY_MS, 500)),
+    filler:
+      filler === false || fillerDelayMs === 0
+        ? null
+        : {
+            delayMs: fillerDelayMs,
+            text: filler.text || env.TOOL_FILLER_TEXT || null,
+            audioFile: audioFile || (!ownFiller && env.TOOL_HOLD_AUDIO_FILE) || null,
+            audioUrl: filler.audio_url || null,
+          },
+  };
+}
+
+/**
+ * Rejects when a promise does not settle in time
+ * @param {Promise} promise
+ * @param {number} timeoutMs - 0 waits forever
+ * @returns {Promise}
+ */
+function withTimeout(promise, timeoutMs) {
+  if (!timeoutMs) {
+    return promise;
+  }
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => {
+      const error = new Error(`Tool did not respond within ${timeoutMs}ms`);
+      error.code = "tool_timeout";
+      reject(error);
+    }, timeoutMs);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Client errors (HTTP 4xx) fail the same way again; everything else may be transient
+ * @param {Error} error
+ * @returns {boolean}
+ */
+function isRetryable(error) {
+  const status = error && error.response && error.response.status;
+  return !(status >= 400 && status < 500);
+}
+
+/**
+ * Runs a tool handler with the policy's timeout and retries
+ * @param {Function} run - Starts one attempt; returns a promise
+ * @param {Object} policy - Result of resolveToolPolicy()
+ * @param {Object} [options]
+ * @param {Function} [options.onRetry] - Called with (attempt, error) before each retry
+ * @returns {Promise<*>} Result of the first successful attempt
+ * @throws {Error} The last error; `code` is "tool_timeout" when the last attempt timed out
+ */
+async function runWithPolicy(run, policy, { onRetry } = {}) {
+  const attempts = policy.retries + 1;
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await withTimeout(Promise.resolve().then(run), policy.timeoutMs);
+    } catch (error) {
+      if (attempt >= attempts || !isRetryable(error)) {
+        throw error;
+      }
+      if (onRetry) {
+        onRetry(attempt, error);
+      }
+      await new Promise((resolve) => setTimeout(resolve, policy.retryDelayMs * 2 ** (attempt - 1)));
+    }
+  }
+}
+
+module.exports = { resolveToolPolicy, runWithPolicy };
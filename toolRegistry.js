@@ -0,0 +1,221 @@
+/**
+ * toolRegistry.js
+ * Local tool modules, loaded and validated once instead of on every session.
+ * Tools come from the built-in avr_tools/ directory and the custom tools/
+ * directory; the first tool registered under a name wins and collisions are
+ * reported. Watched directories are reloaded when their files change: a
+ * module that fails to load keeps its last good version, so a half-saved edit
+ * never takes a tool away from calls in progress.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const logger = require("./logger");
+const { compileSchema } = require("./toolSchema");
+const { isPlainObject } = require("./agentConfig");
+
+// OpenAI function names
+const TOOL_NAME_PATTERN = /^[a-zA-Z0-9_-]{1,64}$/;
+
+/**
+ * Checks the shape of a tool module
+ * @param {*} tool - Exports of the module
+ * @returns {string[]} Problems found; empty if the module is a valid tool
+ */
+function validateToolModule(tool) {
+  if (!isPlainObject(tool)) {
+    return ["module must export an object"];
+  }
+
+  const problems = [];
+  if (typeof tool.name !== "string" || !TOOL_NAME_PATTERN.test(tool.name)) {
+    problems.push("name must be 1-64 letters, digits, underscores or dashes");
+  }
+  if (tool.description !== undefined && typeof tool.description !== "string") {
+    problems.push("description must be a string");
+  }
+  if (typeof tool.handler !== "function") {
+    problems.push("handler must be a function");
+  }
+  if (tool.input_schema !== undefined) {
+    if (!isPlainObject(tool.input_schema) || (tool.input_schema.type && tool.input_schema.type !== "object")) {
+      problems.push('input_schema must be a JSON Schema of type "object"');
+    } else {
+      try {
+        compileSchema(tool.input_schema);
+      } catch (error) {
+        problems.push(`input_schema is invalid: ${error.message}`);
+      }
+    }
+  }
+  if (tool.constraints !== undefined) {
+    const properties = isPlainObject(tool.input_schema) && isPlainObject(tool.input_schema.properties)
+      ? tool.input_schema.properties
+      : {};
+    const valid =
+      isPlainObject(tool.constraints) &&
+      Object.values(tool.constraints).every((property) => typeof property === "string" && Object.hasOwn(properties, property));
+    if (!valid) {
+      problems.push("constraints must map constraint names to input_schema properties");
+    }
+  }
+  return problems;
+}
+
+class ToolRegistry {
+  /**
+   * @param {Object} options
+   * @param {Array<{dir: string, source: string, watch?: boolean}>} options.dirs - Tool
+   *   directories in order of precedence; `watch` enables hot reload
+   * @param {number} [options.reloadDelayMs=200] - Quiet period after a change before reloading
+   */
+  constructor({ dirs, reloadDelayMs = 200 }) {
+    this.dirs = dirs;
+    this.reloadDelayMs = reloadDelayMs;
+    this.tools = null; // name -> { name, source, file, module }
+    this.modules = new Map(); // file -> last module that loaded successfully
+    this.watchers = [];
+    this.reloadTimer = null;
+  }
+
+  /**
+   * Registered tools, in order of precedence
+   * @returns {Object[]} Entries with name, source, file and module
+   */
+  list() {
+    this._ensureLoaded();
+    return Array.from(this.tools.values());
+  }
+
+  /**
+   * Looks up a tool by name
+   * @param {string} name
+   * @returns {Object|null} Entry with name, source, file and module
+   */
+  get(name) {
+    this._ensureLoaded();
+    return this.tools.get(name) || null;
+  }
+
+  /**
+   * Loads every tool directory again
+   */
+  reload() {
+    const tools = new Map();
+    for (const { dir, source } of this.dirs) {
+      for (const file of this._listModules(dir)) {
+        const module = this._loadModule(file, source);
+        if (!module) continue;
+
+        const existing = tools.get(module.name);
+        if (existing) {
+          logger.error(
+            "tools.name_collision",
+            `Tool "${module.name}" in ${file} collides with ${existing.file}; keeping the ${existing.source} tool`,
+            { tool: module.name, file, existingFile: existing.file }
+          );
+          continue;
+        }
+        tools.set(module.name, { name: module.name, source, file, module });
+      }
+    }
+
+    this.tools = tools;
+    logger.info("tools.registry_loaded", `Registered ${tools.size} local tools`, { tools: Array.from(tools.keys()) });
+  }
+
+  /**
+   * Reloads the registry when files in the watched directories change
+   */
+  watch() {
+    this._ensureLoaded();
+    for (const { dir, watch } of this.dirs) {
+      if (!watch || !fs.existsSync(dir)) continue;
+
+      try {
+        const watcher = fs.watch(dir, () => this._scheduleReload());
+        watcher.on("error", (error) => {
+          logger.error("tools.watch_failed", `Stopped watching ${dir}`, { error: error.message });
+        });
+        watcher.unref();
+        this.watchers.push(watcher);
+        logger.info("tools.watching", `Watching ${dir} for tool changes`);
+      } catch (error) {
+        logger.error("tools.watch_failed", `Cannot watch ${dir}`, { error: error.message });
+      }
+    }
+  }
+
+  /**
+   * Stops watching for changes
+   */
+  close() {
+    this.watchers.forEach((watcher) => watcher.close());
+    this.watchers = [];
+    clearTimeout(this.reloadTimer);
+    this.reloadTimer = null;
+  }
+
+  _ensureLoaded() {
+    if (!this.tools) {
+      this.reload();
+    }
+  }
+
+  _scheduleReload() {
+    clearTimeout(this.reloadTimer);
+    this.reloadTimer = setTimeout(() => {
+      this.reloadTimer = null;
+      this.reload();
+    }, this.reloadDelayMs);
+    this.reloadTimer.unref();
+  }
+
+  _listModules(dir) {
+    let files;
+    try {
+      files = fs.readdirSync(dir);
+    } catch (error) {
+      if (error.code !== "ENOENT") {
+        logger.error("tools.dir_unreadable", `Cannot read tool directory ${dir}`, { error: error.message });
+      }
+      return [];
+    }
+
+    // Only JavaScript modules; skips editor backups, READMEs and dotfiles
+    return files
+      .filter((file) => file.endsWith(".js") && !file.startsWith("."))
+      .sort()
+      .map((file) => path.join(dir, file));
+  }
+
+  _loadModule(file, source) {
+    let module;
+    try {
+      // Load the current file contents, not the version cached by require()
+      delete require.cache[require.resolve(file)];
+      module = require(file);
+    } catch (error) {
+      return this._fallBack(file, `failed to load: ${error.message}`, source);
+    }
+
+    const problems = validateToolModule(module);
+    if (problems.length > 0) {
+      return this._fallBack(file, problems.join("; "), source);
+    }
+    this.modules.set(file, module);
+    return module;
+  }
+
+  _fallBack(file, problem, source) {
+    const previous = this.modules.get(file);
+    logger.error("tools.invalid_module", `Skipping tool module ${file}: ${problem}`, {
+      file,
+      source,
+      keptPreviousVersion: Boolean(previous),
+    });
+    return previous || null;
+  }
+}
+
+module.exports = { ToolRegistry, validateToolModule, TOOL_NAME_PATTERN };
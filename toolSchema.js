@@ -0,0 +1,210 @@
+/**
+ * toolSchema.js
+ * Compiles a tool's `input_schema` into a validator for the arguments the
+ * model sends. Covers the JSON Schema keywords used in tool definitions:
+ * type, properties, required, additionalProperties, items, enum, default,
+ * minimum/maximum, minLength/maxLength, pattern and minItems/maxItems.
+ * Scalars are coerced to the declared type where that is lossless ("42" to
+ * 42, "true" to true, 42 to "42"), since models often quote numbers.
+ */
+
+const { isPlainObject } = require("./agentConfig");
+
+/**
+ * Checks a value against one JSON Schema type
+ * @param {*} value
+ * @param {string} type
+ * @returns {boolean}
+ */
+function hasType(value, type) {
+  switch (type) {
+    case "null":
+      return value === null;
+    case "array":
+      return Array.isArray(value);
+    case "object":
+      return isPlainObject(value);
+    case "integer":
+      return Number.isInteger(value);
+    case "number":
+      return typeof value === "number" && Number.isFinite(value);
+    default:
+      return typeof value === type;
+  }
+}
+
+/**
+ * Converts a scalar to the given type if that loses nothing
+ * @param {*} value
+ * @param {string} type
+ * @returns {{ok: boolean, value?: *}}
+ */
+function coerce(value, type) {
+  if ((type === "number" || type === "integer") && typeof value === "string" && value.trim() !== "") {
+    const number = Number(value);
+    if (hasType(number, type)) {
+      return { ok: true, value: number };
+    }
+  }
+  if (type === "boolean" && (value === "true" || value === "false")) {
+    return { ok: true, value: value === "true" };
+  }
+  if (type === "string" && (typeof value === "number" || typeof value === "boolean")) {
+    return { ok: true, value: String(value) };
+  }
+  return { ok: false };
+}
+
+/**
+ * Formats a count with a noun that agrees with it
+ * @param {number} count
+ * @param {string} noun - Singular noun
+ * @returns {string} e.g. "1 item", "2 items"
+ */
+function countOf(count, noun) {
+  return `${count} ${noun}${count === 1 ? "" : "s"}`;
+}
+
+/**
+ * Compiles one schema node
+ * @param {Object} schema
+ * @returns {Function} (value, name, errors) => coerced value
+ */
+function compileNode(schema) {
+  if (!isPlainObject(schema)) {
+    return (value) => value;
+  }
+
+  const types = schema.type ? [].concat(schema.type) : schema.properties ? ["object"] : null;
+  const checks = [];
+
+  if (Array.isArray(schema.enum)) {
+    const allowed = schema.enum.map((option) => JSON.stringify(option));
+    checks.push((value, name, errors) => {
+      if (!allowed.includes(JSON.stringify(value))) {
+        errors.push(`${name} must be one of ${schema.enum.map(String).join(", ")}`);
+      }
+      return value;
+    });
+  }
+
+  if (typeof schema.minimum === "number" || typeof schema.maximum === "number") {
+    checks.push((value, name, errors) => {
+      if (typeof value === "number") {
+        if (typeof schema.minimum === "number" && value < schema.minimum) {
+          errors.push(`${name} must be at least ${schema.minimum}`);
+        }
+        if (typeof schema.maximum === "number" && value > schema.maximum) {
+          errors.push(`${name} must be at most ${schema.maximum}`);
+        }
+      }
+      return value;
+    });
+  }
+
+  if (typeof schema.minLength === "number" || typeof schema.maxLength === "number" || schema.pattern) {
+    const pattern = schema.pattern ? new RegExp(schema.pattern, "u") : null;
+    checks.push((value, name, errors) => {
+      if (typeof value === "string") {
+        if (typeof schema.minLength === "number" && value.length < schema.minLength) {
+          errors.push(
+            schema.minLength === 1
+              ? `${name} must not be empty`
+              : `${name} must be at least ${countOf(schema.minLength, "character")}`
+          );
+        }
+        if (typeof schema.maxLength === "number" && value.length > schema.maxLength) {
+          errors.push(`${name} must be at most ${countOf(schema.maxLength, "character")}`);
+        }
+        if (pattern && !pattern.test(value)) {
+          errors.push(`${name} must match ${schema.pattern}`);
+        }
+      }
+      return value;
+    });
+  }
+
+  if (schema.items || typeof schema.minItems === "number" || typeof schema.maxItems === "number") {
+    const item = compileNode(schema.items);
+    checks.push((value, name, errors) => {
+      if (!Array.isArray(value)) {
+        return value;
+      }
+      if (typeof schema.minItems === "number" && value.length < schema.minItems) {
+        errors.push(`${name} must have at least ${countOf(schema.minItems, "item")}`);
+      }
+      if (typeof schema.maxItems === "number" && value.length > schema.maxItems) {
+        errors.push(`${name} must have at most ${countOf(schema.maxItems, "item")}`);
+      }
+      return value.map((element, index) => item(element, `${name}[${index}]`, errors));
+    });
+  }
+
+  if (schema.properties || schema.required || schema.additionalProperties !== undefined) {
+    const properties = isPlainObject(schema.properties) ? schema.properties : {};
+    const compiled = Object.entries(properties).map(([key, property]) => [key, property, compileNode(property)]);
+    const required = Array.isArray(schema.required) ? schema.required : [];
+    const additional = isPlainObject(schema.additionalProperties)
+      ? compileNode(schema.additionalProperties)
+      : schema.additionalProperties;
+
+    checks.push((value, name, errors) => {
+      if (!isPlainObject(value)) {
+        return value;
+      }
+      const path = (key) => (name ? `${name}.${key}` : key);
+      const result = { ...value };
+
+      for (const [key, property, validate] of compiled) {
+        if (result[key] === undefined && isPlainObject(property) && property.default !== undefined) {
+          result[key] = property.default;
+        }
+        if (result[key] !== undefined) {
+          result[key] = validate(result[key], path(key), errors);
+        }
+      }
+      required
+        .filter((key) => result[key] === undefined || result[key] === null)
+        .forEach((key) => errors.push(`${path(key)} is required`));
+
+      for (const key of Object.keys(result).filter((key) => !Object.prototype.hasOwnProperty.call(properties, key))) {
+        if (additional === false) {
+          errors.push(`${path(key)} is not allowed`);
+        } else if (typeof additional === "function") {
+          result[key] = additional(result[key], path(key), errors);
+        }
+      }
+      return result;
+    });
+  }
+
+  const expected = types && types.map((type) => `${/^[aeiou]/.test(type) ? "an" : "a"} ${type}`).join(" or ");
+  return (value, name, errors) => {
+    if (types && !types.some((type) => hasType(value, type))) {
+      const coerced = types.map((type) => coerce(value, type)).find((result) => result.ok);
+      if (!coerced) {
+        errors.push(`${name || "arguments"} must be ${expected}`);
+        return value;
+      }
+      value = coerced.value;
+    }
+    return checks.reduce((current, check) => check(current, name, errors), value);
+  };
+}
+
+/**
+ * Compiles a tool's input schema
+ * @param {Object} [schema] - JSON Schema of the tool arguments
+ * @returns {Function} args => {valid: boolean, value: Object, errors: string[]}
+ * @throws {Error} If the schema contains an invalid pattern
+ */
+function compileSchema(schema) {
+  const validate = compileNode(schema);
+  return (args) => {
+    const errors = [];
+    const value = validate(args, "", errors);
+    return { valid: errors.length === 0, value, errors };
+  };
+}
+
+module.exports = { compileSchema };